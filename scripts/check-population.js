@@ -0,0 +1,61 @@
+// scripts/check-population.js
+//
+// Populates the fixture templates with the offline engine and compares the
+// extracted text with the expected output.
+//
+// Usage: npm run check:population
+//
+// Each folder in scripts/fixtures/population holds one case:
+//   template.docjson   Template as saved by document.saveDocument()
+//   data.json          Template data ({config, model})
+//   expected.txt       Text of the populated document
+import { readdir, readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import { extractDocumentText } from "../src/utils/docjson.js";
+import { populateDocJson } from "../src/utils/template-population.js";
+
+const fixturesDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "fixtures/population",
+);
+
+const readJson = async (file) => JSON.parse(await readFile(file, "utf8"));
+
+const checkFixture = async (name) => {
+  const dir = path.join(fixturesDir, name);
+  const [template, data, expected] = await Promise.all([
+    readJson(path.join(dir, "template.docjson")),
+    readJson(path.join(dir, "data.json")),
+    readFile(path.join(dir, "expected.txt"), "utf8"),
+  ]);
+
+  const actual = extractDocumentText(populateDocJson(template, data));
+  if (actual.trimEnd() === expected.trimEnd()) {
+    console.log(`✓ ${name}`);
+    return true;
+  }
+
+  console.error(
+    `✗ ${name}\n--- expected\n${expected.trimEnd()}\n--- actual\n${actual.trimEnd()}`,
+  );
+  return false;
+};
+
+const entries = await readdir(fixturesDir, { withFileTypes: true });
+const names = entries
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name);
+let failed = 0;
+
+for (const name of names.sort()) {
+  try {
+    if (!(await checkFixture(name))) failed++;
+  } catch (error) {
+    console.error(`✗ ${name}: ${error.message}`);
+    failed++;
+  }
+}
+
+console.log(`${names.length - failed} of ${names.length} fixture(s) passed`);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,101 @@
+// scripts/mock-api-server.js
+//
+// Local mock HTTP server for testing the "API" data source without a backend.
+// Serves the sample data files from public/ with CORS enabled.
+//
+// Usage: npm run mock-api  (PORT defaults to 4010, override with MOCK_API_PORT)
+//
+// Routes:
+//   GET  /invoice            -> public/invoice.json ({config, model})
+//   GET  /menu               -> public/menu.json ({config, model})
+//   GET  /invoices           -> {data: [...]} with several invoice models
+//   ANY  /echo               -> echoes method, query, headers and body
+//   GET  /status/:code       -> responds with the given HTTP status code
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+
+const PORT = Number(process.env.MOCK_API_PORT) || 4010;
+const publicDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../public",
+);
+
+const corsHeaders = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "*",
+};
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, {
+    ...corsHeaders,
+    "Content-Type": "application/json",
+  });
+  response.end(JSON.stringify(body, null, 2));
+};
+
+const readPublicJson = async (filename) =>
+  JSON.parse(await readFile(path.join(publicDir, filename), "utf8"));
+
+const readBody = (request) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+    });
+    request.on("end", () => resolve(body));
+    request.on("error", reject);
+  });
+
+const buildInvoices = async () => {
+  const { model } = await readPublicJson("invoice.json");
+  const customers = ["Henry Ross", "Maria Lopez", "Kenji Sato"];
+
+  return customers.map((customerName, index) => ({
+    ...model,
+    invoice_number: String(Number(model.invoice_number) + index),
+    customer_name: customerName,
+    recipient_name: customerName,
+  }));
+};
+
+const server = createServer(async (request, response) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+  console.log(`${request.method} ${url.pathname}${url.search}`);
+
+  if (request.method === "OPTIONS") {
+    response.writeHead(204, corsHeaders);
+    response.end();
+    return;
+  }
+
+  try {
+    if (url.pathname === "/invoice") {
+      sendJson(response, 200, await readPublicJson("invoice.json"));
+    } else if (url.pathname === "/menu") {
+      sendJson(response, 200, await readPublicJson("menu.json"));
+    } else if (url.pathname === "/invoices") {
+      sendJson(response, 200, { data: await buildInvoices() });
+    } else if (url.pathname === "/echo") {
+      sendJson(response, 200, {
+        method: request.method,
+        query: Object.fromEntries(url.searchParams),
+        headers: request.headers,
+        body: await readBody(request),
+      });
+    } else if (url.pathname.startsWith("/status/")) {
+      const status = Number(url.pathname.split("/")[2]) || 500;
+      sendJson(response, status, { status });
+    } else {
+      sendJson(response, 404, { error: `No route for ${url.pathname}` });
+    }
+  } catch (error) {
+    sendJson(response, 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API server listening on http://localhost:${PORT}`);
+});
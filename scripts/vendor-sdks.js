@@ -0,0 +1,151 @@
+// scripts/vendor-sdks.js
+//
+// Downloads the Document Authoring SDK and the Nutrient Web SDK into
+// public/vendor, so the app runs without network access once they are there.
+//
+// Usage: npm run vendor:sdks  (versions default to the app's SDK versions,
+//        override with DOCAUTH_VERSION and VIEWER_VERSION)
+//
+// Layout (the paths the SDK loader expects below sdk.baseUrl):
+//   document-authoring/docauth.umd.js       SDK script from the npm package
+//   document-authoring/assets/              Engine, WASM and data files
+//   nutrient-viewer/nutrient-viewer.js      Web SDK script from the npm package
+//   nutrient-viewer/nutrient-viewer-lib/    Web SDK assets
+//
+// Then set VITE_SDK_BASE_URL=/vendor/ in .env.local, or "sdk": {"baseUrl":
+// "/vendor/"} in public/config.json.
+import { execFileSync } from "node:child_process";
+import { cp, mkdir, mkdtemp, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+import path from "node:path";
+import JSZip from "jszip";
+import { DEFAULT_CONFIG } from "../src/utils/app-config.js";
+
+const DOCAUTH_VERSION =
+  process.env.DOCAUTH_VERSION || DEFAULT_CONFIG.sdk.documentAuthoring.version;
+const VIEWER_VERSION =
+  process.env.VIEWER_VERSION || DEFAULT_CONFIG.sdk.viewer.version;
+const DOCAUTH_ASSETS_URL = `https://document-authoring.cdn.nutrient.io/releases/document-authoring-${DOCAUTH_VERSION}-assets.zip`;
+
+const vendorDir = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../public/vendor",
+);
+
+const run = (command, args) =>
+  execFileSync(command, args, {
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "inherit"],
+    shell: process.platform === "win32",
+  });
+
+// Download an npm package and unpack it; returns the package directory
+const unpackPackage = async (spec, workDir) => {
+  console.log(`Downloading ${spec}...`);
+  const tarball = run("npm", [
+    "pack",
+    spec,
+    "--silent",
+    "--pack-destination",
+    workDir,
+  ])
+    .trim()
+    .split("\n")
+    .pop();
+  const targetDir = await mkdtemp(path.join(workDir, "package-"));
+  run("tar", ["-xzf", path.join(workDir, tarball), "-C", targetDir]);
+  return path.join(targetDir, "package");
+};
+
+// Unpack a ZIP archive; a single top-level folder is left out
+const unpackZip = async (buffer, targetDir) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.values(zip.files).filter((entry) => !entry.dir);
+  const roots = new Set(files.map((entry) => entry.name.split("/")[0]));
+  const prefix =
+    roots.size === 1 && files.every((entry) => entry.name.includes("/"))
+      ? `${[...roots][0]}/`
+      : "";
+
+  for (const entry of files) {
+    const target = path.join(targetDir, entry.name.slice(prefix.length));
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, await entry.async("nodebuffer"));
+  }
+  return files.length;
+};
+
+const vendorDocumentAuthoring = async (workDir) => {
+  const targetDir = path.join(vendorDir, "document-authoring");
+  const packageDir = await unpackPackage(
+    `@nutrient-sdk/document-authoring@${DOCAUTH_VERSION}`,
+    workDir,
+  );
+
+  console.log(`Downloading ${DOCAUTH_ASSETS_URL}...`);
+  const response = await fetch(DOCAUTH_ASSETS_URL).catch((error) => {
+    throw new Error(
+      `Could not download the Document Authoring assets: ${error.cause?.message ?? error.message}`,
+    );
+  });
+  if (!response.ok) {
+    throw new Error(
+      `Could not download the Document Authoring assets: ${response.status} ${response.statusText}`,
+    );
+  }
+  const assets = Buffer.from(await response.arrayBuffer());
+
+  await rm(targetDir, { recursive: true, force: true });
+  await mkdir(targetDir, { recursive: true });
+  await cp(
+    path.join(packageDir, "lib/docauth.umd.js"),
+    path.join(targetDir, "docauth.umd.js"),
+  );
+  const count = await unpackZip(assets, path.join(targetDir, "assets"));
+  console.log(
+    `Document Authoring SDK ${DOCAUTH_VERSION}: ${count} asset file(s)`,
+  );
+};
+
+const vendorViewer = async (workDir) => {
+  const targetDir = path.join(vendorDir, "nutrient-viewer");
+  const packageDir = await unpackPackage(
+    `@nutrient-sdk/viewer@${VIEWER_VERSION}`,
+    workDir,
+  );
+  const distDir = path.join(packageDir, "dist");
+  const entries = await readdir(distDir);
+  if (!entries.includes("nutrient-viewer.js")) {
+    throw new Error(
+      `@nutrient-sdk/viewer@${VIEWER_VERSION} has no dist/nutrient-viewer.js`,
+    );
+  }
+
+  await rm(targetDir, { recursive: true, force: true });
+  await mkdir(targetDir, { recursive: true });
+  for (const entry of ["nutrient-viewer.js", "nutrient-viewer-lib"]) {
+    if (entries.includes(entry)) {
+      await cp(path.join(distDir, entry), path.join(targetDir, entry), {
+        recursive: true,
+      });
+    }
+  }
+  console.log(`Nutrient Web SDK ${VIEWER_VERSION}`);
+};
+
+const workDir = await mkdtemp(path.join(tmpdir(), "vendor-sdks-"));
+try {
+  await vendorDocumentAuthoring(workDir);
+  await vendorViewer(workDir);
+  console.log(
+    `SDKs copied to ${path.relative(process.cwd(), vendorDir)}. ` +
+      'Set VITE_SDK_BASE_URL=/vendor/ or "sdk": {"baseUrl": "/vendor/"} ' +
+      "in public/config.json to load them from there.",
+  );
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await rm(workDir, { recursive: true, force: true });
+}
@@ -1,13 +1,93 @@
 // src/app.jsx
+import { useEffect, useState } from "react";
+import ConfigErrorScreen from "./components/config-error-screen.jsx";
 import DocumentEditor from "./components/document-editor.jsx";
+import { loadAppConfig } from "./utils/app-config.js";
+import { loadSdk, resolveSdkSources } from "./utils/sdk-loader.js";
 import "./app.css";
 
+let startupPromise = null;
+
+/**
+ * Load the configuration and the SDK scripts it names
+ * Runs once per page load, also when StrictMode mounts the app twice.
+ *
+ * @returns {Promise<Object>} {config, error}; `error` is {title, problems}
+ *   when the app cannot start
+ */
+const startApp = () => {
+  startupPromise ??= (async () => {
+    const { config, problems } = await loadAppConfig();
+    if (problems.length > 0) {
+      return {
+        config,
+        error: { title: "The app is not configured", problems },
+      };
+    }
+
+    const sources = resolveSdkSources(config.sdk);
+    try {
+      await loadSdk("documentAuthoring", sources.documentAuthoring);
+    } catch (error) {
+      console.error("Error loading the Document Authoring SDK:", error);
+      return {
+        config,
+        error: {
+          title: "The Document Authoring SDK could not be loaded",
+          problems: [error.message],
+        },
+      };
+    }
+
+    // The Web SDK is optional: the offline engine populates without it
+    loadSdk("viewer", sources.viewer).catch((error) => {
+      console.warn("Nutrient Viewer SDK could not be loaded:", error);
+    });
+
+    return { config, error: null };
+  })();
+  return startupPromise;
+};
+
 function App() {
   console.log("App component rendered");
+  const [startup, setStartup] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    startApp()
+      .catch((error) => ({
+        config: null,
+        error: {
+          title: "The app could not start",
+          problems: [error.message],
+        },
+      }))
+      .then((result) => {
+        if (!cancelled) setStartup(result);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
   return (
     <div className="app">
-      <DocumentEditor />
+      {!startup ? (
+        <div className="loading-overlay">
+          <div className="loading-spinner" />
+          <p>Loading configuration...</p>
+        </div>
+      ) : startup.error ? (
+        <ConfigErrorScreen
+          title={startup.error.title}
+          problems={startup.error.problems}
+        />
+      ) : (
+        <DocumentEditor config={startup.config} />
+      )}
     </div>
   );
 }
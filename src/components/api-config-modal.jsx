@@ -0,0 +1,248 @@
+// src/components/api-config-modal.jsx
+import { useState } from "react";
+import {
+  API_METHODS,
+  createApiConfig,
+  fetchApiData,
+} from "../utils/api-data-source.js";
+
+/**
+ * Editable list of key/value rows used for headers and query parameters
+ */
+function KeyValueRows({ label, rows, onChange, keyPlaceholder }) {
+  const updateRow = (index, property, value) => {
+    onChange(
+      rows.map((row, i) => (i === index ? { ...row, [property]: value } : row)),
+    );
+  };
+
+  return (
+    <fieldset className="form-fieldset">
+      <legend>{label}</legend>
+      {rows.map((row, index) => (
+        <div className="key-value-row" key={index}>
+          <input
+            type="text"
+            value={row.key}
+            placeholder={keyPlaceholder}
+            onChange={(e) => updateRow(index, "key", e.target.value)}
+            className="form-input"
+          />
+          <input
+            type="text"
+            value={row.value}
+            placeholder="Value"
+            onChange={(e) => updateRow(index, "value", e.target.value)}
+            className="form-input"
+          />
+          <button
+            type="button"
+            onClick={() => onChange(rows.filter((_, i) => i !== index))}
+            className="toolbar-button secondary icon-button"
+            title={`Remove ${label.toLowerCase()} row`}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        onClick={() => onChange([...rows, { key: "", value: "" }])}
+        className="toolbar-button secondary small"
+      >
+        + Add
+      </button>
+    </fieldset>
+  );
+}
+
+/**
+ * API Data Source Configuration Modal
+ *
+ * Lets the user configure a REST request (URL, method, headers, query
+ * parameters, body and JSON path to the model), preview the response
+ * and use it as the template data source.
+ */
+export default function ApiConfigModal({ initialConfig, onApply, onClose }) {
+  const [config, setConfig] = useState(() => ({
+    ...createApiConfig(),
+    ...initialConfig,
+  }));
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [isFetching, setIsFetching] = useState(false);
+
+  const updateConfig = (property, value) => {
+    setConfig((previous) => ({ ...previous, [property]: value }));
+    setPreview(null);
+  };
+
+  /**
+   * Run the configured request and keep the result for preview
+   *
+   * @returns {Promise<Object|null>} Fetch result, or null on failure
+   */
+  const runRequest = async () => {
+    setIsFetching(true);
+    setError(null);
+
+    try {
+      const result = await fetchApiData(config);
+      setPreview(result);
+      return result;
+    } catch (requestError) {
+      console.error("Error fetching API data source:", requestError);
+      setPreview(null);
+      setError(
+        requestError instanceof TypeError
+          ? `Network error: ${requestError.message}. Check the URL and that the server allows cross-origin requests (CORS).`
+          : requestError.message,
+      );
+      return null;
+    } finally {
+      setIsFetching(false);
+    }
+  };
+
+  const handleApply = async () => {
+    const result = preview ?? (await runRequest());
+    if (result) {
+      onApply(result, config);
+    }
+  };
+
+  const previewText = preview
+    ? JSON.stringify(preview.data.model, null, 2)
+    : "";
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="api-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="api-modal-title">Configure API Data Source</h2>
+
+        <div className="modal-body">
+          <div className="form-row">
+            <select
+              value={config.method}
+              onChange={(e) => updateConfig("method", e.target.value)}
+              className="form-select method-select"
+              aria-label="HTTP method"
+            >
+              {API_METHODS.map((method) => (
+                <option key={method} value={method}>
+                  {method}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={config.url}
+              placeholder="http://localhost:4010/invoice"
+              onChange={(e) => updateConfig("url", e.target.value)}
+              className="form-input"
+              aria-label="API URL"
+            />
+          </div>
+
+          <KeyValueRows
+            label="Headers"
+            rows={config.headers}
+            keyPlaceholder="Header name"
+            onChange={(rows) => updateConfig("headers", rows)}
+          />
+
+          <KeyValueRows
+            label="Query Parameters"
+            rows={config.queryParams}
+            keyPlaceholder="Parameter name"
+            onChange={(rows) => updateConfig("queryParams", rows)}
+          />
+
+          {config.method !== "GET" && (
+            <label className="form-label">
+              Request Body (JSON)
+              <textarea
+                value={config.body}
+                rows={4}
+                onChange={(e) => updateConfig("body", e.target.value)}
+                className="form-textarea"
+              />
+            </label>
+          )}
+
+          <label className="form-label">
+            JSON Path to Model (optional)
+            <input
+              type="text"
+              value={config.modelPath}
+              placeholder="e.g. data.invoice or $.results[0]"
+              onChange={(e) => updateConfig("modelPath", e.target.value)}
+              className="form-input"
+            />
+          </label>
+
+          {error && <div className="form-error">{error}</div>}
+
+          {preview && (
+            <div className="response-preview">
+              <div className="response-preview-meta">
+                {preview.status} · {preview.duration} ms · {preview.url}
+              </div>
+              <pre>
+                {previewText.length > 5000
+                  ? `${previewText.substring(0, 5000)}\n...`
+                  : previewText}
+              </pre>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={runRequest}
+            disabled={isFetching}
+            className="toolbar-button secondary"
+          >
+            {isFetching ? "Loading..." : "Preview"}
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={isFetching}
+            className="toolbar-button"
+          >
+            Use Data
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,293 @@
+// src/components/batch-generation-modal.jsx
+import { useEffect, useRef, useState } from "react";
+import {
+  findRecordArrays,
+  runBatchGeneration,
+  suggestFilenamePattern,
+} from "../utils/batch-generation.js";
+import { formatPlaceholder, getDelimiter } from "../utils/delimiter.js";
+import { getValueAtPath } from "../utils/template-data.js";
+import { createFileTimestamp, downloadBlob } from "../utils/download.js";
+
+/**
+ * Batch Generation Modal
+ *
+ * Mail-merge mode: populates the current template once per record of an
+ * array in the data source, exports each result as PDF and/or DOCX and
+ * bundles them into a single ZIP download. Shows progress, supports
+ * cancellation and reports failed records individually. Records are
+ * checked against the attached data schema; in strict mode invalid records
+ * are not generated.
+ */
+export default function BatchGenerationModal({
+  data,
+  createTemplateBuffer,
+  populateTemplate,
+  convertDocxToPdf,
+  validateRecord,
+  isSchemaStrict,
+  onClose,
+}) {
+  const abortControllerRef = useRef(null);
+  const delimiter = getDelimiter(data);
+  const [candidates] = useState(() => findRecordArrays(data));
+  const [recordPath, setRecordPath] = useState(
+    () => candidates[0]?.path ?? "",
+  );
+  const [formats, setFormats] = useState(["pdf"]);
+  const [filenamePattern, setFilenamePattern] = useState(() =>
+    candidates.length > 0
+      ? suggestFilenamePattern(
+          getValueAtPath(data, candidates[0].path)[0],
+          candidates[0].path,
+          delimiter,
+        )
+      : "",
+  );
+  const [progress, setProgress] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [error, setError] = useState(null);
+
+  const isRunning = progress !== null && outcome === null && !error;
+  const records = getValueAtPath(data, recordPath);
+
+  // Cancel a running batch when the modal is unmounted
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const toggleFormat = (format) => {
+    setFormats((previous) =>
+      previous.includes(format)
+        ? previous.filter((item) => item !== format)
+        : [...previous, format],
+    );
+  };
+
+  const handleStart = async () => {
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+    setOutcome(null);
+    setError(null);
+    setProgress({ completed: 0, total: records.length, current: null });
+
+    try {
+      const templateBuffer = await createTemplateBuffer();
+      const result = await runBatchGeneration({
+        templateBuffer,
+        records,
+        config: data?.config ?? {},
+        formats,
+        filenamePattern,
+        populate: populateTemplate,
+        convertToPdf: convertDocxToPdf,
+        validate: validateRecord,
+        strict: isSchemaStrict,
+        onProgress: setProgress,
+        signal: abortController.signal,
+      });
+      setOutcome(result);
+
+      if (result.zipBlob && !result.cancelled) {
+        downloadBlob(result.zipBlob, `batch-${createFileTimestamp()}.zip`);
+      }
+    } catch (batchError) {
+      console.error("Batch generation failed:", batchError);
+      setError(batchError.message);
+    } finally {
+      abortControllerRef.current = null;
+    }
+  };
+
+  const handleDownload = () => {
+    downloadBlob(outcome.zipBlob, `batch-${createFileTimestamp()}.zip`);
+  };
+
+  const failedResults =
+    outcome?.results.filter((result) => result.status === "error") ?? [];
+  const warningCount =
+    outcome?.results.filter(
+      (result) => result.status === "success" && result.schemaErrors,
+    ).length ?? 0;
+  const percent =
+    progress && progress.total > 0
+      ? Math.round((progress.completed / progress.total) * 100)
+      : 0;
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="batch-modal-title"
+      onClick={isRunning ? undefined : onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && !isRunning) {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="batch-modal-title">Batch Generate</h2>
+
+        {candidates.length === 0 ? (
+          <p>
+            The data source has no array of records. Batch generation needs
+            an array (for example a list of invoices) to create one document
+            per record.
+          </p>
+        ) : (
+          <div className="modal-body">
+            <label className="form-label">
+              Records
+              <select
+                value={recordPath}
+                onChange={(e) => {
+                  const candidate = candidates.find(
+                    (item) => item.path === e.target.value,
+                  );
+                  setRecordPath(candidate.path);
+                  setFilenamePattern(
+                    suggestFilenamePattern(
+                      getValueAtPath(data, candidate.path)[0],
+                      candidate.path,
+                      delimiter,
+                    ),
+                  );
+                }}
+                disabled={isRunning}
+                className="form-select"
+              >
+                {candidates.map((candidate) => (
+                  <option key={candidate.path} value={candidate.path}>
+                    {candidate.label} ({candidate.count} records)
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="form-label">
+              File Name Pattern
+              <input
+                type="text"
+                value={filenamePattern}
+                onChange={(e) => setFilenamePattern(e.target.value)}
+                disabled={isRunning}
+                className="form-input"
+              />
+              <span className="form-hint">
+                Use record fields like{" "}
+                {formatPlaceholder("invoice_number", delimiter)} or{" "}
+                {formatPlaceholder("@index", delimiter)} for the record number.
+              </span>
+            </label>
+
+            <div className="form-row">
+              {["pdf", "docx"].map((format) => (
+                <label key={format} className="form-radio">
+                  <input
+                    type="checkbox"
+                    checked={formats.includes(format)}
+                    onChange={() => toggleFormat(format)}
+                    disabled={isRunning}
+                  />
+                  {format.toUpperCase()}
+                </label>
+              ))}
+            </div>
+
+            {progress && (
+              <div className="batch-progress">
+                <div className="progress-bar">
+                  <div
+                    className="progress-bar-fill"
+                    style={{ width: `${percent}%` }}
+                  />
+                </div>
+                <span className="form-hint">
+                  {progress.completed} / {progress.total}
+                  {progress.current ? ` · ${progress.current}` : ""}
+                </span>
+              </div>
+            )}
+
+            {error && <div className="form-error">{error}</div>}
+
+            {outcome && (
+              <div className="batch-report">
+                <p>
+                  {outcome.cancelled ? "Cancelled. " : ""}
+                  {outcome.results.length - failedResults.length} of{" "}
+                  {records.length} document(s) generated
+                  {failedResults.length > 0
+                    ? `, ${failedResults.length} failed.`
+                    : "."}
+                  {warningCount > 0 &&
+                    ` ${warningCount} record(s) do not match the data schema; see batch-report.json.`}
+                </p>
+                {failedResults.length > 0 && (
+                  <ul className="issue-list">
+                    {failedResults.map((result) => (
+                      <li key={result.index}>
+                        Record {result.index + 1} ({result.filename}):{" "}
+                        {result.error}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="modal-actions">
+          {isRunning ? (
+            <button
+              type="button"
+              onClick={() => abortControllerRef.current?.abort()}
+              className="toolbar-button secondary"
+            >
+              Cancel Batch
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onClose}
+              className="toolbar-button secondary"
+            >
+              Close
+            </button>
+          )}
+          {outcome?.zipBlob && (
+            <button
+              type="button"
+              onClick={handleDownload}
+              className="toolbar-button secondary"
+            >
+              Download ZIP
+            </button>
+          )}
+          {candidates.length > 0 && (
+            <button
+              type="button"
+              onClick={handleStart}
+              disabled={isRunning || formats.length === 0}
+              className="toolbar-button"
+            >
+              {isRunning ? "Generating..." : "Start"}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+// src/components/computed-fields-modal.jsx
+import { useState } from "react";
+import {
+  applyComputedFields,
+  validateComputedField,
+} from "../utils/computed-fields.js";
+
+/**
+ * Describe the first computed value of a field for the preview
+ *
+ * @param {*} sample - First computed value
+ * @returns {string} Preview text
+ */
+const describeSample = (sample) =>
+  sample === undefined ? "no records in scope" : JSON.stringify(sample);
+
+/**
+ * Computed Fields Modal
+ *
+ * Lets the user define fields calculated from the data source, such as
+ * `sum(items.total)` or `quantity * price` for every item. Each field shows
+ * its first computed value or its error while it is edited; the fields are
+ * evaluated in order, so later fields can use earlier ones.
+ */
+export default function ComputedFieldsModal({
+  definitions,
+  data,
+  scopes,
+  onApply,
+  onClose,
+}) {
+  const [rows, setRows] = useState(() =>
+    definitions.length > 0
+      ? definitions
+      : [{ name: "", scope: "", expression: "" }],
+  );
+
+  const updateRow = (index, property, value) => {
+    setRows(
+      rows.map((row, i) => (i === index ? { ...row, [property]: value } : row)),
+    );
+  };
+
+  const definedRows = rows.filter((row) => row.name || row.expression);
+  const { results } = applyComputedFields(data, definedRows);
+
+  const getProblem = (row) => {
+    if (!row.name && !row.expression) {
+      return null;
+    }
+    const isDuplicate =
+      rows.filter(
+        (other) => other.name === row.name && other.scope === row.scope,
+      ).length > 1;
+    return isDuplicate
+      ? `"${row.name}" is defined more than once`
+      : validateComputedField(row);
+  };
+
+  const hasProblems = rows.some((row) => getProblem(row));
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="computed-fields-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="computed-fields-modal-title">Computed Fields</h2>
+
+        <div className="modal-body">
+          <p className="form-hint">
+            Use field paths, numbers, &quot;text&quot;, + - * / %, comparisons
+            and the functions sum, count, avg, min, max, round, abs and if.
+            Fields in a loop are computed for every item, e.g. line_total in
+            items = quantity * price; top-level fields can aggregate them, e.g.
+            sum(items.line_total).
+          </p>
+
+          {rows.map((row, index) => {
+            const problem = getProblem(row);
+            const result = results[definedRows.indexOf(row)];
+
+            return (
+              <div className="computed-field-row" key={index}>
+                <div className="key-value-row">
+                  <input
+                    type="text"
+                    value={row.name}
+                    placeholder="Field name"
+                    onChange={(e) => updateRow(index, "name", e.target.value)}
+                    className="form-input computed-field-name"
+                    aria-label="Field name"
+                  />
+                  <select
+                    value={row.scope}
+                    onChange={(e) => updateRow(index, "scope", e.target.value)}
+                    className="form-select computed-field-scope"
+                    aria-label="Computed for"
+                  >
+                    <option value="">Top level</option>
+                    {scopes.map((scope) => (
+                      <option key={scope} value={scope}>
+                        Each item of {scope}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => setRows(rows.filter((_, i) => i !== index))}
+                    className="toolbar-button secondary icon-button"
+                    title="Remove computed field"
+                  >
+                    ×
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={row.expression}
+                  placeholder="e.g. quantity * price or sum(items.total)"
+                  onChange={(e) =>
+                    updateRow(index, "expression", e.target.value)
+                  }
+                  className="form-input computed-field-expression"
+                  aria-label="Expression"
+                  spellCheck={false}
+                />
+                {problem || result?.error ? (
+                  <span className="computed-field-result error">
+                    {problem || result.error}
+                  </span>
+                ) : (
+                  result && (
+                    <span className="computed-field-result">
+                      = {describeSample(result.sample)}
+                    </span>
+                  )
+                )}
+              </div>
+            );
+          })}
+
+          <button
+            type="button"
+            onClick={() =>
+              setRows([...rows, { name: "", scope: "", expression: "" }])
+            }
+            className="toolbar-button secondary small"
+          >
+            + Add Field
+          </button>
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={() => onApply(definedRows)}
+            disabled={hasProblems}
+            className="toolbar-button"
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
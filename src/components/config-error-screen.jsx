@@ -0,0 +1,46 @@
+// src/components/config-error-screen.jsx
+import { RUNTIME_CONFIG_FILE } from "../utils/app-config.js";
+
+/**
+ * Configuration Error Screen
+ *
+ * Shown instead of the editor when the configuration is missing or invalid,
+ * or a required SDK could not be loaded. Lists the problems and where the
+ * values are configured.
+ */
+export default function ConfigErrorScreen({ title, problems }) {
+  return (
+    <div className="config-error-screen" role="alert">
+      <div className="config-error-content">
+        <img
+          src="/logo.svg"
+          width="148"
+          height="44"
+          alt="Nutrient Logo"
+          className="logo-image"
+        />
+        <h1>{title}</h1>
+        <ul className="config-error-list">
+          {problems.map((problem) => (
+            <li key={problem}>{problem}</li>
+          ))}
+        </ul>
+        <p className="form-hint">
+          Values are read from the <code>VITE_*</code> variables in{" "}
+          <code>.env.local</code> when the app is built, and from{" "}
+          <code>public/{RUNTIME_CONFIG_FILE}</code> when it starts; the runtime
+          file takes precedence. See <code>.env.example</code> and{" "}
+          <code>config.example.json</code> for all settings, then reload the
+          page.
+        </p>
+        <button
+          type="button"
+          onClick={() => window.location.reload()}
+          className="toolbar-button"
+        >
+          Reload
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+// src/components/data-editor-panel.jsx
+import { useState } from "react";
+import DataTreeNode from "./data-tree-node.jsx";
+import {
+  addChildAtPath,
+  parseJsonText,
+  removeValueAtPath,
+  renameKeyAtPath,
+  setValueAtPath,
+} from "../utils/data-editing.js";
+
+/**
+ * Format data as indented JSON text
+ *
+ * @param {*} data - JSON data
+ * @returns {string} JSON text
+ */
+const toJsonText = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Data Editor Panel
+ *
+ * Side panel for editing the loaded data source without re-uploading it, e.g.
+ * to try a null discount or an empty item list. The form view edits values,
+ * keys and array items; the JSON view edits the raw text and reports syntax
+ * errors. Edits stay a draft until they are applied, which makes them the
+ * data source and re-extracts the template fields.
+ */
+export default function DataEditorPanel({
+  data,
+  onApply,
+  onDownload,
+  onClose,
+}) {
+  const [sourceData, setSourceData] = useState(data);
+  const [draft, setDraft] = useState(data);
+  const [view, setView] = useState("form");
+  const [jsonText, setJsonText] = useState(() => toJsonText(data));
+  const [problem, setProblem] = useState(null);
+
+  // Start over when another data source is loaded or a draft is applied
+  if (sourceData !== data) {
+    setSourceData(data);
+    setDraft(data);
+    setJsonText(toJsonText(data));
+    setProblem(null);
+  }
+
+  const isDirty = draft !== data;
+
+  const updateDraft = (nextDraft) => {
+    setDraft(nextDraft);
+    setJsonText(toJsonText(nextDraft));
+    setProblem(null);
+  };
+
+  const handleRename = (path, key) => {
+    try {
+      updateDraft(renameKeyAtPath(draft, path, key.trim()));
+      return true;
+    } catch (error) {
+      setProblem(error.message);
+      return false;
+    }
+  };
+
+  const handleJsonChange = (text) => {
+    setJsonText(text);
+    const parsed = parseJsonText(text);
+    setProblem(parsed.error);
+    if (!parsed.error) {
+      setDraft(parsed.value);
+    }
+  };
+
+  const isJsonInvalid = view === "json" && Boolean(problem);
+
+  return (
+    <aside className="data-editor-panel" aria-label="Data editor">
+      <div className="lint-panel-header">
+        <h3>Data</h3>
+        <span className="lint-panel-status">
+          {isDirty ? "Unsaved changes" : "Applied"}
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="toolbar-button secondary icon-button"
+          aria-label="Close data editor"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="data-editor-views" role="tablist">
+        {[
+          { id: "form", label: "Form" },
+          { id: "json", label: "JSON" },
+        ].map((tab) => (
+          <button
+            key={tab.id}
+            type="button"
+            role="tab"
+            aria-selected={view === tab.id}
+            className={`view-tab ${view === tab.id ? "active" : ""}`}
+            onClick={() => {
+              if (tab.id !== view) {
+                setView(tab.id);
+                setProblem(null);
+              }
+            }}
+            disabled={isJsonInvalid && tab.id === "form"}
+            title={
+              isJsonInvalid && tab.id === "form"
+                ? "Fix the JSON syntax error first"
+                : undefined
+            }
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="lint-panel-body">
+        {view === "form" ? (
+          <ul className="data-tree root">
+            <DataTreeNode
+              name="data"
+              value={draft}
+              path={[]}
+              onChange={(path, value) =>
+                updateDraft(setValueAtPath(draft, path, value))
+              }
+              onAdd={(path) => updateDraft(addChildAtPath(draft, path))}
+              onRemove={(path) => updateDraft(removeValueAtPath(draft, path))}
+              onRename={handleRename}
+            />
+          </ul>
+        ) : (
+          <textarea
+            value={jsonText}
+            onChange={(e) => handleJsonChange(e.target.value)}
+            className="form-textarea data-editor-json"
+            aria-label="Data as JSON"
+            aria-invalid={Boolean(problem)}
+            spellCheck={false}
+          />
+        )}
+
+        {problem && <div className="form-error">{problem}</div>}
+      </div>
+
+      <div className="data-editor-actions">
+        <button
+          type="button"
+          onClick={() => onDownload(draft)}
+          disabled={isJsonInvalid}
+          className="toolbar-button secondary small"
+        >
+          Download
+        </button>
+        <button
+          type="button"
+          onClick={() => updateDraft(data)}
+          disabled={!isDirty && !problem}
+          className="toolbar-button secondary small"
+        >
+          Reset
+        </button>
+        <button
+          type="button"
+          onClick={() => onApply(draft)}
+          disabled={!isDirty || isJsonInvalid}
+          className="toolbar-button small"
+          title="Use the edited data and re-extract the template fields"
+        >
+          Apply
+        </button>
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,193 @@
+// src/components/data-tree-node.jsx
+import { useState } from "react";
+import {
+  VALUE_TYPES,
+  convertValue,
+  getValueType,
+} from "../utils/data-editing.js";
+
+/**
+ * Data Tree Node
+ *
+ * One value of the data editor's form view. Objects and arrays can be
+ * expanded and get an add button; primitive values are edited in place with
+ * a type switch. Object keys are renamed when their input loses focus.
+ * `path` is the list of keys and indexes leading to the value; the root has
+ * an empty path and can be neither renamed nor removed.
+ */
+export default function DataTreeNode({
+  name,
+  value,
+  path,
+  onChange,
+  onAdd,
+  onRemove,
+  onRename,
+}) {
+  const [isExpanded, setIsExpanded] = useState(path.length < 2);
+  const type = getValueType(value);
+  const isContainer = type === "object" || type === "array";
+  const isArrayItem = typeof name === "number";
+
+  const entries = isContainer
+    ? Object.entries(value).map(([key, child]) => [
+        type === "array" ? Number(key) : key,
+        child,
+      ])
+    : [];
+
+  const renderLabel = () => {
+    if (path.length === 0) {
+      return <span className="data-node-key">data</span>;
+    }
+    if (isArrayItem) {
+      return <span className="data-node-key index">[{name}]</span>;
+    }
+    return (
+      <input
+        type="text"
+        defaultValue={name}
+        onBlur={(e) => {
+          if (e.target.value !== name && !onRename(path, e.target.value)) {
+            e.target.value = name;
+          }
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") e.target.blur();
+        }}
+        className="data-node-key-input"
+        aria-label="Field name"
+        spellCheck={false}
+      />
+    );
+  };
+
+  const renderValue = () => {
+    if (type === "string") {
+      return (
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => onChange(path, e.target.value)}
+          className="data-node-value"
+          aria-label={`Value of ${name}`}
+        />
+      );
+    }
+    if (type === "number") {
+      return (
+        <input
+          type="number"
+          value={value}
+          onChange={(e) => {
+            if (!Number.isNaN(e.target.valueAsNumber)) {
+              onChange(path, e.target.valueAsNumber);
+            }
+          }}
+          className="data-node-value"
+          aria-label={`Value of ${name}`}
+        />
+      );
+    }
+    if (type === "boolean") {
+      return (
+        <input
+          type="checkbox"
+          checked={value}
+          onChange={(e) => onChange(path, e.target.checked)}
+          aria-label={`Value of ${name}`}
+        />
+      );
+    }
+    return <span className="data-node-null">null</span>;
+  };
+
+  return (
+    <li className="data-node">
+      <div className="data-node-row">
+        {isContainer ? (
+          <button
+            type="button"
+            onClick={() => setIsExpanded(!isExpanded)}
+            className="data-node-toggle"
+            aria-expanded={isExpanded}
+            aria-label={isExpanded ? "Collapse" : "Expand"}
+          >
+            {isExpanded ? "▾" : "▸"}
+          </button>
+        ) : (
+          <span className="data-node-toggle" />
+        )}
+
+        {renderLabel()}
+
+        {isContainer ? (
+          <span className="data-node-summary">
+            {type === "array"
+              ? `${entries.length} item(s)`
+              : `${entries.length} field(s)`}
+          </span>
+        ) : (
+          <>
+            {renderValue()}
+            <select
+              value={type}
+              onChange={(e) =>
+                onChange(path, convertValue(value, e.target.value))
+              }
+              className="data-node-type"
+              aria-label={`Type of ${name}`}
+            >
+              {VALUE_TYPES.map((valueType) => (
+                <option key={valueType.id} value={valueType.id}>
+                  {valueType.label}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+
+        {isContainer && (
+          <button
+            type="button"
+            onClick={() => {
+              setIsExpanded(true);
+              onAdd(path);
+            }}
+            className="data-node-action"
+            title={type === "array" ? "Add item" : "Add field"}
+          >
+            +
+          </button>
+        )}
+        {path.length > 0 && (
+          <button
+            type="button"
+            onClick={() => onRemove(path)}
+            className="data-node-action"
+            title={isArrayItem ? "Remove item" : "Remove field"}
+          >
+            ×
+          </button>
+        )}
+      </div>
+
+      {isContainer && isExpanded && entries.length > 0 && (
+        <ul className="data-tree">
+          {entries.map(([key, child], index) => (
+            <DataTreeNode
+              key={type === "array" ? index : `${index}:${key}`}
+              name={key}
+              value={child}
+              path={[...path, key]}
+              onChange={onChange}
+              onAdd={onAdd}
+              onRemove={onRemove}
+              onRename={onRename}
+            />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
@@ -0,0 +1,358 @@
+// src/components/database-config-modal.jsx
+import { useEffect, useRef, useState } from "react";
+import {
+  createDatabaseConfig,
+  listTables,
+  openDatabase,
+  runQuery,
+} from "../utils/database-data-source.js";
+import { mapRowsToTemplateData } from "../utils/row-mapping.js";
+
+const PREVIEW_ROW_LIMIT = 20;
+
+/**
+ * Database Data Source Configuration Modal
+ *
+ * Loads a SQLite file or SQL statements into an in-browser SQL engine,
+ * runs a query and maps the result rows (including one-to-many joins
+ * grouped into nested arrays) into template data.
+ */
+export default function DatabaseConfigModal({
+  initialConfig,
+  onApply,
+  onClose,
+}) {
+  const databaseRef = useRef(null);
+  const [config, setConfig] = useState(() => ({
+    ...createDatabaseConfig(),
+    ...initialConfig,
+  }));
+  const [fileBuffer, setFileBuffer] = useState(null);
+  const [tables, setTables] = useState(null);
+  const [queryResult, setQueryResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  // Close the in-memory database when the modal is closed
+  useEffect(() => {
+    return () => {
+      databaseRef.current?.close();
+      databaseRef.current = null;
+    };
+  }, []);
+
+  /**
+   * Discard the loaded database so it is rebuilt from the current source
+   */
+  const resetDatabase = () => {
+    databaseRef.current?.close();
+    databaseRef.current = null;
+    setTables(null);
+    setQueryResult(null);
+  };
+
+  const updateConfig = (property, value) => {
+    setConfig((previous) => ({ ...previous, [property]: value }));
+    if (property === "sourceType" || property === "sql") {
+      resetDatabase();
+    } else if (property === "query") {
+      setQueryResult(null);
+    }
+  };
+
+  const updateMapping = (property, value) => {
+    setConfig((previous) => ({
+      ...previous,
+      mapping: { ...previous.mapping, [property]: value },
+    }));
+  };
+
+  const handleFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    resetDatabase();
+    setFileBuffer(await file.arrayBuffer());
+    setConfig((previous) => ({ ...previous, filename: file.name }));
+  };
+
+  /**
+   * Open the database from the configured source if it is not loaded yet
+   *
+   * @returns {Promise<Object>} sql.js Database instance
+   */
+  const ensureDatabase = async () => {
+    if (databaseRef.current) {
+      return databaseRef.current;
+    }
+
+    if (config.sourceType === "file" && !fileBuffer) {
+      throw new Error("Please select a SQLite database file");
+    }
+
+    const db = await openDatabase(
+      config.sourceType === "file" ? { file: fileBuffer } : { sql: config.sql },
+    );
+    databaseRef.current = db;
+    setTables(listTables(db));
+    return db;
+  };
+
+  /**
+   * Run an action against the database and report errors in the modal
+   */
+  const withDatabase = async (action) => {
+    setIsWorking(true);
+    setError(null);
+
+    try {
+      return action(await ensureDatabase());
+    } catch (databaseError) {
+      console.error("Database data source error:", databaseError);
+      setError(databaseError.message);
+      return null;
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleRunQuery = () =>
+    withDatabase((db) => {
+      const result = runQuery(db, config.query);
+      setQueryResult(result);
+      return result;
+    });
+
+  const handleApply = async () => {
+    const result = queryResult ?? (await handleRunQuery());
+    if (!result) return;
+
+    try {
+      onApply(mapRowsToTemplateData(result.rows, config.mapping), config);
+    } catch (mappingError) {
+      setError(mappingError.message);
+    }
+  };
+
+  let mappedPreview = "";
+  if (queryResult) {
+    try {
+      mappedPreview = JSON.stringify(
+        mapRowsToTemplateData(queryResult.rows, config.mapping).model,
+        null,
+        2,
+      );
+    } catch (mappingError) {
+      mappedPreview = mappingError.message;
+    }
+  }
+
+  const keyColumnOptions =
+    queryResult?.columns.filter((column) => !column.includes(".")) ?? [];
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="database-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="database-modal-title">Configure Database Data Source</h2>
+
+        <div className="modal-body">
+          <div className="form-row">
+            <label className="form-radio">
+              <input
+                type="radio"
+                name="database-source"
+                checked={config.sourceType === "sql"}
+                onChange={() => updateConfig("sourceType", "sql")}
+              />
+              SQL statements
+            </label>
+            <label className="form-radio">
+              <input
+                type="radio"
+                name="database-source"
+                checked={config.sourceType === "file"}
+                onChange={() => updateConfig("sourceType", "file")}
+              />
+              SQLite file
+            </label>
+          </div>
+
+          {config.sourceType === "sql" ? (
+            <label className="form-label">
+              CREATE / INSERT Statements
+              <textarea
+                value={config.sql}
+                rows={8}
+                onChange={(e) => updateConfig("sql", e.target.value)}
+                className="form-textarea"
+                spellCheck={false}
+              />
+            </label>
+          ) : (
+            <label className="form-label">
+              SQLite Database File
+              <input
+                type="file"
+                accept=".sqlite,.sqlite3,.db"
+                onChange={handleFileSelect}
+                className="form-input"
+              />
+              {config.filename && !fileBuffer && (
+                <span className="form-hint">
+                  Previously used: {config.filename} (select it again to
+                  reload)
+                </span>
+              )}
+            </label>
+          )}
+
+          {tables && (
+            <div className="table-chips">
+              {tables.length === 0
+                ? "The database has no tables."
+                : tables.map((table) => (
+                    <span key={table.name} className="table-chip">
+                      {table.name} ({table.rowCount})
+                    </span>
+                  ))}
+            </div>
+          )}
+
+          <label className="form-label">
+            Query
+            <textarea
+              value={config.query}
+              rows={6}
+              onChange={(e) => updateConfig("query", e.target.value)}
+              className="form-textarea"
+              spellCheck={false}
+            />
+            <span className="form-hint">
+              Alias joined columns as "items.column" to group them into a
+              nested "items" array.
+            </span>
+          </label>
+
+          <fieldset className="form-fieldset">
+            <legend>Mapping</legend>
+            <div className="form-row">
+              <select
+                value={config.mapping.shape}
+                onChange={(e) => updateMapping("shape", e.target.value)}
+                className="form-select"
+                aria-label="Result shape"
+              >
+                <option value="object">First record as model</option>
+                <option value="array">All records as array</option>
+              </select>
+              {config.mapping.shape === "array" && (
+                <input
+                  type="text"
+                  value={config.mapping.arrayName}
+                  placeholder="Array name"
+                  onChange={(e) => updateMapping("arrayName", e.target.value)}
+                  className="form-input"
+                  aria-label="Array name"
+                />
+              )}
+              <select
+                value={config.mapping.keyColumn}
+                onChange={(e) => updateMapping("keyColumn", e.target.value)}
+                className="form-select"
+                aria-label="Key column"
+              >
+                <option value="">Group by all columns</option>
+                {keyColumnOptions.map((column) => (
+                  <option key={column} value={column}>
+                    Group by {column}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </fieldset>
+
+          {error && <div className="form-error">{error}</div>}
+
+          {queryResult && (
+            <>
+              <div className="result-table-wrapper">
+                <table className="result-table">
+                  <thead>
+                    <tr>
+                      {queryResult.columns.map((column) => (
+                        <th key={column}>{column}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {queryResult.rows
+                      .slice(0, PREVIEW_ROW_LIMIT)
+                      .map((row, rowIndex) => (
+                        <tr key={rowIndex}>
+                          {queryResult.columns.map((column) => (
+                            <td key={column}>{String(row[column] ?? "")}</td>
+                          ))}
+                        </tr>
+                      ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="response-preview">
+                <div className="response-preview-meta">
+                  {queryResult.rows.length} row(s) · mapped model
+                </div>
+                <pre>{mappedPreview}</pre>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleRunQuery}
+            disabled={isWorking}
+            className="toolbar-button secondary"
+          >
+            {isWorking ? "Running..." : "Run Query"}
+          </button>
+          <button
+            type="button"
+            onClick={handleApply}
+            disabled={isWorking}
+            className="toolbar-button"
+          >
+            Use Data
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
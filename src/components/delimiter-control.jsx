@@ -0,0 +1,129 @@
+// src/components/delimiter-control.jsx
+import { useState } from "react";
+import {
+  DELIMITER_PRESETS,
+  formatPlaceholder,
+  validateDelimiter,
+} from "../utils/delimiter.js";
+
+const CUSTOM_PRESET = "custom";
+
+/**
+ * Build the select value for a delimiter
+ *
+ * @param {Object} delimiter - Delimiter with start and end
+ * @returns {string} Preset index, or "custom" when no preset matches
+ */
+const getPresetValue = (delimiter) => {
+  const index = DELIMITER_PRESETS.findIndex(
+    (preset) =>
+      preset.start === delimiter.start && preset.end === delimiter.end,
+  );
+  return index === -1 ? CUSTOM_PRESET : String(index);
+};
+
+/**
+ * Delimiter Control
+ *
+ * Shows the placeholder delimiter of the active data source in the template
+ * fields sidebar and lets the user switch to a preset or custom delimiter.
+ * The parent re-extracts the fields with the new delimiter.
+ */
+export default function DelimiterControl({ delimiter, onChange }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(delimiter);
+  const [error, setError] = useState(null);
+
+  const startEditing = () => {
+    setDraft(delimiter);
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const handlePresetChange = (value) => {
+    if (value !== CUSTOM_PRESET) {
+      setDraft(DELIMITER_PRESETS[Number(value)]);
+    }
+    setError(null);
+  };
+
+  const handleApply = () => {
+    const validationError = validateDelimiter(draft);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    onChange(draft);
+    setIsEditing(false);
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="delimiter-control">
+        <span className="delimiter-preview">
+          Delimiter: <code>{formatPlaceholder("field", delimiter)}</code>
+        </span>
+        <button
+          type="button"
+          onClick={startEditing}
+          className="delimiter-edit-button"
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="delimiter-control editing">
+      <select
+        value={getPresetValue(draft)}
+        onChange={(e) => handlePresetChange(e.target.value)}
+        className="form-select"
+        aria-label="Delimiter preset"
+      >
+        {DELIMITER_PRESETS.map((preset, index) => (
+          <option key={formatPlaceholder("", preset)} value={index}>
+            {formatPlaceholder("field", preset)}
+          </option>
+        ))}
+        <option value={CUSTOM_PRESET}>Custom</option>
+      </select>
+      <div className="delimiter-inputs">
+        <input
+          type="text"
+          value={draft.start}
+          onChange={(e) => setDraft({ ...draft, start: e.target.value })}
+          className="form-input"
+          aria-label="Start delimiter"
+        />
+        <span>field</span>
+        <input
+          type="text"
+          value={draft.end}
+          onChange={(e) => setDraft({ ...draft, end: e.target.value })}
+          className="form-input"
+          aria-label="End delimiter"
+        />
+      </div>
+      {error && <div className="form-error">{error}</div>}
+      <div className="delimiter-actions">
+        <button
+          type="button"
+          onClick={() => setIsEditing(false)}
+          className="toolbar-button secondary small"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={handleApply}
+          className="toolbar-button small"
+        >
+          Apply
+        </button>
+      </div>
+    </div>
+  );
+}
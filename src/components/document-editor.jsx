@@ -1,6 +1,180 @@
 // src/components/document-editor.jsx
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import Header from "./header.jsx";
+import ApiConfigModal from "./api-config-modal.jsx";
+import DatabaseConfigModal from "./database-config-modal.jsx";
+import SpreadsheetMappingModal from "./spreadsheet-mapping-modal.jsx";
+import FontManagerModal from "./font-manager-modal.jsx";
+import RestoreSessionModal from "./restore-session-modal.jsx";
+import TemplateHistoryModal from "./template-history-modal.jsx";
+import TemplateLibraryModal from "./template-library-modal.jsx";
+import TemplateSchemaModal from "./template-schema-modal.jsx";
+import BatchGenerationModal from "./batch-generation-modal.jsx";
+import ComputedFieldsModal from "./computed-fields-modal.jsx";
+import DataEditorPanel from "./data-editor-panel.jsx";
+import ExtractionModal from "./extraction-modal.jsx";
+import JsonFilePickerModal from "./json-file-picker-modal.jsx";
+import LintPanel from "./lint-panel.jsx";
+import ToastContainer from "./toast-container.jsx";
+import ValidationIssuesModal from "./validation-issues-modal.jsx";
+import publicJsonFiles from "virtual:public-json-files";
+import { useToasts } from "../hooks/use-toasts.js";
+import DelimiterControl from "./delimiter-control.jsx";
+import { describeApiConfig } from "../utils/api-data-source.js";
+import { getConfigFileName } from "../utils/app-config.js";
+import { applyComputedFields } from "../utils/computed-fields.js";
+import { resolveSdkSources, whenSdkReady } from "../utils/sdk-loader.js";
+import { preventEditing } from "../utils/read-only.js";
+import { clearTextHighlight, highlightText } from "../utils/editor-highlight.js";
+import { formatPlaceholder, getDelimiter } from "../utils/delimiter.js";
+import { FORMATTER_PRESETS } from "../utils/formatters.js";
+import { describeDatabaseConfig } from "../utils/database-data-source.js";
+import { createFileTimestamp, downloadBlob } from "../utils/download.js";
+import {
+  describeSchemaErrors,
+  validateTemplateData,
+} from "../utils/json-schema-validation.js";
+import {
+  AUTOSAVE_DELAY,
+  AUTOSAVE_INTERVAL,
+  loadSession,
+  saveSession,
+} from "../utils/autosave.js";
+import {
+  SDK_FONT_FAMILIES,
+  createFontIndexEntry,
+  createUploadedFontEntries,
+  findMissingFonts,
+  listUploadedFonts,
+  loadFontManifest,
+} from "../utils/fonts.js";
+import { withDelimiter } from "../utils/template-data.js";
+import {
+  createTemplateEntry,
+  getTemplate,
+  saveTemplate,
+} from "../utils/template-library.js";
+import { addTemplateVersion } from "../utils/template-versions.js";
+import { createSectionSnippet } from "../utils/template-parser.js";
+import {
+  applyTemplateFormatters,
+  populateDocJson,
+} from "../utils/template-population.js";
+import {
+  locateValidationIssues,
+  validateTemplate,
+} from "../utils/template-validation.js";
+import {
+  createDocumentOutline,
+  describeDocumentSummary,
+  extractDocumentText,
+  extractDocumentTextWithLocations,
+  extractTables,
+  getDocumentSections,
+  summarizeDocument,
+} from "../utils/docjson.js";
+import {
+  createTemplateFields,
+  describeFieldScope,
+} from "../utils/schema-inference.js";
+import {
+  SPREADSHEET_EXTENSIONS,
+  readSpreadsheetFile,
+} from "../utils/spreadsheet-data-source.js";
+
+/**
+ * Delay after the last edit before the template is linted again (ms)
+ */
+const LINT_DELAY = 600;
+
+/**
+ * Groups of the formatter choices in the sidebar
+ */
+const FORMATTER_GROUPS = [
+  ...new Set(FORMATTER_PRESETS.map((preset) => preset.group)),
+];
+
+/**
+ * How long the "auto" backend waits for the Web SDK before populating offline
+ */
+const SDK_FALLBACK_TIMEOUT = 2000;
+
+/**
+ * How long the Web SDK backend waits for the Web SDK to finish loading
+ */
+const SDK_WAIT_TIMEOUT = 10000;
+
+/**
+ * Template population backends, by id
+ */
+const GENERATION_BACKENDS = {
+  sdk: "Web SDK",
+  offline: "offline engine",
+};
+
+/**
+ * How clicked or dropped sidebar fields are inserted
+ */
+const INSERT_MODES = [
+  { id: "field", label: "Field", title: "Insert the placeholder" },
+  {
+    id: "conditional",
+    label: "Conditional",
+    title: "Insert conditional: content shown when the field has a value",
+  },
+  {
+    id: "if-empty",
+    label: "If-empty",
+    title: "Insert if-empty: content shown when the field is empty or missing",
+  },
+];
+
+/**
+ * Extract field names from JSON data following Nutrient template syntax
+ * Supports nested objects, arrays, and loops
+ * Keys are merged from every array item, and each field carries its full
+ * path and the loop scope its placeholder is valid in
+ * Placeholders use the delimiter declared in the data's config
+ *
+ * @param {Object|Array} data - JSON data to extract fields from
+ * @returns {Array} Array of field objects with name, label, and placeholder
+ */
+const extractFieldsFromJson = (data) => {
+  const model =
+    data &&
+    typeof data === "object" &&
+    !Array.isArray(data) &&
+    data.model &&
+    typeof data.model === "object"
+      ? data.model
+      : data;
+
+  return createTemplateFields(model, getDelimiter(data));
+};
+
+/**
+ * Validate template data against the attached data schema
+ * A schema that cannot be used (e.g. a broken $ref) is reported as an error
+ *
+ * @param {Object|Array} data - Template data
+ * @param {Object} dataSchema - Attached schema ({schema, name, strict})
+ * @returns {Object} {errors: [{path, message}], errorCount}
+ */
+const checkDataSchema = (data, dataSchema) => {
+  try {
+    return validateTemplateData(data, dataSchema.schema);
+  } catch (error) {
+    return {
+      errors: [
+        {
+          path: "",
+          message: `The data schema cannot be used: ${error.message}`,
+        },
+      ],
+      errorCount: 1,
+    };
+  }
+};
 
 /**
  * DocumentEditor Component
@@ -12,141 +186,216 @@ import Header from "./header.jsx";
  * - Exporting to PDF, DOCX, and JSON formats
  * - Template-based document generation with dynamic data
  * - Text extraction from documents
+ *
+ * `config` is the validated app configuration: license keys, SDK versions,
+ * default template and data files, and feature toggles.
  */
-export default function DocumentEditor() {
+export default function DocumentEditor({ config }) {
   // Refs for DOM elements and editor instances
   const containerRef = useRef(null);
   const fileInputRef = useRef(null);
   const jsonFileInputRef = useRef(null);
+  const spreadsheetFileInputRef = useRef(null);
   const editorRef = useRef(null);
   const docAuthSystemRef = useRef(null);
+  const resultContainerRef = useRef(null);
+  const resultEditorRef = useRef(null);
+  const lastSessionRef = useRef(null);
 
   // Editor state
   const [editor, setEditor] = useState(null);
   const [_docAuthSystem, setDocAuthSystem] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
+  const [restoreDialog, setRestoreDialog] = useState(null);
+  const [fontLibrary, setFontLibrary] = useState({
+    families: [],
+    manifestError: null,
+    uploadedFontIds: [],
+    availableFamilies: SDK_FONT_FAMILIES,
+    failedFonts: [],
+  });
+  const [showFontManager, setShowFontManager] = useState(false);
+
+  // Generated result preview state
+  const [activeView, setActiveView] = useState("template");
+  const [isSplitView, setIsSplitView] = useState(false);
+  const [hasResult, setHasResult] = useState(false);
 
   // Template designer state
-  const [templateFields, setTemplateFields] = useState([]);
   const [dataSource, setDataSource] = useState({
     type: "none",
     data: null,
     config: {},
   });
-  const [showConfigModal, setShowConfigModal] = useState(false);
+  const [configModalType, setConfigModalType] = useState(null);
+  const [spreadsheetImport, setSpreadsheetImport] = useState(null);
+  const [showBatchModal, setShowBatchModal] = useState(false);
+  const [extraction, setExtraction] = useState(null);
+  const [templateSchemaSource, setTemplateSchemaSource] = useState(null);
+  const [showTemplateLibrary, setShowTemplateLibrary] = useState(false);
+  const [libraryTemplate, setLibraryTemplate] = useState(null);
+  const [historyTemplate, setHistoryTemplate] = useState(null);
+  const [validationDialog, setValidationDialog] = useState(null);
+
+  // Live template lint state
+  const [isLintPanelOpen, setIsLintPanelOpen] = useState(true);
+  const [lintResult, setLintResult] = useState(null);
+  const [isLinting, setIsLinting] = useState(false);
+  const [selectedLintIssue, setSelectedLintIssue] = useState(null);
+  const [isDataEditorOpen, setIsDataEditorOpen] = useState(false);
+
+  // Non-blocking notifications
+  const { toasts, notify, dismissToast } = useToasts();
   const [draggedField, setDraggedField] = useState(null);
+  const [insertMode, setInsertMode] = useState("field");
+  const [fieldFormatter, setFieldFormatter] = useState("");
+  const [generationBackend, setGenerationBackend] = useState("auto");
+  const [computedFields, setComputedFields] = useState([]);
+  const [showComputedFieldsModal, setShowComputedFieldsModal] =
+    useState(false);
+  const [dataSchema, setDataSchema] = useState(null);
 
   /**
-   * Extract field names from JSON data following Nutrient template syntax
-   * Supports nested objects, arrays, and loops
-   *
-   * @param {Object|Array} data - JSON data to extract fields from
-   * @returns {Array} Array of field objects with name, label, and placeholder
+   * Data used for linting and generation: the data source plus the values of
+   * the computed fields
    */
-  const extractFieldsFromJson = (data) => {
-    const fields = [];
-
-    const processValue = (value, key, parentPath = "", indentLevel = 0) => {
-      const currentPath = parentPath ? `${parentPath}.${key}` : key;
-      const indent = "  ".repeat(indentLevel);
-
-      if (value === null || value === undefined) {
-        fields.push({
-          name: currentPath,
-          label: `${indent}${key}`,
-          placeholder: `{{${key}}}`,
-          indentLevel,
-          type: "simple",
-        });
-      } else if (Array.isArray(value)) {
-        if (value.length > 0 && typeof value[0] === "object") {
-          // Array of objects - create loop markers
-          fields.push({
-            name: `#${currentPath}`,
-            label: `${indent}${key} (Loop Start)`,
-            placeholder: `{{#${key}}}`,
-            isLoopStart: true,
-            indentLevel,
-            type: "loop-start",
-          });
+  const templateData = useMemo(
+    () => applyComputedFields(dataSource.data, computedFields).data,
+    [dataSource.data, computedFields],
+  );
 
-          const firstItem = value[0];
-          Object.keys(firstItem).forEach((childKey) => {
-            processValue(firstItem[childKey], childKey, key, indentLevel + 1);
-          });
+  /**
+   * Sidebar fields of the template data; computed fields are marked
+   */
+  const templateFields = useMemo(() => {
+    if (!templateData) {
+      return [];
+    }
+    const computedPaths = new Set(
+      computedFields.map((field) =>
+        field.scope ? `${field.scope}.${field.name}` : field.name,
+      ),
+    );
+    return extractFieldsFromJson(templateData).map((field) =>
+      computedPaths.has(field.name) ? { ...field, computed: true } : field,
+    );
+  }, [templateData, computedFields]);
 
-          fields.push({
-            name: `/${currentPath}`,
-            label: `${indent}${key} (Loop End)`,
-            placeholder: `{{/${key}}}`,
-            isLoopEnd: true,
-            indentLevel,
-            type: "loop-end",
-          });
-        } else {
-          // Simple array
-          fields.push({
-            name: currentPath,
-            label: `${indent}${key}`,
-            placeholder: `{{${key}}}`,
-            indentLevel,
-            type: "array-simple",
-          });
-        }
-      } else if (typeof value === "object") {
-        // Nested object - create object markers
-        fields.push({
-          name: `#${currentPath}`,
-          label: `${indent}${key} (Object Start)`,
-          placeholder: `{{#${key}}}`,
-          isObjectStart: true,
-          indentLevel,
-          type: "object-start",
-        });
+  /**
+   * Result of validating the template data against the attached schema
+   */
+  const schemaValidation = useMemo(
+    () =>
+      dataSchema && templateData
+        ? checkDataSchema(templateData, dataSchema)
+        : null,
+    [templateData, dataSchema],
+  );
 
-        Object.keys(value).forEach((childKey) => {
-          processValue(value[childKey], childKey, currentPath, indentLevel + 1);
-        });
+  /**
+   * Apply loaded data as the active template data source
+   * Stores the data with its configuration; the sidebar fields follow it.
+   * Data that does not match the attached data schema is reported.
+   *
+   * @param {string} type - Data source type (json-file, json-static, api, ...)
+   * @param {Object|Array} data - Template data
+   * @param {Object} config - Data source configuration (filename, request, ...)
+   */
+  const applyDataSource = (type, data, config) => {
+    setDataSource({ type, data, config });
 
-        fields.push({
-          name: `/${currentPath}`,
-          label: `${indent}${key} (Object End)`,
-          placeholder: `{{/${key}}}`,
-          isObjectEnd: true,
-          indentLevel,
-          type: "object-end",
-        });
-      } else {
-        // Simple value
-        fields.push({
-          name: currentPath,
-          label: `${indent}${key}`,
-          placeholder: `{{${key}}}`,
-          indentLevel,
-          type: "simple",
+    if (dataSchema) {
+      const validation = checkDataSchema(
+        applyComputedFields(data, computedFields).data,
+        dataSchema,
+      );
+      if (validation.errorCount > 0) {
+        notify({
+          type: dataSchema.strict ? "error" : "warning",
+          title: `Data does not match the schema (${validation.errorCount})`,
+          message: describeSchemaErrors(validation),
         });
       }
-    };
+    }
+  };
 
-    const processModel = (obj) => {
-      Object.keys(obj).forEach((key) => {
-        processValue(obj[key], key, "", 0);
-      });
-    };
+  /**
+   * Apply the computed field definitions from the computed fields modal
+   * Fields that fail to evaluate are reported; their values are null
+   *
+   * @param {Array} definitions - Array of {name, scope, expression}
+   */
+  const handleComputedFieldsApply = (definitions) => {
+    setComputedFields(definitions);
+    setShowComputedFieldsModal(false);
+
+    const { results } = applyComputedFields(dataSource.data, definitions);
+    const failures = definitions
+      .map((definition, index) => ({ definition, ...results[index] }))
+      .filter((result) => result.error)
+      .map((result) => `${result.definition.name}: ${result.error}`);
+
+    notify(
+      failures.length > 0
+        ? {
+            type: "warning",
+            title: "Some computed fields failed",
+            message: failures.join("\n"),
+          }
+        : {
+            type: "success",
+            title: "Computed fields applied",
+            message: `${definitions.length} computed field(s) available in the sidebar.`,
+          },
+    );
+  };
 
-    if (Array.isArray(data)) {
-      if (data.length > 0 && typeof data[0] === "object") {
-        processModel(data[0]);
-      }
-    } else if (typeof data === "object" && data !== null) {
-      if (data.model && typeof data.model === "object") {
-        processModel(data.model);
-      } else {
-        processModel(data);
-      }
-    }
+  /**
+   * Use the data edited in the data editor panel as the data source
+   * The template fields are re-extracted from the edited data
+   *
+   * @param {Object|Array} data - Edited template data
+   */
+  const handleDataEditorApply = (data) => {
+    applyDataSource(dataSource.type, data, {
+      ...dataSource.config,
+      edited: true,
+    });
+    notify({
+      type: "success",
+      title: "Data updated",
+      message: "The template fields were re-extracted from the edited data.",
+    });
+  };
+
+  /**
+   * Download data edited in the data editor panel as a JSON file
+   *
+   * @param {Object|Array} data - Edited template data
+   */
+  const handleEditedDataDownload = (data) => {
+    const baseName = (dataSource.config.filename || "data").replace(
+      /\.[^.]+$/,
+      "",
+    );
+    downloadBlob(
+      new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }),
+      `${baseName}-edited-${createFileTimestamp()}.json`,
+    );
+  };
 
-    return fields;
+  /**
+   * Switch the placeholder delimiter of the active data source
+   * The delimiter is stored in the data's config so population uses it too
+   *
+   * @param {Object} delimiter - New delimiter with start and end
+   */
+  const handleDelimiterChange = (delimiter) => {
+    applyDataSource(
+      dataSource.type,
+      withDelimiter(dataSource.data, delimiter),
+      dataSource.config,
+    );
   };
 
   /**
@@ -159,121 +408,176 @@ export default function DocumentEditor() {
     let cleanupPerformed = false;
     let editorInstance = null;
     let docAuthInstance = null;
+    let resolveRestorePrompt = null;
+    const resultEditorHolder = resultEditorRef;
 
     const initializeEditor = async () => {
       try {
-        if (!window.DocAuth) {
-          console.error("DocAuth not found on window object");
-          setIsLoading(false);
-          return;
-        }
+        // The app only renders the editor once the SDK has loaded
+        const DocAuth = await whenSdkReady("documentAuthoring");
+        const sdkSources = resolveSdkSources(config.sdk);
 
         // Check if Nutrient SDK is available for template population
-        console.log("Checking for Nutrient Viewer SDK...");
-        console.log("Available global objects:", {
-          DocAuth: !!window.DocAuth,
-          NutrientViewer: !!window.NutrientViewer,
-        });
-
-        if (window.NutrientViewer) {
-          console.log(
-            "✓ Nutrient Viewer SDK (NutrientViewer) loaded successfully",
-          );
-          console.log(
-            "✓ Template population feature is available:",
-            typeof window.NutrientViewer.populateDocumentTemplate ===
-              "function",
-          );
-        } else {
-          console.warn(
-            "⚠ Nutrient Viewer SDK not loaded yet. Template population may not work.",
-          );
-          console.warn("Please ensure this script is in your index.html");
-        }
+        whenSdkReady("viewer").then(
+          () => {
+            console.log(
+              "✓ Nutrient Viewer SDK loaded, template population is available",
+            );
+          },
+          (error) => {
+            console.warn(
+              "⚠ Nutrient Viewer SDK not available, templates are populated offline:",
+              error.message,
+            );
+          },
+        );
 
         // Configure custom fonts
         const fontConfig = {
-          fonts: [window.DocAuth.defaultFontIndex],
+          fonts: [DocAuth.defaultFontIndex],
         };
 
+        // Register the bundled fonts through their font index, so font
+        // files are only loaded when they are used, and the uploaded fonts
+        let bundledFamilies = [];
+        let indexFamilies = [];
+        let uploadedFonts = [];
+        let manifestError = null;
         try {
-          const customFonts = [
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitBold.otf").catch(() => null),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitBoldItalic.otf").catch(() => null),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitExtraBold.otf").catch(() => null),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitExtraBoldItalic.otf").catch(
-                () => null,
-              ),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitItalic.otf").catch(() => null),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitLight.otf").catch(() => null),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitLightItalic.otf").catch(() => null),
-            },
-            {
-              type: "file",
-              blob: fetch("/fonts/LarsseitMedium.otf").catch(() => null),
-            },
-          ];
+          const manifest = await loadFontManifest();
+          bundledFamilies = manifest.families;
+          if (!manifest.indexUrl) {
+            throw new Error("Font manifest does not name a font index");
+          }
 
-          const validFonts = customFonts.filter((font) => font.blob !== null);
-          fontConfig.fonts.push(...validFonts);
+          const fontIndex = await createFontIndexEntry(
+            manifest.indexUrl,
+            (file, error) => {
+              console.error(`Error loading font ${file}:`, error);
+              setFontLibrary((previous) =>
+                previous.failedFonts.some((font) => font.file === file)
+                  ? previous
+                  : {
+                      ...previous,
+                      failedFonts: [
+                        ...previous.failedFonts,
+                        { file, message: error.message },
+                      ],
+                    },
+              );
+            },
+          );
+          fontConfig.fonts.push(fontIndex.entry);
+          indexFamilies = fontIndex.families;
         } catch (fontError) {
           console.error(
-            "Error loading custom fonts, continuing with default fonts:",
+            "Error loading the bundled fonts, continuing without them:",
             fontError,
           );
+          manifestError = fontError.message;
+        }
+        try {
+          uploadedFonts = await listUploadedFonts();
+        } catch (fontError) {
+          console.warn("Could not read the uploaded fonts:", fontError);
         }
+        fontConfig.fonts.push(...createUploadedFontEntries(uploadedFonts));
+        setFontLibrary((previous) => ({
+          ...previous,
+          families: bundledFamilies,
+          manifestError,
+          uploadedFontIds: uploadedFonts.map((font) => font.id),
+          availableFamilies: [
+            ...SDK_FONT_FAMILIES,
+            ...indexFamilies,
+            ...uploadedFonts.flatMap((font) => [
+              font.family,
+              font.legacyFamily ?? font.family,
+            ]),
+          ],
+        }));
 
         // Create DocAuth system instance
-        docAuthInstance = await window.DocAuth.createDocAuthSystem({
+        docAuthInstance = await DocAuth.createDocAuthSystem({
           fontConfig,
-          licenseKey:
-            "1It_gYdwgYKdzPMuiaro23bUHU947Rp-bUHnDA66HwF_sxJTxoIopmSI3FhdiaWW_Avw4uAF1A3zPQJDnChPCYR9tsLQcBXI1xf84t-EhyS_oBbqXCe2LuSBzYRZc7xjYSKR8eZSSxHEGGE0rQTWf5J9FBiTxKFekPy84sksK2xSZKZiOKWkiORJZisXWFIMgfArLapre2aBMqBArueghbz39h_bYm_l-KhPBo4",
+          licenseKey: config.licenseKeys.documentAuthoring,
+          ...(sdkSources.documentAuthoring.assetsUrl && {
+            assets: { base: sdkSources.documentAuthoring.assetsUrl },
+          }),
         });
 
         docAuthSystemRef.current = docAuthInstance;
         setDocAuthSystem(docAuthInstance);
 
-        // Load default invoice document from public folder
+        // Offer to restore the autosaved session
+        let session = null;
+        if (config.features.autosave) {
+          try {
+            session = await loadSession();
+          } catch (error) {
+            console.warn("Could not read the autosaved session:", error);
+          }
+        }
+
+        if (session && !cleanupPerformed) {
+          const restore = await new Promise((resolve) => {
+            resolveRestorePrompt = resolve;
+            setRestoreDialog({ session, resolve });
+          });
+          resolveRestorePrompt = null;
+
+          // The cleanup answered the prompt; the next initialization asks again
+          if (cleanupPerformed) {
+            return;
+          }
+          setRestoreDialog(null);
+          if (!restore) {
+            session = null;
+          }
+        }
+
         let initialDocument;
-        try {
-          console.log("Loading default document: invoice.docjson");
-          const docResponse = await fetch("/invoice.docjson");
-
-          if (docResponse.ok) {
-            const docText = await docResponse.text();
-            const docJson = JSON.parse(docText);
-            initialDocument = await docAuthInstance.loadDocument(docJson);
-            console.log("Default document loaded successfully:", initialDocument);
-          } else {
-            throw new Error("Failed to fetch invoice.docjson");
+        if (session) {
+          try {
+            initialDocument = await docAuthInstance.loadDocument(
+              session.docJson,
+            );
+            console.log("Autosaved session restored from", session.savedAt);
+          } catch (error) {
+            console.warn("Could not restore the autosaved document:", error);
+            session = null;
           }
-        } catch (error) {
-          console.warn("Could not load invoice.docjson, creating default template:", error);
-          // Fallback to creating a simple document if file loading fails
-          initialDocument =
-            await docAuthInstance.createDocumentFromPlaintext(
-              "Invoice \n\nDate: {{date}}\nInvoice #: {{invoiceNumber}}\n\n Customer: {{firstName}} {{lastName}}\n Email: {{email}}\n Address:{{#address}}{{street}}\n{{city}}, {{state}}{{/address}}\n\nItems:{{#items}}- {{name}}: {{quantity}} × ${{price}}{{/items}} \n\nTotal: ${{total}}\n\n Thank you for your business!",
+        }
+
+        // Load the configured default template
+        const templateFile = config.defaults.template;
+        if (!initialDocument) {
+          try {
+            if (!templateFile) {
+              throw new Error("No default template is configured");
+            }
+            console.log(`Loading default document: ${templateFile}`);
+            const docResponse = await fetch(templateFile);
+
+            if (docResponse.ok) {
+              const docText = await docResponse.text();
+              const docJson = JSON.parse(docText);
+              initialDocument = await docAuthInstance.loadDocument(docJson);
+              console.log("Default document loaded successfully:", initialDocument);
+            } else {
+              throw new Error(`Failed to fetch ${templateFile}`);
+            }
+          } catch (error) {
+            console.warn(
+              `Could not load ${templateFile}, creating default template:`,
+              error,
             );
+            // Fallback to creating a simple document if file loading fails
+            initialDocument =
+              await docAuthInstance.createDocumentFromPlaintext(
+                "Invoice \n\nDate: {{date}}\nInvoice #: {{invoiceNumber}}\n\n Customer: {{firstName}} {{lastName}}\n Email: {{email}}\n Address:{{#address}}{{street}}\n{{city}}, {{state}}{{/address}}\n\nItems:{{#items}}- {{name}}: {{quantity}} × ${{price}}{{/items}} \n\nTotal: ${{total}}\n\n Thank you for your business!",
+              );
+          }
         }
 
         // Create editor instance
@@ -282,29 +586,38 @@ export default function DocumentEditor() {
         });
         console.log("Editor instance created:", editorInstance);
 
-        // Load default JSON data from public folder
-        try {
-          console.log("Loading default data: invoice.json");
-          const jsonResponse = await fetch("/invoice.json");
-
-          if (jsonResponse.ok) {
-            const jsonData = await jsonResponse.json();
-            console.log("Default JSON data loaded successfully:", jsonData);
-
-            // Extract fields and set data source
-            const fields = extractFieldsFromJson(jsonData);
-            setTemplateFields(fields);
-            setDataSource({
-              type: "json-static",
-              data: jsonData,
-              config: { filename: "invoice.json" },
-            });
-            console.log("Template fields extracted and data source set");
-          } else {
-            console.warn("Could not load invoice.json from public folder");
+        if (session) {
+          // Restore the data source and template settings of the session
+          setDataSource(
+            session.dataSource ?? { type: "none", data: null, config: {} },
+          );
+          setComputedFields(session.computedFields ?? []);
+          setDataSchema(session.dataSchema ?? null);
+          setLibraryTemplate(session.libraryTemplate ?? null);
+        } else if (config.defaults.data) {
+          // Load the configured default data
+          const dataFile = config.defaults.data;
+          try {
+            console.log(`Loading default data: ${dataFile}`);
+            const jsonResponse = await fetch(dataFile);
+
+            if (jsonResponse.ok) {
+              const jsonData = await jsonResponse.json();
+              console.log("Default JSON data loaded successfully:", jsonData);
+
+              // Set data source; the sidebar fields are extracted from it
+              setDataSource({
+                type: "json-static",
+                data: jsonData,
+                config: { filename: getConfigFileName(dataFile) },
+              });
+              console.log("Template fields extracted and data source set");
+            } else {
+              console.warn(`Could not load ${dataFile}`);
+            }
+          } catch (error) {
+            console.warn("Error loading default JSON data:", error);
           }
-        } catch (error) {
-          console.warn("Error loading default JSON data:", error);
         }
 
         if (!cleanupPerformed && containerRef.current) {
@@ -325,6 +638,12 @@ export default function DocumentEditor() {
     return () => {
       cleanupPerformed = true;
 
+      // Settle an open restore prompt so the initialization can finish
+      if (resolveRestorePrompt) {
+        resolveRestorePrompt(false);
+        setRestoreDialog(null);
+      }
+
       if (target?.parentNode) {
         target.remove();
       }
@@ -337,6 +656,15 @@ export default function DocumentEditor() {
         }
       }
 
+      if (resultEditorHolder.current) {
+        try {
+          resultEditorHolder.current.destroy();
+        } catch (error) {
+          console.error("Error destroying result editor:", error);
+        }
+        resultEditorHolder.current = null;
+      }
+
       if (docAuthInstance) {
         try {
           docAuthInstance.destroy();
@@ -345,49 +673,195 @@ export default function DocumentEditor() {
         }
       }
     };
-  }, []);
+  }, [config]);
 
   /**
-   * Extract text from document sections
-   * Parses the document structure and extracts all text content
-   *
-   * @param {Array} sections - Document sections to process
-   * @returns {string} Extracted text
+   * Lint the template whenever it changes
+   * Re-validates the placeholders against the data source shortly after the
+   * last edit and when the data source changes
    */
-  const extractTextFromSections = (sections) => {
-    let extractedText = "";
-
-    if (!Array.isArray(sections)) {
-      console.error("Sections is not an array:", sections);
-      return "";
+  useEffect(() => {
+    if (!editor || !templateData) {
+      setLintResult(null);
+      return undefined;
     }
 
-    sections.forEach((section) => {
-      if (Array.isArray(section.elements)) {
-        section.elements.forEach((element) => {
-          if (element.type === "p") {
-            let paragraphText = "";
-
-            if (Array.isArray(element.elements)) {
-              element.elements.forEach((inline) => {
-                if (inline.type === "r" && inline.text) {
-                  paragraphText += inline.text;
-                } else if (inline.type === "break/line") {
-                  paragraphText += "\n";
-                } else if (inline.type === "break/page") {
-                  paragraphText += "\n\n--- PAGE BREAK ---\n\n";
-                }
-              });
-            }
+    let cancelled = false;
+    let timer = null;
 
-            extractedText += paragraphText;
-            extractedText += "\n";
-          }
-        });
+    const runLint = async () => {
+      const currentDoc = editor.currentDocument();
+      if (!currentDoc) return;
+
+      setIsLinting(true);
+      try {
+        const textExtraction = extractDocumentTextWithLocations(
+          await currentDoc.saveDocument(),
+        );
+        const validation = validateTemplate(
+          textExtraction.text,
+          templateData,
+        );
+
+        if (!cancelled) {
+          clearTextHighlight();
+          setSelectedLintIssue(null);
+          setLintResult(locateValidationIssues(validation, textExtraction));
+        }
+      } catch (error) {
+        console.error("Error linting template:", error);
+      } finally {
+        if (!cancelled) {
+          setIsLinting(false);
+        }
       }
+    };
+
+    const scheduleLint = () => {
+      clearTimeout(timer);
+      timer = setTimeout(runLint, LINT_DELAY);
+    };
+
+    scheduleLint();
+    editor.on("content.change", scheduleLint);
+    editor.on("document.load", scheduleLint);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      editor.off("content.change", scheduleLint);
+      editor.off("document.load", scheduleLint);
+    };
+  }, [editor, templateData]);
+
+  /**
+   * Report fonts that failed to load
+   * Text in such a font is shown in a fallback font, so the layout differs
+   * from the final document.
+   */
+  const lastFailedFont = fontLibrary.failedFonts.at(-1);
+  useEffect(() => {
+    if (!lastFailedFont) return;
+
+    notify({
+      type: "warning",
+      title: "Font could not be loaded",
+      message: `${lastFailedFont.message}. Text in this font is shown in a fallback font.`,
     });
+  }, [lastFailedFont, notify]);
+
+  /**
+   * Autosave the session
+   * Saves the template's DocJSON with the data source and template settings
+   * shortly after each change, periodically during continuous editing and
+   * when the tab is hidden. The session as it was when the editor opened is
+   * only recorded as the baseline, so an untouched default template never
+   * replaces the autosaved session. Disabled by the `autosave` feature toggle.
+   */
+  const isAutosaveEnabled = config.features.autosave;
+  useEffect(() => {
+    if (!editor || !isAutosaveEnabled) return undefined;
+
+    let timer = null;
+
+    const saveCurrentSession = async () => {
+      clearTimeout(timer);
+      const currentDoc = editor.currentDocument();
+      if (!currentDoc) return;
+
+      try {
+        const session = {
+          docJson: await currentDoc.saveDocument(),
+          dataSource,
+          computedFields,
+          dataSchema,
+          libraryTemplate,
+        };
+        const snapshot = JSON.stringify(session);
+        if (snapshot === lastSessionRef.current) return;
+
+        if (lastSessionRef.current !== null) {
+          await saveSession(session);
+        }
+        lastSessionRef.current = snapshot;
+      } catch (error) {
+        console.error("Error autosaving the session:", error);
+      }
+    };
+
+    const scheduleSave = () => {
+      clearTimeout(timer);
+      timer = setTimeout(saveCurrentSession, AUTOSAVE_DELAY);
+    };
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        saveCurrentSession();
+      }
+    };
+
+    if (lastSessionRef.current === null) {
+      saveCurrentSession();
+    } else {
+      scheduleSave();
+    }
+    const interval = setInterval(saveCurrentSession, AUTOSAVE_INTERVAL);
+    editor.on("content.change", scheduleSave);
+    editor.on("document.load", scheduleSave);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
 
-    return extractedText;
+    return () => {
+      clearTimeout(timer);
+      clearInterval(interval);
+      editor.off("content.change", scheduleSave);
+      editor.off("document.load", scheduleSave);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, [
+    editor,
+    isAutosaveEnabled,
+    dataSource,
+    computedFields,
+    dataSchema,
+    libraryTemplate,
+  ]);
+
+  /**
+   * Get the editor of the active view
+   * Exports and text extraction use the result preview when it is active
+   *
+   * @returns {Object|null} Template or result editor instance
+   */
+  const getActiveEditor = () =>
+    activeView === "result" && resultEditorRef.current
+      ? resultEditorRef.current
+      : editorRef.current;
+
+  /**
+   * Show a generated document in the read-only result preview
+   * Creates the preview editor on first use and keeps the template untouched
+   *
+   * @param {Object} generatedDocument - Populated document
+   */
+  const showGeneratedDocument = async (generatedDocument) => {
+    const currentDocAuthSystem = docAuthSystemRef.current;
+
+    if (resultEditorRef.current) {
+      await resultEditorRef.current.setCurrentDocument(generatedDocument);
+    } else {
+      const target = document.createElement("div");
+      target.className = "editor-target";
+      resultContainerRef.current.appendChild(target);
+      preventEditing(target);
+
+      resultEditorRef.current = await currentDocAuthSystem.createEditor(
+        target,
+        { document: generatedDocument },
+      );
+    }
+
+    setHasResult(true);
+    setActiveView("result");
   };
 
   /**
@@ -400,10 +874,8 @@ export default function DocumentEditor() {
     try {
       const docObj = await document.saveDocument();
 
-      if (docObj?.container?.document?.body?.sections) {
-        const sections = docObj.container.document.body.sections;
-        const extractedText = extractTextFromSections(sections);
-        return extractedText;
+      if (getDocumentSections(docObj)) {
+        return extractDocumentText(docObj);
       }
     } catch (error) {
       console.error("Error during document text extraction:", error);
@@ -423,6 +895,23 @@ export default function DocumentEditor() {
     fileInputRef.current.click();
   };
 
+  /**
+   * Warn when a document uses fonts that are not registered
+   * The editor replaces them with a fallback font, which changes the layout.
+   *
+   * @param {Object} docJson - Result of document.saveDocument()
+   */
+  const warnAboutMissingFonts = (docJson) => {
+    const missing = findMissingFonts(docJson, fontLibrary.availableFamilies);
+    if (missing.length === 0) return;
+
+    notify({
+      type: "warning",
+      title: "Missing fonts",
+      message: `${missing.join(", ")} ${missing.length === 1 ? "is" : "are"} not available and will be replaced by a fallback font. Upload the font files under Fonts to use them.`,
+    });
+  };
+
   /**
    * Process selected document file (DOCX or JSON)
    * Loads the file into the editor
@@ -471,23 +960,35 @@ export default function DocumentEditor() {
           throw new Error(`Failed to load JSON file: ${parseError.message}`);
         }
       } else {
-        alert("Please select a .docx, .json, or .docjson file");
+        notify({
+          type: "warning",
+          title: "Unsupported file",
+          message: "Please select a .docx, .json, or .docjson file",
+        });
         return;
       }
 
       if (document) {
         await currentEditor.setCurrentDocument(document);
 
+        if (fileExtension === "docx") {
+          warnAboutMissingFonts(await document.saveDocument());
+        }
+
         const extractedText = await extractAndLogText(document);
 
         if (extractedText && extractedText.trim().length > 0) {
-          alert(
-            `Document loaded successfully!\nExtracted ${extractedText.trim().length} characters.`,
-          );
+          notify({
+            type: "success",
+            title: "Document loaded",
+            message: `Extracted ${extractedText.trim().length} characters.`,
+          });
         } else {
-          alert(
-            "Document loaded but no text could be extracted. Check console for details.",
-          );
+          notify({
+            type: "warning",
+            title: "Document loaded",
+            message: "No text could be extracted. Check console for details.",
+          });
         }
       } else {
         throw new Error(
@@ -496,9 +997,12 @@ export default function DocumentEditor() {
       }
     } catch (error) {
       console.error("Error processing file:", error);
-      alert(
-        `Error loading file: ${error.message}\n\nPlease check the console for more details.`,
-      );
+      notify({
+        type: "error",
+        title: "Error loading file",
+        message:
+          `${error.message}\n\nPlease check the console for more details.`,
+      });
     } finally {
       setIsLoading(false);
       event.target.value = "";
@@ -529,7 +1033,11 @@ export default function DocumentEditor() {
       await extractAndLogText(newDocument);
     } catch (error) {
       console.error("Error creating new document:", error);
-      alert(`Error creating new document: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error creating new document",
+        message: error.message,
+      });
     } finally {
       setIsLoading(false);
     }
@@ -540,9 +1048,13 @@ export default function DocumentEditor() {
    * Downloads a .docjson file that can be imported later
    */
   const handleExportJson = async () => {
-    const currentEditor = editorRef.current;
+    const currentEditor = getActiveEditor();
     if (!currentEditor) {
-      alert("Editor not available for export");
+      notify({
+        type: "error",
+        title: "Editor not available",
+        message: "The editor is not available for export.",
+      });
       return;
     }
 
@@ -552,7 +1064,11 @@ export default function DocumentEditor() {
       const currentDoc = currentEditor.currentDocument();
 
       if (!currentDoc) {
-        alert("No document available to export");
+        notify({
+          type: "warning",
+          title: "No document",
+          message: "There is no document to export.",
+        });
         return;
       }
 
@@ -574,31 +1090,23 @@ export default function DocumentEditor() {
       }
 
       const blob = new Blob([jsonString], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-
-      const timestamp = new Date()
-        .toISOString()
-        .slice(0, 19)
-        .replace(/:/g, "-");
-      const filename = `nutrient-document-${timestamp}.docjson`;
-
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      URL.revokeObjectURL(url);
-
-      alert(
-        `Document exported successfully!\nFile: ${filename}\nSize: ${Math.round(jsonString.length / 1024)} KB\n\nThis file can be imported back into the application.`,
-      );
+      const filename = `nutrient-document-${createFileTimestamp()}.docjson`;
+      downloadBlob(blob, filename);
+
+      notify({
+        type: "success",
+        title: "Document exported",
+        message:
+          `${filename} (${Math.round(jsonString.length / 1024)} KB)\nThis file can be imported back into the application.`,
+      });
     } catch (error) {
       console.error("Error exporting JSON:", error);
-      alert(
-        `Error exporting document: ${error.message}\n\nCheck console for detailed error information.`,
-      );
+      notify({
+        type: "error",
+        title: "Error exporting document",
+        message:
+          `${error.message}\n\nCheck console for detailed error information.`,
+      });
     } finally {
       setIsLoading(false);
     }
@@ -609,9 +1117,13 @@ export default function DocumentEditor() {
    * Downloads a .pdf file
    */
   const handleExportPdf = async () => {
-    const currentEditor = editorRef.current;
+    const currentEditor = getActiveEditor();
     if (!currentEditor) {
-      alert("Editor not available for PDF export");
+      notify({
+        type: "error",
+        title: "Editor not available",
+        message: "The editor is not available for PDF export.",
+      });
       return;
     }
 
@@ -621,7 +1133,11 @@ export default function DocumentEditor() {
       const currentDoc = currentEditor.currentDocument();
 
       if (!currentDoc) {
-        alert("No document available to export to PDF");
+        notify({
+          type: "warning",
+          title: "No document",
+          message: "There is no document to export to PDF.",
+        });
         return;
       }
 
@@ -632,29 +1148,21 @@ export default function DocumentEditor() {
       }
 
       const pdfBlob = new Blob([pdfArrayBuffer], { type: "application/pdf" });
+      const filename = `nutrient-document-${createFileTimestamp()}.pdf`;
+      downloadBlob(pdfBlob, filename);
 
-      const url = URL.createObjectURL(pdfBlob);
-      const timestamp = new Date()
-        .toISOString()
-        .slice(0, 19)
-        .replace(/:/g, "-");
-      const filename = `nutrient-document-${timestamp}.pdf`;
-
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      URL.revokeObjectURL(url);
-
-      alert(
-        `PDF exported successfully!\nFile: ${filename}\nSize: ${Math.round(pdfBlob.size / 1024)} KB`,
-      );
+      notify({
+        type: "success",
+        title: "PDF exported",
+        message: `${filename} (${Math.round(pdfBlob.size / 1024)} KB)`,
+      });
     } catch (error) {
       console.error("Error exporting PDF:", error);
-      alert(`Error exporting PDF: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error exporting PDF",
+        message: error.message,
+      });
     } finally {
       setIsLoading(false);
     }
@@ -665,9 +1173,13 @@ export default function DocumentEditor() {
    * Downloads a .docx file
    */
   const handleExportDocx = async () => {
-    const currentEditor = editorRef.current;
+    const currentEditor = getActiveEditor();
     if (!currentEditor) {
-      alert("Editor not available for DOCX export");
+      notify({
+        type: "error",
+        title: "Editor not available",
+        message: "The editor is not available for DOCX export.",
+      });
       return;
     }
 
@@ -677,7 +1189,11 @@ export default function DocumentEditor() {
       const currentDoc = currentEditor.currentDocument();
 
       if (!currentDoc) {
-        alert("No document available to export to DOCX");
+        notify({
+          type: "warning",
+          title: "No document",
+          message: "There is no document to export to DOCX.",
+        });
         return;
       }
 
@@ -690,86 +1206,283 @@ export default function DocumentEditor() {
       const docxBlob = new Blob([docxArrayBuffer], {
         type: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
       });
+      const filename = `nutrient-document-${createFileTimestamp()}.docx`;
+      downloadBlob(docxBlob, filename);
 
-      const url = URL.createObjectURL(docxBlob);
-      const timestamp = new Date()
-        .toISOString()
-        .slice(0, 19)
-        .replace(/:/g, "-");
-      const filename = `nutrient-document-${timestamp}.docx`;
-
-      const link = document.createElement("a");
-      link.href = url;
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      URL.revokeObjectURL(url);
-
-      alert(
-        `DOCX exported successfully!\nFile: ${filename}\nSize: ${Math.round(docxBlob.size / 1024)} KB`,
-      );
+      notify({
+        type: "success",
+        title: "DOCX exported",
+        message: `${filename} (${Math.round(docxBlob.size / 1024)} KB)`,
+      });
     } catch (error) {
       console.error("Error exporting DOCX:", error);
-      alert(`Error exporting DOCX: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error exporting DOCX",
+        message: error.message,
+      });
     } finally {
       setIsLoading(false);
     }
   };
 
   /**
-   * Extract and display text from current document
-   * Shows a preview of the extracted text in an alert
+   * Extract text, tables and outline from the current document
+   * Opens the extraction panel with download options
    */
   const handleExtractText = async () => {
-    if (!editor) {
-      alert("Editor not available for text extraction");
+    const currentEditor = getActiveEditor();
+    if (!currentEditor) {
+      notify({
+        type: "error",
+        title: "Editor not available",
+        message: "The editor is not available for text extraction.",
+      });
       return;
     }
 
     try {
-      const currentDoc = editor.currentDocument();
+      const currentDoc = currentEditor.currentDocument();
 
       if (!currentDoc) {
-        alert("No document available for text extraction");
+        notify({
+          type: "warning",
+          title: "No document",
+          message: "There is no document to extract content from.",
+        });
         return;
       }
 
       const docObj = await currentDoc.saveDocument();
 
-      if (docObj?.container?.document?.body?.sections) {
-        const sections = docObj.container.document.body.sections;
-        const extractedText = extractTextFromSections(sections);
+      if (getDocumentSections(docObj)) {
+        const extractedText = extractDocumentText(docObj);
 
         if (extractedText && extractedText.trim().length > 0) {
-          const preview =
-            extractedText.length > 300
-              ? `${extractedText.substring(0, 300)}...`
-              : extractedText;
-
-          alert(
-            `Text extraction successful!\n\nExtracted ${extractedText.trim().length} characters.\n\nPreview:\n${preview}\n\nCheck console for full text and detailed extraction log.`,
-          );
+          setExtraction({
+            view: activeView,
+            text: extractedText,
+            tables: extractTables(docObj),
+            outline: createDocumentOutline(docObj),
+            summary: describeDocumentSummary(summarizeDocument(docObj)),
+          });
         } else {
-          alert(
-            "No text could be extracted from the document. The document may be empty or contain no text elements.",
-          );
+          notify({
+            type: "warning",
+            title: "Nothing to extract",
+            message:
+              "No text could be extracted from the document. The document may be empty or contain no text elements.",
+          });
         }
       } else {
         console.error("Document structure is unexpected:", docObj);
-        alert(
-          "Document structure is not as expected. Check console for details.",
-        );
+        notify({
+          type: "error",
+          title: "Unexpected document structure",
+          message: "Check console for details.",
+        });
       }
     } catch (error) {
       console.error("Error during manual text extraction:", error);
-      alert(`Error extracting text: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error extracting text",
+        message: error.message,
+      });
+    }
+  };
+
+  // ==================== Template Library Functions ====================
+
+  /**
+   * Save the template with its data source to the template library
+   *
+   * Every save also adds a version to the template's history.
+   *
+   * @param {string} name - Template name
+   * @param {boolean} asNew - Save a new entry instead of replacing the entry
+   *   the template was opened from
+   * @param {string} note - Optional note of the version
+   * @returns {Promise<Object>} Saved library entry with its version number
+   */
+  const handleSaveToLibrary = async (name, asNew, note) => {
+    const currentDoc = editorRef.current?.currentDocument();
+    if (!currentDoc) {
+      throw new Error("There is no template to save");
+    }
+
+    const template = {
+      name,
+      docJson: await currentDoc.saveDocument(),
+      dataSource: dataSource.data ? dataSource : null,
+      delimiter: getDelimiter(dataSource.data),
+      computedFields,
+      dataSchema,
+    };
+    const entry =
+      asNew || !libraryTemplate
+        ? createTemplateEntry(template)
+        : { ...(await getTemplate(libraryTemplate.id)), ...template };
+
+    const saved = await saveTemplate(entry);
+    const version = await addTemplateVersion(saved, note);
+    setLibraryTemplate({ id: saved.id, name: saved.name });
+    return { ...saved, version: version.number };
+  };
+
+  /**
+   * Load a library entry or version into the editor with its data source
+   *
+   * @param {Object} entry - Library entry or version
+   * @param {Object} template - Library template {id, name} to save it to
+   */
+  const loadLibraryTemplate = async (entry, template) => {
+    const currentEditor = editorRef.current;
+    const currentDocAuthSystem = docAuthSystemRef.current;
+    if (!currentEditor || !currentDocAuthSystem) {
+      throw new Error("Editor or DocAuth system not available");
+    }
+
+    const document = await currentDocAuthSystem.loadDocument(entry.docJson);
+    await currentEditor.setCurrentDocument(document);
+
+    const data = entry.dataSource?.data;
+    const storedDelimiter = getDelimiter(data);
+    setDataSource(
+      entry.dataSource
+        ? {
+            ...entry.dataSource,
+            data:
+              entry.delimiter &&
+              (entry.delimiter.start !== storedDelimiter.start ||
+                entry.delimiter.end !== storedDelimiter.end)
+                ? withDelimiter(data, entry.delimiter)
+                : data,
+          }
+        : { type: "none", data: null, config: {} },
+    );
+    setComputedFields(entry.computedFields ?? []);
+    setDataSchema(entry.dataSchema ?? null);
+    setLibraryTemplate(template);
+  };
+
+  /**
+   * Open a template from the library with its data source
+   *
+   * @param {Object} entry - Library entry
+   */
+  const handleOpenFromLibrary = async (entry) => {
+    try {
+      setIsLoading(true);
+      await loadLibraryTemplate(entry, { id: entry.id, name: entry.name });
+      setShowTemplateLibrary(false);
+
+      notify({
+        type: "success",
+        title: "Template opened",
+        message: entry.dataSource
+          ? `"${entry.name}" with its data source.`
+          : `"${entry.name}" (saved without a data source).`,
+      });
+    } catch (error) {
+      console.error("Error opening template:", error);
+      notify({
+        type: "error",
+        title: "Error opening template",
+        message: error.message,
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Show the version history of a library template
+   *
+   * @param {Object} entry - Library entry
+   */
+  const handleShowTemplateHistory = (entry) => {
+    setShowTemplateLibrary(false);
+    setHistoryTemplate({ id: entry.id, name: entry.name });
+  };
+
+  /**
+   * Restore a version of a library template into the editor
+   * The template stays linked to its library entry, so saving it makes the
+   * restored content the newest version.
+   *
+   * @param {Object} version - Template version
+   */
+  const handleRestoreVersion = async (version) => {
+    try {
+      setIsLoading(true);
+      await loadLibraryTemplate(version, historyTemplate);
+      setHistoryTemplate(null);
+
+      notify({
+        type: "success",
+        title: `Version ${version.number} restored`,
+        message: `Save "${historyTemplate.name}" in the Library to keep it as the latest version.`,
+      });
+    } catch (error) {
+      console.error("Error restoring version:", error);
+      notify({
+        type: "error",
+        title: "Error restoring version",
+        message: error.message,
+      });
+    } finally {
+      setIsLoading(false);
     }
   };
 
   // ==================== Template Designer Functions ====================
 
+  /**
+   * Open the data model derived from the template's placeholders
+   * Always reads the template, also while the result preview is active
+   */
+  const handleDeriveTemplateSchema = async () => {
+    const currentDoc = editorRef.current?.currentDocument();
+    if (!currentDoc) {
+      notify({
+        type: "warning",
+        title: "No document",
+        message: "There is no template to derive a data model from.",
+      });
+      return;
+    }
+
+    try {
+      setTemplateSchemaSource({
+        text: extractDocumentText(await currentDoc.saveDocument()),
+        delimiter: getDelimiter(dataSource.data),
+      });
+    } catch (error) {
+      console.error("Error reading template:", error);
+      notify({
+        type: "error",
+        title: "Error reading template",
+        message: error.message,
+      });
+    }
+  };
+
+  /**
+   * Load the sample data derived from the template as the data source
+   *
+   * @param {Object} data - Sample template data ({config, model})
+   */
+  const handleUseTemplateSample = (data) => {
+    applyDataSource("json-file", data, { filename: "template-sample.json" });
+    setTemplateSchemaSource(null);
+    notify({
+      type: "success",
+      title: "Sample data loaded",
+      message: "Edit the values in the Data panel to try other cases.",
+    });
+  };
+
   /**
    * Trigger JSON file upload for template data
    */
@@ -793,20 +1506,61 @@ export default function DocumentEditor() {
       const text = await file.text();
       const jsonData = JSON.parse(text);
 
-      const fields = extractFieldsFromJson(jsonData);
-      setTemplateFields(fields);
-      setDataSource({
-        type: "json-file",
-        data: jsonData,
-        config: { filename: file.name },
-      });
+      applyDataSource("json-file", jsonData, { filename: file.name });
     } catch (error) {
       console.error("Error loading JSON file:", error);
-      alert(`Error loading JSON file: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error loading JSON file",
+        message: error.message,
+      });
+    }
+    event.target.value = "";
+  };
+
+  /**
+   * Process uploaded CSV/TSV or Excel file
+   * Reads the sheets and opens the column mapping dialog
+   *
+   * @param {Event} event - File input change event
+   */
+  const handleSpreadsheetFileChange = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const sheets = await readSpreadsheetFile(file);
+
+      if (sheets.every((sheet) => sheet.rows.length === 0)) {
+        throw new Error("The spreadsheet is empty");
+      }
+
+      setSpreadsheetImport({ filename: file.name, sheets });
+    } catch (error) {
+      console.error("Error loading spreadsheet:", error);
+      notify({
+        type: "error",
+        title: "Error loading spreadsheet",
+        message: error.message,
+      });
     }
     event.target.value = "";
   };
 
+  /**
+   * Use the converted spreadsheet rows as the data source
+   *
+   * @param {Object} templateData - Rows converted to {config, model}
+   * @param {Object} mapping - Column mapping used for the conversion
+   */
+  const handleSpreadsheetDataSourceApply = (templateData, mapping) => {
+    applyDataSource("spreadsheet", templateData, {
+      filename: spreadsheetImport.filename,
+      spreadsheet: mapping,
+    });
+    setSpreadsheetImport(null);
+  };
+
   /**
    * Load static JSON file from public folder
    *
@@ -815,18 +1569,21 @@ export default function DocumentEditor() {
   const loadStaticJson = async (filename) => {
     try {
       const response = await fetch(`/${filename}`);
+      if (!response.ok) {
+        throw new Error(
+          `${filename} could not be loaded (${response.status})`,
+        );
+      }
       const jsonData = await response.json();
 
-      const fields = extractFieldsFromJson(jsonData);
-      setTemplateFields(fields);
-      setDataSource({
-        type: "json-static",
-        data: jsonData,
-        config: { filename },
-      });
+      applyDataSource("json-static", jsonData, { filename });
     } catch (error) {
       console.error("Error loading static JSON:", error);
-      alert(`Error loading static JSON: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error loading static JSON",
+        message: error.message,
+      });
     }
   };
 
@@ -841,21 +1598,70 @@ export default function DocumentEditor() {
     if (type === "json-file") {
       handleJsonFileUpload();
     } else if (type === "json-static") {
-      const filename = prompt(
-        "Enter JSON filename from public folder:\n\nAvailable files:\n- invoice.json\n- menu.json",
-        "menu.json",
-      );
-      if (filename) {
-        loadStaticJson(filename);
-      }
+      setConfigModalType(type);
+    } else if (type === "spreadsheet") {
+      spreadsheetFileInputRef.current?.click();
     } else if (type === "api" || type === "database") {
-      setShowConfigModal(true);
+      setConfigModalType(type);
     } else {
-      setTemplateFields([]);
       setDataSource({ type: "none", data: null, config: {} });
     }
   };
 
+  /**
+   * Use the response of a configured REST API as the data source
+   *
+   * @param {Object} result - Result of fetchApiData with the template data
+   * @param {Object} apiConfig - API request configuration
+   */
+  const handleApiDataSourceApply = (result, apiConfig) => {
+    applyDataSource("api", result.data, {
+      filename: describeApiConfig(apiConfig),
+      api: apiConfig,
+    });
+    setConfigModalType(null);
+  };
+
+  /**
+   * Use the mapped result of a database query as the data source
+   *
+   * @param {Object} templateData - Query rows mapped to {config, model}
+   * @param {Object} databaseConfig - Database source, query and mapping configuration
+   */
+  const handleDatabaseDataSourceApply = (templateData, databaseConfig) => {
+    applyDataSource("database", templateData, {
+      filename: describeDatabaseConfig(databaseConfig),
+      database: databaseConfig,
+    });
+    setConfigModalType(null);
+  };
+
+  /**
+   * Get the text inserted for a field in the current insert mode
+   * Conditional and if-empty modes wrap the field in a {{#field}} or
+   * {{^field}} section; loop and object end markers are inserted as-is.
+   * Value fields get the selected formatter, e.g. {{total | currency:EUR}}.
+   *
+   * @param {Object} field - Field object with placeholder property
+   * @returns {string} Text to insert
+   */
+  const getFieldInsertText = (field) => {
+    const delimiter = getDelimiter(dataSource.data);
+    const isEndMarker = field.isLoopEnd || field.isObjectEnd;
+
+    if (insertMode !== "field" && field.key && !isEndMarker) {
+      return createSectionSnippet(
+        field.key,
+        insertMode === "if-empty",
+        delimiter,
+      );
+    }
+    if (fieldFormatter && field.key && field.type === "simple") {
+      return formatPlaceholder(`${field.key} | ${fieldFormatter}`, delimiter);
+    }
+    return field.placeholder || formatPlaceholder(field.name, delimiter);
+  };
+
   /**
    * Insert template field at cursor position
    * Note: Uses onMouseDown with preventDefault to keep focus on the editor
@@ -865,16 +1671,27 @@ export default function DocumentEditor() {
   const insertFieldAtCursor = (field) => {
     const currentEditor = editorRef.current;
     if (!currentEditor) {
-      alert("Editor not initialized");
+      notify({
+        type: "error",
+        title: "Editor not initialized",
+      });
       return;
     }
 
+    // Fields are always inserted into the template, never the result
+    if (activeView === "result") {
+      setActiveView("template");
+    }
+
     try {
-      const placeholder = field.placeholder || `{{${field.name}}}`;
-      currentEditor.insertTextAtCursor(placeholder);
+      currentEditor.insertTextAtCursor(getFieldInsertText(field));
     } catch (error) {
       console.error("Error inserting text at cursor:", error);
-      alert(`Error inserting field: ${error.message}`);
+      notify({
+        type: "error",
+        title: "Error inserting field",
+        message: error.message,
+      });
     }
   };
 
@@ -922,210 +1739,250 @@ export default function DocumentEditor() {
   };
 
   /**
-   * Get nested value from object using dot notation
-   * Example: getNestedValue({a: {b: 'value'}}, 'a.b') returns 'value'
+   * Populate a DOCX template with data using the Nutrient Viewer SDK
+   *
+   * @param {ArrayBuffer} templateBuffer - DOCX template
+   * @param {Object} data - Template data ({config, model})
+   * @returns {Promise<ArrayBuffer>} Populated DOCX
    */
-  const getNestedValue = (obj, path) => {
-    // Handle model wrapper (e.g., menu.json has data.model structure)
-    let data = obj;
-    if (obj.model && typeof obj.model === "object") {
-      data = obj.model;
+  const populateWithSdk = async (templateBuffer, data) => {
+    // Get Nutrient Viewer SDK for template population
+    // Wait for the SDK to be available (it loads asynchronously)
+    console.log("Waiting for Nutrient Viewer SDK to load...");
+    let SDK;
+    try {
+      SDK = await whenSdkReady("viewer", SDK_WAIT_TIMEOUT);
+    } catch (error) {
+      throw new Error(
+        `${error.message}\n\n` +
+          "The template population feature requires the Nutrient Viewer SDK.\n\n" +
+          "Check the browser console and Network tab for script loading errors.\n\n" +
+          'Select the "Offline" engine next to Generate to populate without the SDK.',
+      );
     }
 
-    const keys = path.split(".");
-    let current = data;
+    console.log("SDK loaded successfully!", SDK);
 
-    for (const key of keys) {
-      if (current === null || current === undefined) {
-        return undefined;
-      }
-      current = current[key];
+    if (!SDK.populateDocumentTemplate) {
+      throw new Error(
+        "populateDocumentTemplate function not available. This function requires Nutrient Viewer Web SDK.\n\n" +
+          "Please verify:\n" +
+          "• sdk.viewer.version in the app configuration is correct\n" +
+          "• Your license key supports document template population",
+      );
     }
 
-    return current;
+    const populatedBuffer = await SDK.populateDocumentTemplate(
+      {
+        document: templateBuffer,
+        ...(config.licenseKeys.viewer && {
+          licenseKey: config.licenseKeys.viewer,
+        }),
+      },
+      data,
+    );
+
+    if (!populatedBuffer || populatedBuffer.byteLength === 0) {
+      throw new Error(
+        "Template population returned an empty document. This may indicate:\n\n" +
+          "• Invalid template syntax\n" +
+          "• Data format mismatch\n" +
+          "• Empty template document\n\n" +
+          "Please check the console for detailed error messages.",
+      );
+    }
+
+    return populatedBuffer;
   };
 
   /**
-   * Validate template placeholders against data source
-   * Returns validation results with details about issues
-   * Handles nested loops and object contexts
+   * Populate a DOCX template with data using the offline engine
+   * The template is converted to DocJSON, populated and exported again.
+   *
+   * @param {ArrayBuffer} templateBuffer - DOCX template
+   * @param {Object} data - Template data ({config, model})
+   * @returns {Promise<ArrayBuffer>} Populated DOCX
    */
-  const validateTemplate = async (documentText, data) => {
-    const issues = [];
-    const warnings = [];
-
-    // Extract all placeholders from the document
-    const placeholderRegex = /\{\{([^}]+)\}\}/g;
-    const placeholders = [];
-    let match;
-
-    while ((match = placeholderRegex.exec(documentText)) !== null) {
-      placeholders.push({
-        full: match[0],
-        field: match[1].trim(),
-        position: match.index,
-      });
+  const populateOffline = async (templateBuffer, data) => {
+    const currentDocAuthSystem = docAuthSystemRef.current;
+    if (!currentDocAuthSystem) {
+      throw new Error("Document Authoring system not initialized");
     }
 
-    if (placeholders.length === 0) {
-      warnings.push(
-        "No template placeholders found in the document. The document will be generated as-is without any data population.",
-      );
-      return { issues, warnings, placeholderCount: 0 };
+    const template = await currentDocAuthSystem.importDOCX(templateBuffer);
+    const populated = await currentDocAuthSystem.loadDocument(
+      populateDocJson(await template.saveDocument(), data),
+    );
+    return populated.exportDOCX();
+  };
+
+  /**
+   * Pick the backend used for template population
+   * "auto" uses the Web SDK when it is available and otherwise falls back to
+   * the offline engine.
+   *
+   * @returns {Promise<string>} "sdk" or "offline"
+   */
+  const resolveGenerationBackend = async () => {
+    if (generationBackend !== "auto") {
+      return generationBackend;
     }
 
-    // Build context stack to track nested loops
-    const contextStack = [data];
-    const loopStack = [];
+    const SDK = await whenSdkReady("viewer", SDK_FALLBACK_TIMEOUT).catch(
+      () => null,
+    );
+    if (SDK?.populateDocumentTemplate) {
+      return "sdk";
+    }
 
-    placeholders.forEach((placeholder) => {
-      const field = placeholder.field;
+    console.warn("Nutrient Viewer SDK not available, populating offline.");
+    return "offline";
+  };
 
-      // Handle loop/section start markers
-      if (field.startsWith("#")) {
-        const fieldName = field.substring(1);
-        const currentContext = contextStack[contextStack.length - 1];
-        const value = getNestedValue(currentContext, fieldName);
+  /**
+   * Apply placeholder formatters to a DOCX template for the Web SDK
+   * Templates without formatters are returned unchanged.
+   *
+   * @param {ArrayBuffer} templateBuffer - DOCX template
+   * @param {Object} data - Template data ({config, model})
+   * @returns {Promise<Object>} {templateBuffer, data} ready for the SDK
+   */
+  const applyFormattersToDocx = async (templateBuffer, data) => {
+    const currentDocAuthSystem = docAuthSystemRef.current;
+    if (!currentDocAuthSystem) {
+      throw new Error("Document Authoring system not initialized");
+    }
 
-        if (value === undefined) {
-          issues.push(
-            `Loop/Section marker "{{${field}}}" references missing data: "${fieldName}"`,
-          );
-          // Push undefined to maintain stack consistency
-          contextStack.push(undefined);
-          loopStack.push(fieldName);
-        } else if (Array.isArray(value)) {
-          // Array loop - push first item as context (or empty object if array is empty)
-          const itemContext = value.length > 0 ? value[0] : {};
-          contextStack.push(itemContext);
-          loopStack.push(fieldName);
-        } else if (typeof value === "object" && value !== null) {
-          // Object section - push object as context
-          contextStack.push(value);
-          loopStack.push(fieldName);
-        } else {
-          warnings.push(
-            `Loop marker "{{${field}}}" points to "${fieldName}" which is not an array or object (it's a ${typeof value}). This may cause unexpected behavior.`,
-          );
-          contextStack.push(value);
-          loopStack.push(fieldName);
-        }
-      }
-      // Handle loop/section end markers
-      else if (field.startsWith("/")) {
-        const fieldName = field.substring(1);
-        const expectedLoop = loopStack[loopStack.length - 1];
-
-        if (loopStack.length === 0) {
-          warnings.push(
-            `Loop end marker "{{${field}}}" found without a matching start marker.`,
-          );
-        } else if (expectedLoop !== fieldName) {
-          warnings.push(
-            `Loop end marker "{{${field}}}" doesn't match the most recent loop start "{{#${expectedLoop}}}". Loops may be improperly nested.`,
-          );
-        } else {
-          // Pop context when exiting loop
-          contextStack.pop();
-          loopStack.pop();
-        }
-      }
-      // Handle regular field placeholders
-      else {
-        // Check in current context (innermost loop/section)
-        const currentContext = contextStack[contextStack.length - 1];
+    const template = await currentDocAuthSystem.importDOCX(templateBuffer);
+    const prepared = applyTemplateFormatters(
+      await template.saveDocument(),
+      data,
+    );
+    if (prepared.data === data) {
+      return { templateBuffer, data };
+    }
 
-        if (currentContext === undefined) {
-          // Skip validation if we're in an undefined context (already reported as error)
-          return;
-        }
+    const document = await currentDocAuthSystem.loadDocument(prepared.docJson);
+    return { templateBuffer: await document.exportDOCX(), data: prepared.data };
+  };
 
-        // For fields in a loop context, check against the item schema
-        let value;
+  /**
+   * Populate a DOCX template with the selected backend
+   *
+   * @param {ArrayBuffer} templateBuffer - DOCX template
+   * @param {Object} data - Template data ({config, model})
+   * @returns {Promise<ArrayBuffer>} Populated DOCX
+   */
+  const populateTemplateBuffer = async (templateBuffer, data) => {
+    if ((await resolveGenerationBackend()) === "offline") {
+      return populateOffline(templateBuffer, data);
+    }
 
-        // Try to resolve field in current context first
-        if (field.includes(".")) {
-          // Nested field like "address.city"
-          value = getNestedValue(currentContext, field);
-        } else {
-          // Simple field - check current context directly
-          if (
-            typeof currentContext === "object" &&
-            currentContext !== null &&
-            field in currentContext
-          ) {
-            value = currentContext[field];
-          } else {
-            // Fallback to root data if not in current context
-            value = getNestedValue(data, field);
-          }
-        }
+    const prepared = await applyFormattersToDocx(templateBuffer, data);
+    return populateWithSdk(prepared.templateBuffer, prepared.data);
+  };
 
-        // Only report as issue if truly not found anywhere
-        if (value === undefined) {
-          // Check if we're in a loop context
-          if (loopStack.length > 0) {
-            // In a loop, field should exist in the item context
-            if (typeof currentContext === "object" && currentContext !== null) {
-              if (!(field in currentContext)) {
-                issues.push(
-                  `Placeholder "{{${field}}}" in loop "{{#${loopStack[loopStack.length - 1]}}}" has no corresponding field in the loop items.`,
-                );
-              }
-            }
-          } else {
-            // Not in a loop, check root data
-            const rootValue = getNestedValue(data, field);
-            if (rootValue === undefined) {
-              issues.push(
-                `Placeholder "{{${field}}}" has no corresponding data. Please ensure your data source includes a "${field}" field.`,
-              );
-            }
-          }
-        } else if (value === null) {
-          warnings.push(
-            `Placeholder "{{${field}}}" has a null value in the data source.`,
-          );
-        }
-      }
-    });
+  /**
+   * Export the current editor document as a DOCX template
+   *
+   * @returns {Promise<ArrayBuffer>} DOCX template
+   */
+  const createTemplateBuffer = async () => {
+    const currentDoc = editorRef.current?.currentDocument();
+    if (!currentDoc) {
+      throw new Error("No document available");
+    }
 
-    // Check for unclosed loops
-    if (loopStack.length > 0) {
-      loopStack.forEach((loopName) => {
-        warnings.push(
-          `Loop "{{#${loopName}}}" was started but never closed with "{{/${loopName}}}".`,
-        );
-      });
+    const templateBuffer = await currentDoc.exportDOCX();
+
+    if (!templateBuffer || templateBuffer.byteLength === 0) {
+      throw new Error(
+        "Failed to export template. The exported document is empty.",
+      );
     }
 
-    return { issues, warnings, placeholderCount: placeholders.length };
+    return templateBuffer;
   };
 
   /**
-   * Wait for Nutrient Viewer SDK to be available on window
-   * NutrientViewer global objects
-   * @param {number} timeout - Maximum wait time in milliseconds
-   * @returns {Promise<object|null>} - SDK object if loaded, null if timeout
+   * Convert a populated DOCX into a PDF using Document Authoring
+   *
+   * @param {ArrayBuffer} docxBuffer - Populated DOCX
+   * @returns {Promise<ArrayBuffer>} PDF
    */
-  const waitForSDK = (timeout = 5000) => {
-    return new Promise((resolve) => {
-      if (window.NutrientViewer) {
-        resolve(window.NutrientViewer);
-        return;
-      }
+  const convertDocxToPdf = async (docxBuffer) => {
+    const currentDocAuthSystem = docAuthSystemRef.current;
+    if (!currentDocAuthSystem) {
+      throw new Error("Document Authoring system not initialized");
+    }
 
-      const startTime = Date.now();
-      const checkInterval = setInterval(() => {
-        if (window.NutrientViewer) {
-          clearInterval(checkInterval);
-          resolve(window.NutrientViewer);
-        } else if (Date.now() - startTime > timeout) {
-          clearInterval(checkInterval);
-          resolve(null);
-        }
-      }, 100);
+    const document = await currentDocAuthSystem.importDOCX(docxBuffer);
+    const pdfBuffer = await document.exportPDF();
+
+    if (!pdfBuffer || pdfBuffer.byteLength === 0) {
+      throw new Error("PDF export returned empty ArrayBuffer");
+    }
+
+    return pdfBuffer;
+  };
+
+  /**
+   * Select a lint issue and highlight its placeholder in the template
+   * Falls back to a notification with the location if the placeholder is
+   * not rendered in the editor
+   *
+   * @param {Object} issue - Located validation issue
+   * @param {string} key - Key of the issue in the lint panel
+   */
+  const handleSelectLintIssue = (issue, key) => {
+    if (selectedLintIssue === key) {
+      setSelectedLintIssue(null);
+      clearTextHighlight();
+      return;
+    }
+
+    setSelectedLintIssue(key);
+    setActiveView("template");
+
+    if (!issue.placeholder) {
+      clearTextHighlight();
+      return;
+    }
+
+    const found = highlightText(
+      containerRef.current,
+      issue.placeholder,
+      issue.occurrence,
+    );
+
+    if (!found && issue.context) {
+      notify({
+        type: "info",
+        title: `${issue.placeholder} is not visible`,
+        message: `It is located in ${issue.context.label}.`,
+      });
+    }
+  };
+
+  /**
+   * Show the validation issues dialog and wait for the user's decision
+   *
+   * @param {Object} validation - Validation result with located issues
+   * @returns {Promise<boolean>} True if the user wants to generate anyway
+   */
+  const requestValidationDecision = (validation) =>
+    new Promise((resolve) => {
+      setValidationDialog({ validation, resolve });
     });
+
+  /**
+   * Close the validation issues dialog with the user's decision
+   *
+   * @param {boolean} proceed - Whether to continue with generation
+   */
+  const closeValidationDialog = (proceed) => {
+    validationDialog?.resolve(proceed);
+    setValidationDialog(null);
   };
 
   /**
@@ -1138,22 +1995,49 @@ export default function DocumentEditor() {
     const currentDocAuthSystem = docAuthSystemRef.current;
 
     if (!currentEditor) {
-      alert("Editor not initialized. Please load or create a document first.");
+      notify({
+        type: "error",
+        title: "Editor not initialized",
+        message: "Please load or create a document first.",
+      });
       return;
     }
 
     if (!currentDocAuthSystem) {
-      alert(
-        "Document Authoring system not initialized. Please refresh the page.",
-      );
+      notify({
+        type: "error",
+        title: "Document Authoring system not initialized",
+        message: "Please refresh the page.",
+      });
       return;
     }
 
     if (!dataSource.data) {
-      alert("No data source loaded. Please select a data source first.");
+      notify({
+        type: "warning",
+        title: "No data source loaded",
+        message: "Please select a data source first.",
+      });
       return;
     }
 
+    if (schemaValidation?.errorCount > 0) {
+      console.warn("Data schema errors:", schemaValidation.errors);
+      if (dataSchema.strict) {
+        notify({
+          type: "error",
+          title: "Generation blocked by the data schema",
+          message: `${describeSchemaErrors(schemaValidation)}\nFix the data or turn off strict mode in Data Model.`,
+        });
+        return;
+      }
+      notify({
+        type: "warning",
+        title: `Data does not match the schema (${schemaValidation.errorCount})`,
+        message: describeSchemaErrors(schemaValidation),
+      });
+    }
+
     try {
       setIsLoading(true);
 
@@ -1164,144 +2048,113 @@ export default function DocumentEditor() {
 
       // Extract document text for validation
       const docObj = await currentDoc.saveDocument();
-      let documentText = "";
-
-      if (docObj?.container?.document?.body?.sections) {
-        documentText = extractTextFromSections(
-          docObj.container.document.body.sections,
-        );
-      }
+      const textExtraction = extractDocumentTextWithLocations(docObj);
+      const documentText = textExtraction.text;
 
       // Validate template before attempting to generate
       console.log("Validating template...");
       console.log("Document text:", documentText);
-      console.log("Data source:", dataSource.data);
-      const validation = await validateTemplate(documentText, dataSource.data);
+      console.log("Data source:", templateData);
+      const validation = validateTemplate(documentText, templateData);
       console.log("Validation results:", validation);
 
-      // Show validation results only if there are critical issues
+      // Ask the user how to continue only if there are critical issues
       if (validation.issues.length > 0) {
-        const issueList = validation.issues
-          .map((issue, i) => `${i + 1}. ${issue}`)
-          .join("\n\n");
-
-        const proceed = confirm(
-          "⚠️ Template Validation Issues Found\n\n" +
-            `${validation.issues.length} issue(s) detected:\n\n${issueList}\n\n` +
-            "Note: These issues may be false positives if your template uses advanced nested structures.\n\n" +
-            "Recommendations:\n" +
-            "• Review the console log for detailed validation results\n" +
-            "• Verify that loop contexts are correctly structured\n" +
-            "• Check that nested fields exist in their respective loop items\n\n" +
-            "Do you want to proceed? (Click OK to continue, Cancel to review your template)",
+        setIsLoading(false);
+        const proceed = await requestValidationDecision(
+          locateValidationIssues(validation, textExtraction),
         );
 
         if (!proceed) {
           console.log("Template validation details:", validation);
           return;
         }
+        setIsLoading(true);
       } else if (validation.warnings.length > 0) {
         console.warn("Template validation warnings:", validation);
         // Don't block generation for warnings, just log them
       }
 
-      // Export current document as DOCX template
-      console.log("Exporting template as DOCX...");
-      const templateBuffer = await currentDoc.exportDOCX();
-
-      if (!templateBuffer || templateBuffer.byteLength === 0) {
-        throw new Error(
-          "Failed to export template. The exported document is empty.",
-        );
-      }
-
-      // Get Nutrient Viewer SDK for template population
-      // Wait for the SDK to be available (it loads asynchronously)
-      console.log("Waiting for Nutrient Viewer SDK to load...");
-      const SDK = await waitForSDK(10000); // Increased timeout to 10 seconds
+      const backend = await resolveGenerationBackend();
+      let generatedDocument;
 
-      if (!SDK) {
-        throw new Error(
-          "Nutrient Viewer SDK not found after waiting 10 seconds.\n\n" +
-            "The template population feature requires the Nutrient Viewer SDK.\n\n" +
-            "Please ensure this script is loaded in your index.html:\n" +
-            "https://cdn.nutrient.io/v2024.8.2/nutrient-lib.js\n\n" +
-            "Check the browser console and Network tab for script loading errors.",
+      if (backend === "offline") {
+        // Populate the DocJSON directly; no DOCX round trip is needed
+        console.log("Populating template with the offline engine...");
+        generatedDocument = await currentDocAuthSystem.loadDocument(
+          populateDocJson(docObj, templateData),
         );
-      }
-
-      console.log("SDK loaded successfully!", SDK);
+      } else {
+        // The Web SDK does not know formatters; apply them beforehand
+        const prepared = applyTemplateFormatters(docObj, templateData);
+
+        // Export current document as DOCX template
+        console.log("Exporting template as DOCX...");
+        const templateBuffer =
+          prepared.docJson === docObj
+            ? await currentDoc.exportDOCX()
+            : await (
+                await currentDocAuthSystem.loadDocument(prepared.docJson)
+              ).exportDOCX();
+
+        if (!templateBuffer || templateBuffer.byteLength === 0) {
+          throw new Error(
+            "Failed to export template. The exported document is empty.",
+          );
+        }
 
-      if (!SDK.populateDocumentTemplate) {
-        throw new Error(
-          "populateDocumentTemplate function not available. This function requires Nutrient Viewer Web SDK.\n\n" +
-            "Please verify:\n" +
-            "• The correct SDK version is loaded in index.html\n" +
-            "• Your license key supports document template population",
+        // Populate template with data
+        console.log("Populating template with data...");
+        console.log("Data source:", prepared.data);
+        const populatedBuffer = await populateWithSdk(
+          templateBuffer,
+          prepared.data,
         );
-      }
-
-      // Prepare data for template population
-      console.log("Populating template with data...");
-      console.log("Data source:", dataSource.data);
 
-      // Populate template with data
-      const populatedBuffer = await SDK.populateDocumentTemplate(
-        { document: templateBuffer },
-        dataSource.data,
-      );
-
-      if (!populatedBuffer || populatedBuffer.byteLength === 0) {
-        throw new Error(
-          "Template population returned an empty document. This may indicate:\n\n" +
-            "• Invalid template syntax\n" +
-            "• Data format mismatch\n" +
-            "• Empty template document\n\n" +
-            "Please check the console for detailed error messages.",
-        );
+        // Import populated DOCX back into Document Authoring
+        console.log("Importing generated document...");
+        generatedDocument =
+          await currentDocAuthSystem.importDOCX(populatedBuffer);
       }
 
-      // Import populated DOCX back into Document Authoring
-      console.log("Importing generated document...");
-      const generatedDocument =
-        await currentDocAuthSystem.importDOCX(populatedBuffer);
-
       if (!generatedDocument) {
         throw new Error("Failed to import the generated document.");
       }
 
-      // Set generated document in editor
-      await currentEditor.setCurrentDocument(generatedDocument);
-
-      const successMessage =
-        validation.placeholderCount > 0
-          ? "✅ Document generated successfully!\n\n" +
-            `• ${validation.placeholderCount} placeholder(s) populated\n` +
-            `• ${validation.warnings.length} warning(s)\n\n` +
-            "The populated template is now displayed in the editor."
-          : "✅ Document generated!\n\n" +
-            "No placeholders were found, so the document was copied as-is.";
-
-      alert(successMessage);
+      // Show generated document in the result preview, keeping the template
+      await showGeneratedDocument(generatedDocument);
+
+      notify({
+        type: "success",
+        title: "Document generated",
+        message:
+          validation.placeholderCount > 0
+            ? `${validation.placeholderCount} placeholder(s) populated ` +
+              `with the ${GENERATION_BACKENDS[backend]}, ` +
+              `${validation.warnings.length} warning(s). ` +
+              "The result is shown in the Result view; your template is unchanged."
+            : "No placeholders were found, so the document was copied as-is.",
+      });
     } catch (error) {
       console.error("Error generating document:", error);
       console.error("Error stack:", error.stack);
 
       // Enhanced error message based on error type
-      let userMessage = "❌ Document Generation Failed\n\n";
+      let userMessage = "";
+      const delimiter = getDelimiter(dataSource.data);
 
       if (error.message.includes("Object reference not set")) {
         userMessage +=
           "Issue: Template processing error\n\n" +
           "This usually means:\n" +
           "• A placeholder references missing or null data\n" +
-          "• Loop markers ({{#field}}/{{/field}}) are mismatched or incomplete\n" +
+          `• Loop markers (${formatPlaceholder("#field", delimiter)}/${formatPlaceholder("/field", delimiter)}) are mismatched or incomplete\n` +
           "• Data structure doesn't match template expectations\n\n" +
           "Troubleshooting steps:\n" +
-          "1. Review the validation messages above\n" +
+          "1. Review the template validation issues\n" +
           "2. Ensure all placeholders have corresponding data\n" +
           "3. Check that loop markers are properly paired:\n" +
-          "   {{#items}} ... {{/items}}\n" +
+          `   ${formatPlaceholder("#items", delimiter)} ... ${formatPlaceholder("/items", delimiter)}\n` +
           "4. Verify your data source structure matches the template\n\n" +
           `Technical details: ${error.message}`;
       } else if (error.message.includes("unknown_error")) {
@@ -1328,7 +2181,11 @@ export default function DocumentEditor() {
           "Please check the browser console for more information.";
       }
 
-      alert(userMessage);
+      notify({
+        type: "error",
+        title: "Document Generation Failed",
+        message: userMessage,
+      });
     } finally {
       setIsLoading(false);
     }
@@ -1341,11 +2198,19 @@ export default function DocumentEditor() {
         onNewDocument={handleNewDocument}
         onLoadDocument={handleDocxUpload}
         onGenerateDocument={handleGenerateDocument}
+        generationBackend={generationBackend}
+        onGenerationBackendChange={setGenerationBackend}
+        onBatchGenerate={() => setShowBatchModal(true)}
         onExtractText={handleExtractText}
+        onDeriveTemplateSchema={handleDeriveTemplateSchema}
+        onOpenLibrary={() => setShowTemplateLibrary(true)}
+        onOpenFonts={() => setShowFontManager(true)}
+        libraryTemplateName={libraryTemplate?.name}
         onExportJson={handleExportJson}
         onExportPdf={handleExportPdf}
         onExportDocx={handleExportDocx}
         isLoading={isLoading}
+        features={config.features}
         dataSource={dataSource}
         onDataSourceChange={handleDataSourceChange}
       />
@@ -1358,6 +2223,60 @@ export default function DocumentEditor() {
             <div className="sidebar-header">
               <h3>Template Fields</h3>
               <p className="sidebar-hint">Drag or click to insert</p>
+              <DelimiterControl
+                delimiter={getDelimiter(dataSource.data)}
+                onChange={handleDelimiterChange}
+              />
+              <div
+                className="insert-mode"
+                role="radiogroup"
+                aria-label="Insert as"
+              >
+                {INSERT_MODES.map((mode) => (
+                  <button
+                    key={mode.id}
+                    type="button"
+                    role="radio"
+                    aria-checked={insertMode === mode.id}
+                    className={insertMode === mode.id ? "active" : ""}
+                    onClick={() => setInsertMode(mode.id)}
+                    title={mode.title}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+              <label className="field-format">
+                <span>Format</span>
+                <select
+                  value={fieldFormatter}
+                  onChange={(e) => setFieldFormatter(e.target.value)}
+                  disabled={insertMode !== "field"}
+                  title="Formatter added to inserted value fields"
+                >
+                  <option value="">None</option>
+                  {FORMATTER_GROUPS.map((group) => (
+                    <optgroup key={group} label={group}>
+                      {FORMATTER_PRESETS.filter(
+                        (preset) => preset.group === group,
+                      ).map((preset) => (
+                        <option key={preset.value} value={preset.value}>
+                          {preset.label}
+                        </option>
+                      ))}
+                    </optgroup>
+                  ))}
+                </select>
+              </label>
+              <button
+                type="button"
+                className="toolbar-button secondary small computed-fields-button"
+                onClick={() => setShowComputedFieldsModal(true)}
+                title="Define fields calculated from the data, e.g. totals"
+              >
+                🧮 Computed Fields
+                {computedFields.length > 0 && ` (${computedFields.length})`}
+              </button>
             </div>
             <div className="fields-container">
               {templateFields.map((field) => (
@@ -1372,11 +2291,35 @@ export default function DocumentEditor() {
                     e.preventDefault();
                     insertFieldAtCursor(field);
                   }}
-                  title={`Insert ${field.placeholder}`}
+                  title={describeFieldScope(
+                    field,
+                    getDelimiter(dataSource.data),
+                  )}
                   tabIndex={-1}
                 >
-                  <span className="field-icon">📋</span>
-                  <span className="field-label">{field.label}</span>
+                  <span
+                    className="field-icon"
+                    title={field.computed ? "Computed field" : undefined}
+                  >
+                    {field.computed ? "🧮" : "📋"}
+                  </span>
+                  <span className="field-text">
+                    <span className="field-label">{field.label}</span>
+                    {field.scope.length > 0 && (
+                      <span className="field-scope">
+                        in {field.scope.map((section) => section.key).join(" › ")}
+                      </span>
+                    )}
+                  </span>
+                  {lintResult?.usedFields?.has(field.name) && (
+                    <span
+                      className="field-used"
+                      title="Used in the template"
+                      aria-label="Used in the template"
+                    >
+                      ✓
+                    </span>
+                  )}
                 </button>
               ))}
             </div>
@@ -1398,45 +2341,257 @@ export default function DocumentEditor() {
             </div>
           )}
 
-          <div ref={containerRef} className="editor-wrapper" />
-        </section>
-      </div>
-
-      {/* Configuration Modal */}
-      {showConfigModal && (
-        <div
-          className="modal-overlay"
-          role="dialog"
-          aria-modal="true"
-          aria-labelledby="modal-title"
-          onClick={() => setShowConfigModal(false)}
-          onKeyDown={(e) => {
-            if (e.key === "Escape") {
-              setShowConfigModal(false);
-            }
-          }}
-        >
-          <div
-            className="modal-content"
-            onClick={(e) => e.stopPropagation()}
-            onKeyDown={(e) => e.stopPropagation()}
-            role="document"
-          >
-            <h2 id="modal-title">Configure Data Source</h2>
-            <p>API and Database configuration coming soon...</p>
-            <div className="modal-actions">
+          {editor && (
+            <div className="editor-view-tabs" role="tablist">
+              <button
+                type="button"
+                role="tab"
+                aria-selected={activeView === "template"}
+                className={`view-tab ${activeView === "template" ? "active" : ""}`}
+                onClick={() => setActiveView("template")}
+              >
+                Template
+              </button>
+              <button
+                type="button"
+                role="tab"
+                aria-selected={activeView === "result"}
+                className={`view-tab ${activeView === "result" ? "active" : ""}`}
+                onClick={() => setActiveView("result")}
+                disabled={!hasResult}
+                title={
+                  hasResult
+                    ? "Generated document (read-only)"
+                    : "Generate a document to see the result"
+                }
+              >
+                Result
+              </button>
+              <label className="view-split-toggle">
+                <input
+                  type="checkbox"
+                  checked={isSplitView}
+                  onChange={(e) => setIsSplitView(e.target.checked)}
+                  disabled={!hasResult}
+                />
+                Side by side
+              </label>
               <button
                 type="button"
-                onClick={() => setShowConfigModal(false)}
-                className="toolbar-button secondary"
+                className={`view-tab ${isLintPanelOpen ? "active" : ""}`}
+                onClick={() => setIsLintPanelOpen((open) => !open)}
+                aria-pressed={isLintPanelOpen}
               >
-                Close
+                Lint
+                {lintResult?.issues.length > 0 && (
+                  <span className="lint-count">
+                    {lintResult.issues.length}
+                  </span>
+                )}
+              </button>
+              <button
+                type="button"
+                className={`view-tab ${isDataEditorOpen ? "active" : ""}`}
+                onClick={() => setIsDataEditorOpen((open) => !open)}
+                aria-pressed={isDataEditorOpen}
+                disabled={!dataSource.data}
+                title={
+                  dataSource.data
+                    ? "Edit the loaded data"
+                    : "Load a data source to edit its data"
+                }
+              >
+                Data
               </button>
             </div>
+          )}
+
+          <div
+            className={`editor-panes ${isSplitView && hasResult ? "split" : ""}`}
+          >
+            <div
+              className={`editor-pane ${activeView === "template" ? "active" : ""}`}
+              onMouseDown={() => setActiveView("template")}
+            >
+              <div ref={containerRef} className="editor-wrapper" />
+            </div>
+            <div
+              className={`editor-pane result-pane ${activeView === "result" ? "active" : ""}`}
+              onMouseDown={() => hasResult && setActiveView("result")}
+            >
+              <span className="read-only-badge">Result · read-only</span>
+              <div ref={resultContainerRef} className="editor-wrapper" />
+            </div>
           </div>
-        </div>
+        </section>
+
+        {/* Right Panel with live template lint results */}
+        {editor && isLintPanelOpen && (
+          <LintPanel
+            lintResult={lintResult}
+            isLinting={isLinting}
+            hasDataSource={Boolean(dataSource.data)}
+            schemaValidation={schemaValidation}
+            isSchemaStrict={Boolean(dataSchema?.strict)}
+            selectedIssueKey={selectedLintIssue}
+            onSelectIssue={handleSelectLintIssue}
+            onClose={() => setIsLintPanelOpen(false)}
+          />
+        )}
+
+        {/* Right Panel for editing the loaded data */}
+        {editor && isDataEditorOpen && dataSource.data && (
+          <DataEditorPanel
+            data={dataSource.data}
+            onApply={handleDataEditorApply}
+            onDownload={handleEditedDataDownload}
+            onClose={() => setIsDataEditorOpen(false)}
+          />
+        )}
+      </div>
+
+      {/* API Configuration Modal */}
+      {configModalType === "api" && (
+        <ApiConfigModal
+          initialConfig={dataSource.config.api}
+          onApply={handleApiDataSourceApply}
+          onClose={() => setConfigModalType(null)}
+        />
       )}
 
+      {/* Database Configuration Modal */}
+      {configModalType === "database" && (
+        <DatabaseConfigModal
+          initialConfig={dataSource.config.database}
+          onApply={handleDatabaseDataSourceApply}
+          onClose={() => setConfigModalType(null)}
+        />
+      )}
+
+      {/* Spreadsheet Column Mapping Modal */}
+      {spreadsheetImport && (
+        <SpreadsheetMappingModal
+          filename={spreadsheetImport.filename}
+          sheets={spreadsheetImport.sheets}
+          onApply={handleSpreadsheetDataSourceApply}
+          onClose={() => setSpreadsheetImport(null)}
+        />
+      )}
+
+      {/* Computed Fields Modal */}
+      {showComputedFieldsModal && (
+        <ComputedFieldsModal
+          definitions={computedFields}
+          data={dataSource.data}
+          scopes={templateFields
+            .filter((field) => field.isLoopStart && !field.computed)
+            .map((field) => field.path)}
+          onApply={handleComputedFieldsApply}
+          onClose={() => setShowComputedFieldsModal(false)}
+        />
+      )}
+
+      {/* Batch Generation Modal */}
+      {showBatchModal && (
+        <BatchGenerationModal
+          data={dataSource.data}
+          createTemplateBuffer={createTemplateBuffer}
+          populateTemplate={(templateBuffer, data) =>
+            populateTemplateBuffer(
+              templateBuffer,
+              applyComputedFields(data, computedFields).data,
+            )
+          }
+          convertDocxToPdf={convertDocxToPdf}
+          validateRecord={
+            dataSchema
+              ? (data) =>
+                  checkDataSchema(
+                    applyComputedFields(data, computedFields).data,
+                    dataSchema,
+                  )
+              : null
+          }
+          isSchemaStrict={Boolean(dataSchema?.strict)}
+          onClose={() => setShowBatchModal(false)}
+        />
+      )}
+
+      {extraction && (
+        <ExtractionModal
+          extraction={extraction}
+          onClose={() => setExtraction(null)}
+        />
+      )}
+
+      {showTemplateLibrary && (
+        <TemplateLibraryModal
+          currentTemplate={libraryTemplate}
+          onSave={handleSaveToLibrary}
+          onOpen={handleOpenFromLibrary}
+          onShowHistory={handleShowTemplateHistory}
+          onClose={() => setShowTemplateLibrary(false)}
+        />
+      )}
+
+      {showFontManager && (
+        <FontManagerModal
+          families={fontLibrary.families}
+          manifestError={fontLibrary.manifestError}
+          failedFonts={fontLibrary.failedFonts}
+          registeredFontIds={fontLibrary.uploadedFontIds}
+          onClose={() => setShowFontManager(false)}
+        />
+      )}
+
+      {historyTemplate && (
+        <TemplateHistoryModal
+          template={historyTemplate}
+          onRestore={handleRestoreVersion}
+          onClose={() => setHistoryTemplate(null)}
+        />
+      )}
+
+      {templateSchemaSource && (
+        <TemplateSchemaModal
+          text={templateSchemaSource.text}
+          delimiter={templateSchemaSource.delimiter}
+          dataSchema={dataSchema}
+          onDataSchemaChange={setDataSchema}
+          onUseSample={handleUseTemplateSample}
+          onClose={() => setTemplateSchemaSource(null)}
+        />
+      )}
+
+      {configModalType === "json-static" && (
+        <JsonFilePickerModal
+          files={publicJsonFiles}
+          onSelect={(filename) => {
+            setConfigModalType(null);
+            loadStaticJson(filename);
+          }}
+          onClose={() => setConfigModalType(null)}
+        />
+      )}
+
+      {restoreDialog && (
+        <RestoreSessionModal
+          session={restoreDialog.session}
+          onRestore={() => restoreDialog.resolve(true)}
+          onSkip={() => restoreDialog.resolve(false)}
+        />
+      )}
+
+      {validationDialog && (
+        <ValidationIssuesModal
+          validation={validationDialog.validation}
+          onProceed={() => closeValidationDialog(true)}
+          onCancel={() => closeValidationDialog(false)}
+        />
+      )}
+
+      <ToastContainer toasts={toasts} onDismiss={dismissToast} />
+
       {/* Hidden File Inputs */}
       <input
         ref={fileInputRef}
@@ -1452,6 +2607,13 @@ export default function DocumentEditor() {
         onChange={handleJsonFileChange}
         style={{ display: "none" }}
       />
+      <input
+        ref={spreadsheetFileInputRef}
+        type="file"
+        accept={SPREADSHEET_EXTENSIONS.map((ext) => `.${ext}`).join(",")}
+        onChange={handleSpreadsheetFileChange}
+        style={{ display: "none" }}
+      />
     </div>
   );
 }
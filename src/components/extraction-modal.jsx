@@ -0,0 +1,240 @@
+// src/components/extraction-modal.jsx
+import { useState } from "react";
+import { formatDelimitedText } from "../utils/spreadsheet-data-source.js";
+import { createFileTimestamp, downloadBlob } from "../utils/download.js";
+
+const TABS = [
+  { id: "text", label: "Text" },
+  { id: "tables", label: "Tables" },
+  { id: "outline", label: "Outline" },
+];
+
+/**
+ * Convert an extracted table to a matrix of cell texts
+ *
+ * @param {Object} table - Table from extractTables
+ * @returns {Array<Array<string>>} Rows of cell texts
+ */
+const toCellMatrix = (table) =>
+  table.rows.map((row) => row.cells.map((cell) => cell.text));
+
+/**
+ * Download text content as a file
+ *
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} filename - File name
+ */
+const downloadText = (content, type, filename) => {
+  downloadBlob(new Blob([content], { type }), filename);
+};
+
+/**
+ * Extraction Modal
+ *
+ * Structured extraction of the active document: the full plain text, every
+ * table with its row/cell structure (CSV or JSON) and an outline of headings
+ * and paragraphs with their style IDs (JSON). Lets downstream systems consume
+ * documents without parsing DOCX.
+ */
+export default function ExtractionModal({ extraction, onClose }) {
+  const [activeTab, setActiveTab] = useState("text");
+  const baseName = `${extraction.view}-${createFileTimestamp()}`;
+
+  const downloadTableCsv = (table) => {
+    downloadText(
+      formatDelimitedText(toCellMatrix(table)),
+      "text/csv",
+      `${baseName}-table-${table.index + 1}.csv`,
+    );
+  };
+
+  const downloadTableJson = (table) => {
+    downloadText(
+      JSON.stringify(table, null, 2),
+      "application/json",
+      `${baseName}-table-${table.index + 1}.json`,
+    );
+  };
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="extraction-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="extraction-modal-title">Extract Content</h2>
+
+        <div className="modal-body">
+          <p className="form-hint">
+            {extraction.view === "result" ? "Result" : "Template"} document ·{" "}
+            {extraction.text.trim().length} characters · {extraction.summary}
+          </p>
+
+          <div className="extraction-tabs" role="tablist">
+            {TABS.map((tab) => (
+              <button
+                key={tab.id}
+                type="button"
+                role="tab"
+                aria-selected={activeTab === tab.id}
+                className={`view-tab ${activeTab === tab.id ? "active" : ""}`}
+                onClick={() => setActiveTab(tab.id)}
+              >
+                {tab.label}
+                {tab.id === "tables" && ` (${extraction.tables.length})`}
+              </button>
+            ))}
+          </div>
+
+          {activeTab === "text" && (
+            <>
+              <div className="response-preview">
+                <div className="response-preview-meta">Plain text</div>
+                <pre>{extraction.text}</pre>
+              </div>
+              <div className="form-row">
+                <button
+                  type="button"
+                  onClick={() =>
+                    downloadText(
+                      extraction.text,
+                      "text/plain",
+                      `${baseName}.txt`,
+                    )
+                  }
+                  className="toolbar-button small"
+                >
+                  Download .txt
+                </button>
+              </div>
+            </>
+          )}
+
+          {activeTab === "tables" &&
+            (extraction.tables.length === 0 ? (
+              <p>The document contains no tables.</p>
+            ) : (
+              <>
+                {extraction.tables.map((table) => (
+                  <div key={table.index} className="extraction-table">
+                    <div className="extraction-table-header">
+                      <span className="form-label">
+                        {table.location.label} · {table.rows.length} row(s)
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => downloadTableCsv(table)}
+                        className="toolbar-button secondary small"
+                      >
+                        CSV
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => downloadTableJson(table)}
+                        className="toolbar-button secondary small"
+                      >
+                        JSON
+                      </button>
+                    </div>
+                    <div className="result-table-wrapper">
+                      <table className="result-table">
+                        <tbody>
+                          {table.rows.map((row, rowIndex) => (
+                            <tr key={rowIndex}>
+                              {row.cells.map((cell, cellIndex) => (
+                                <td key={cellIndex}>{cell.text}</td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                ))}
+                <div className="form-row">
+                  <button
+                    type="button"
+                    onClick={() =>
+                      downloadText(
+                        JSON.stringify(extraction.tables, null, 2),
+                        "application/json",
+                        `${baseName}-tables.json`,
+                      )
+                    }
+                    className="toolbar-button small"
+                  >
+                    Download All Tables (JSON)
+                  </button>
+                </div>
+              </>
+            ))}
+
+          {activeTab === "outline" && (
+            <>
+              <ul className="outline-list">
+                {extraction.outline.map((block, index) => (
+                  <li
+                    key={index}
+                    className={
+                      block.type === "heading"
+                        ? `outline-heading level-${block.level}`
+                        : "outline-paragraph"
+                    }
+                  >
+                    <span className="outline-style">
+                      {block.styleId ?? "(no style)"}
+                    </span>
+                    <span className="outline-text">{block.text}</span>
+                  </li>
+                ))}
+              </ul>
+              <div className="form-row">
+                <button
+                  type="button"
+                  onClick={() =>
+                    downloadText(
+                      JSON.stringify(extraction.outline, null, 2),
+                      "application/json",
+                      `${baseName}-outline.json`,
+                    )
+                  }
+                  className="toolbar-button small"
+                >
+                  Download Outline (JSON)
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
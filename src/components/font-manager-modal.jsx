@@ -0,0 +1,313 @@
+// src/components/font-manager-modal.jsx
+import { useEffect, useRef, useState } from "react";
+import {
+  addUploadedFont,
+  deleteUploadedFont,
+  describeFontFace,
+  listUploadedFonts,
+  registerPreviewFace,
+} from "../utils/fonts.js";
+
+const DEFAULT_PREVIEW_TEXT = "Invoice #1024 · The quick brown fox jumps";
+
+/**
+ * Get the style that shows a text in a font face
+ * Registering the preview face is idempotent, so it can run while rendering.
+ *
+ * @param {string} previewFamily - Preview family name of the face
+ * @param {Object} face - Face {weight, style} with a `url` or `data`
+ * @returns {Object} Inline style
+ */
+const getPreviewStyle = (previewFamily, face) => ({
+  fontFamily: `"${registerPreviewFace(previewFamily, face)}", sans-serif`,
+  fontWeight: face.weight,
+  fontStyle: face.style,
+});
+
+/**
+ * Font Manager Modal
+ *
+ * Lists the font families bundled with the app (from the font manifest) and
+ * the fonts uploaded by the user, with a preview of each face, and the
+ * bundled font files that failed to load. Uploaded TTF and OTF files are
+ * stored in the browser and registered with the editor when it starts, so
+ * new uploads are available after a reload.
+ */
+export default function FontManagerModal({
+  families,
+  manifestError,
+  failedFonts,
+  registeredFontIds,
+  onClose,
+}) {
+  const fontInputRef = useRef(null);
+  const [uploadedFonts, setUploadedFonts] = useState(null);
+  const [expandedFamily, setExpandedFamily] = useState(null);
+  const [previewText, setPreviewText] = useState(DEFAULT_PREVIEW_TEXT);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listUploadedFonts()
+      .then((fonts) => {
+        if (!cancelled) setUploadedFonts(fonts);
+      })
+      .catch((loadError) => {
+        if (!cancelled) {
+          setUploadedFonts([]);
+          setError(loadError.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleUpload = async (event) => {
+    const files = [...event.target.files];
+    event.target.value = "";
+    if (files.length === 0) return;
+
+    setIsBusy(true);
+    setError(null);
+    setMessage(null);
+
+    const failures = [];
+    for (const file of files) {
+      try {
+        await addUploadedFont(file);
+      } catch (uploadError) {
+        failures.push(uploadError.message);
+      }
+    }
+
+    try {
+      setUploadedFonts(await listUploadedFonts());
+    } catch (loadError) {
+      failures.push(loadError.message);
+    }
+    if (failures.length > 0) {
+      setError(failures.join("\n"));
+    }
+    if (failures.length < files.length) {
+      setMessage(
+        `${files.length - failures.length} font(s) uploaded. Reload the page to use them in the editor.`,
+      );
+    }
+    setIsBusy(false);
+  };
+
+  const handleDelete = async (font) => {
+    setIsBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      await deleteUploadedFont(font.id);
+      setUploadedFonts(await listUploadedFonts());
+    } catch (deleteError) {
+      setError(deleteError.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const sampleText = previewText || DEFAULT_PREVIEW_TEXT;
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="font-manager-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="font-manager-modal-title">Fonts</h2>
+
+        <div className="modal-body">
+          <input
+            type="text"
+            value={previewText}
+            onChange={(e) => setPreviewText(e.target.value)}
+            placeholder="Preview text"
+            className="form-input"
+            aria-label="Preview text"
+          />
+
+          {error && <div className="form-error">{error}</div>}
+          {message && <p className="form-hint">{message}</p>}
+
+          <fieldset className="form-fieldset">
+            <legend>Uploaded fonts</legend>
+            {uploadedFonts === null ? (
+              <p>Loading fonts...</p>
+            ) : uploadedFonts.length === 0 ? (
+              <p className="form-hint">
+                No fonts uploaded. Upload the TTF or OTF files of fonts your
+                DOCX templates use; they are stored in this browser.
+              </p>
+            ) : (
+              <ul className="template-library-list">
+                {uploadedFonts.map((font) => (
+                  <li key={font.id} className="template-library-item">
+                    <div className="template-library-info">
+                      <span className="template-library-name">
+                        {font.family} · {describeFontFace(font)}
+                      </span>
+                      <span
+                        className="font-preview-sample"
+                        style={getPreviewStyle(`Uploaded ${font.id}`, font)}
+                      >
+                        {sampleText}
+                      </span>
+                      <span className="form-hint">
+                        {font.fileName}
+                        {!registeredFontIds.includes(font.id) &&
+                          " · available after reloading the page"}
+                      </span>
+                    </div>
+                    <div className="template-library-actions">
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(font)}
+                        disabled={isBusy}
+                        className="toolbar-button secondary small"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div className="form-row">
+              <button
+                type="button"
+                onClick={() => fontInputRef.current?.click()}
+                disabled={isBusy}
+                className="toolbar-button small"
+              >
+                Upload Fonts…
+              </button>
+              <input
+                ref={fontInputRef}
+                type="file"
+                accept=".ttf,.otf,font/ttf,font/otf"
+                multiple
+                onChange={handleUpload}
+                style={{ display: "none" }}
+              />
+            </div>
+          </fieldset>
+
+          <span className="form-label">Bundled families</span>
+          <p className="form-hint">
+            Bundled fonts are downloaded when a document uses them or they are
+            selected in the editor, and are cached in the browser after that.
+          </p>
+          {manifestError && <div className="form-error">{manifestError}</div>}
+          {failedFonts.length > 0 && (
+            <div className="form-error">
+              {failedFonts.length} font file(s) could not be loaded:{" "}
+              {failedFonts.map((font) => font.file).join(", ")}
+            </div>
+          )}
+          <ul className="template-library-list">
+            {families.map((family) => {
+              const isExpanded = expandedFamily === family.family;
+              const regularFace =
+                family.faces.find(
+                  (face) => face.weight === 400 && face.style === "normal",
+                ) ?? family.faces[0];
+
+              return (
+                <li key={family.family} className="font-family-item">
+                  <div className="template-library-item">
+                    <div className="template-library-info">
+                      <span
+                        className="font-preview-sample"
+                        style={
+                          regularFace &&
+                          getPreviewStyle(
+                            `Bundled ${family.family}`,
+                            regularFace,
+                          )
+                        }
+                      >
+                        {family.family}
+                      </span>
+                      <span className="form-hint">
+                        {family.faces.length} face(s)
+                      </span>
+                    </div>
+                    <div className="template-library-actions">
+                      <button
+                        type="button"
+                        onClick={() =>
+                          setExpandedFamily(isExpanded ? null : family.family)
+                        }
+                        aria-expanded={isExpanded}
+                        className="toolbar-button secondary small"
+                      >
+                        {isExpanded ? "Hide Faces" : "Show Faces"}
+                      </button>
+                    </div>
+                  </div>
+
+                  {isExpanded && (
+                    <ul className="font-face-list">
+                      {family.faces.map((face) => (
+                        <li key={face.file}>
+                          <span className="form-hint">
+                            {describeFontFace(face)} · {face.file}
+                          </span>
+                          <span
+                            className="font-preview-sample"
+                            style={getPreviewStyle(
+                              `Bundled ${family.family}`,
+                              face,
+                            )}
+                          >
+                            {sampleText}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
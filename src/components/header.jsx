@@ -3,16 +3,25 @@ import React from "react";
 
 /**
  * Unified Professional Header Component with Nutrient branding and all controls
+ * Controls of features turned off in the app configuration are hidden.
  */
 export default function Header({
   onNewDocument,
   onLoadDocument,
   onGenerateDocument,
+  generationBackend,
+  onGenerationBackendChange,
+  onBatchGenerate,
   onExtractText,
+  onDeriveTemplateSchema,
+  onOpenLibrary,
+  onOpenFonts,
+  libraryTemplateName,
   onExportJson,
   onExportPdf,
   onExportDocx,
   isLoading,
+  features,
   dataSource,
   onDataSourceChange,
 }) {
@@ -57,6 +66,33 @@ export default function Header({
             <span>Upload Document</span>
           </button>
 
+          {features.templateLibrary && (
+            <button
+              type="button"
+              onClick={onOpenLibrary}
+              disabled={isLoading}
+              className="nav-link nav-button"
+              title={
+                libraryTemplateName
+                  ? `Template library · current: ${libraryTemplateName}`
+                  : "Template library"
+              }
+            >
+              <span>Library</span>
+            </button>
+          )}
+
+          {features.fontManager && (
+            <button
+              type="button"
+              onClick={onOpenFonts}
+              disabled={isLoading}
+              className="nav-link nav-button"
+            >
+              <span>Fonts</span>
+            </button>
+          )}
+
           {/* Data Source Dropdown with Filename */}
           <div className="data-source-control">
             <select
@@ -70,8 +106,11 @@ export default function Header({
               <option value="none">Data Source</option>
               <option value="json-file">Upload JSON</option>
               <option value="json-static">Load JSON</option>
-              <option value="api">API</option>
-              <option value="database">Database</option>
+              <option value="spreadsheet">Upload Spreadsheet</option>
+              {features.apiDataSource && <option value="api">API</option>}
+              {features.databaseDataSource && (
+                <option value="database">Database</option>
+              )}
             </select>
             {dataSource?.type !== "none" && dataSource?.config?.filename && (
               <span
@@ -79,6 +118,7 @@ export default function Header({
                 title={dataSource.config.filename}
               >
                 {dataSource.config.filename}
+                {dataSource.config.edited && " (edited)"}
               </span>
             )}
           </div>
@@ -92,13 +132,47 @@ export default function Header({
             <span>Generate</span>
           </button>
 
+          <select
+            value={generationBackend}
+            onChange={(e) => onGenerationBackendChange(e.target.value)}
+            className="nav-link nav-select"
+            disabled={isLoading}
+            title="Template population engine"
+            aria-label="Template population engine"
+          >
+            <option value="auto">Engine: Auto</option>
+            <option value="sdk">Engine: Web SDK</option>
+            <option value="offline">Engine: Offline</option>
+          </select>
+
+          {features.batchGeneration && (
+            <button
+              type="button"
+              onClick={onBatchGenerate}
+              disabled={isLoading || dataSource?.type === "none"}
+              className="nav-link nav-button"
+            >
+              <span>Batch</span>
+            </button>
+          )}
+
           <button
             type="button"
             onClick={onExtractText}
             disabled={isLoading}
             className="nav-link nav-button"
           >
-            <span>Extract Text</span>
+            <span>Extract</span>
+          </button>
+
+          <button
+            type="button"
+            onClick={onDeriveTemplateSchema}
+            disabled={isLoading}
+            className="nav-link nav-button"
+            title="Derive a JSON Schema and sample data from the template"
+          >
+            <span>Data Model</span>
           </button>
 
           <button
@@ -0,0 +1,66 @@
+// src/components/json-file-picker-modal.jsx
+
+/**
+ * JSON File Picker Modal
+ *
+ * Lists the JSON data files bundled in the public folder so a sample data
+ * source can be loaded without typing its file name.
+ */
+export default function JsonFilePickerModal({ files, onSelect, onClose }) {
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="json-picker-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="json-picker-modal-title">Load JSON</h2>
+
+        {files.length === 0 ? (
+          <p>No JSON files were found in the public folder.</p>
+        ) : (
+          <ul className="file-picker-list">
+            {files.map((file) => (
+              <li key={file}>
+                <button
+                  type="button"
+                  onClick={() => onSelect(file)}
+                  className="file-picker-item"
+                >
+                  <span className="field-icon">📄</span>
+                  {file}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,128 @@
+// src/components/lint-panel.jsx
+import ValidationIssueItem from "./validation-issue-item.jsx";
+
+/**
+ * Template Lint Panel
+ *
+ * Persistent side panel listing template problems (unknown fields, unclosed
+ * or mismatched sections, null values) while the template is edited. Results
+ * are refreshed by the parent whenever the document changes; clicking an
+ * issue selects it so the parent can highlight the placeholder in the editor.
+ * When a data schema is attached, the data source's schema errors are listed
+ * too, as errors in strict mode and as warnings otherwise.
+ */
+export default function LintPanel({
+  lintResult,
+  isLinting,
+  hasDataSource,
+  schemaValidation,
+  isSchemaStrict,
+  selectedIssueKey,
+  onSelectIssue,
+  onClose,
+}) {
+  const renderIssues = (items, kind) =>
+    items.map((issue, index) => {
+      const key = `${kind}-${index}`;
+      return (
+        <ValidationIssueItem
+          key={key}
+          issue={issue}
+          isSelected={selectedIssueKey === key}
+          onSelect={() => onSelectIssue(issue, key)}
+        />
+      );
+    });
+
+  const problemCount = lintResult
+    ? lintResult.issues.length + lintResult.warnings.length
+    : 0;
+
+  return (
+    <aside className="lint-panel" aria-label="Template lint">
+      <div className="lint-panel-header">
+        <h3>Template Lint</h3>
+        <span className="lint-panel-status">
+          {isLinting ? "Checking..." : "Live"}
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="toolbar-button secondary icon-button"
+          aria-label="Close lint panel"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="lint-panel-body">
+        {!hasDataSource && (
+          <p className="form-hint">
+            Load a data source to check the template's placeholders.
+          </p>
+        )}
+
+        {hasDataSource && lintResult && (
+          <>
+            <p className="form-hint">
+              {lintResult.placeholderCount} placeholder(s) ·{" "}
+              {lintResult.issues.length} issue(s) ·{" "}
+              {lintResult.warnings.length} warning(s)
+            </p>
+
+            {problemCount === 0 && (
+              <p className="lint-panel-ok">✅ No problems found</p>
+            )}
+
+            {lintResult.issues.length > 0 && (
+              <ul className="validation-issue-list">
+                {renderIssues(lintResult.issues, "issue")}
+              </ul>
+            )}
+
+            {lintResult.warnings.length > 0 && (
+              <>
+                <span className="form-label">Warnings</span>
+                <ul className="validation-issue-list warnings">
+                  {renderIssues(lintResult.warnings, "warning")}
+                </ul>
+              </>
+            )}
+          </>
+        )}
+
+        {hasDataSource && schemaValidation && (
+          <>
+            <span className="form-label">
+              Data schema{isSchemaStrict && " (strict)"}
+            </span>
+            {schemaValidation.errorCount === 0 ? (
+              <p className="lint-panel-ok">✅ Data matches the schema</p>
+            ) : (
+              <ul
+                className={`validation-issue-list ${isSchemaStrict ? "" : "warnings"}`}
+              >
+                {schemaValidation.errors.map((error, index) => (
+                  <li key={index} className="validation-issue">
+                    <span className="validation-issue-text">
+                      {error.message}
+                    </span>
+                  </li>
+                ))}
+                {schemaValidation.errorCount >
+                  schemaValidation.errors.length && (
+                  <li className="form-hint">
+                    …and{" "}
+                    {schemaValidation.errorCount -
+                      schemaValidation.errors.length}{" "}
+                    more
+                  </li>
+                )}
+              </ul>
+            )}
+          </>
+        )}
+      </div>
+    </aside>
+  );
+}
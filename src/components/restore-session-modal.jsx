@@ -0,0 +1,79 @@
+// src/components/restore-session-modal.jsx
+
+/**
+ * Restore Session Modal
+ *
+ * Shown at startup when an autosaved session exists. The user chooses
+ * between restoring the last session (document, data source, computed
+ * fields and data schema) and starting with the default template; the
+ * autosaved session is kept until the new session is saved over it.
+ */
+export default function RestoreSessionModal({ session, onRestore, onSkip }) {
+  const savedAt = new Date(session.savedAt).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+  const details = [
+    session.libraryTemplate && `template "${session.libraryTemplate.name}"`,
+    session.dataSource?.config?.filename &&
+      `data from ${session.dataSource.config.filename}`,
+    session.computedFields?.length > 0 &&
+      `${session.computedFields.length} computed field(s)`,
+    session.dataSchema && `data schema ${session.dataSchema.name}`,
+  ].filter(Boolean);
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="restore-session-modal-title"
+      onClick={onSkip}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onSkip();
+        }
+      }}
+    >
+      <div
+        className="modal-content"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="restore-session-modal-title">Restore Last Session?</h2>
+
+        <div className="modal-body">
+          <p>
+            The document you were working on was saved automatically on{" "}
+            {savedAt}.
+          </p>
+          {details.length > 0 && (
+            <p className="form-hint">Includes {details.join(", ")}.</p>
+          )}
+          <p className="form-hint">
+            Starting with the default template keeps the saved session until
+            you make changes.
+          </p>
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onSkip}
+            className="toolbar-button secondary"
+          >
+            Start with Default
+          </button>
+          <button type="button" onClick={onRestore} className="toolbar-button">
+            Restore Session
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+// src/components/spreadsheet-mapping-modal.jsx
+import { useState } from "react";
+import {
+  COLUMN_TYPES,
+  buildSpreadsheetTemplateData,
+  createColumnMappings,
+  createSpreadsheetMapping,
+} from "../utils/spreadsheet-data-source.js";
+
+/**
+ * Spreadsheet Mapping Modal
+ *
+ * Maps the columns of an uploaded CSV/TSV or Excel sheet to template
+ * fields: field names, column types, nested arrays and the key column
+ * used to group line rows under their parent record.
+ */
+export default function SpreadsheetMappingModal({
+  filename,
+  sheets,
+  onApply,
+  onClose,
+}) {
+  const [mapping, setMapping] = useState(() =>
+    createSpreadsheetMapping(sheets),
+  );
+  const [error, setError] = useState(null);
+
+  const sheet = sheets[mapping.sheetIndex];
+
+  const updateMapping = (property, value) => {
+    setMapping((previous) => ({ ...previous, [property]: value }));
+    setError(null);
+  };
+
+  const updateColumn = (index, property, value) => {
+    updateMapping(
+      "columns",
+      mapping.columns.map((column, i) =>
+        i === index ? { ...column, [property]: value } : column,
+      ),
+    );
+  };
+
+  const handleSheetChange = (sheetIndex) => {
+    setMapping((previous) => ({
+      ...previous,
+      sheetIndex,
+      keyColumn: "",
+      columns: createColumnMappings(sheets[sheetIndex]),
+    }));
+  };
+
+  let preview = "";
+  let previewError = null;
+  try {
+    preview = JSON.stringify(
+      buildSpreadsheetTemplateData(sheet, mapping).model,
+      null,
+      2,
+    );
+  } catch (mappingError) {
+    previewError = mappingError.message;
+  }
+
+  const handleApply = () => {
+    try {
+      onApply(buildSpreadsheetTemplateData(sheet, mapping), mapping);
+    } catch (mappingError) {
+      setError(mappingError.message);
+    }
+  };
+
+  const keyColumnOptions = mapping.columns.filter(
+    (column) => !column.group && column.type !== "ignore" && column.field,
+  );
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="spreadsheet-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="spreadsheet-modal-title">Map Spreadsheet Columns</h2>
+        <p>
+          {filename} · {Math.max(sheet.rows.length - 1, 0)} data row(s)
+        </p>
+
+        <div className="modal-body">
+          <div className="form-row">
+            {sheets.length > 1 && (
+              <select
+                value={mapping.sheetIndex}
+                onChange={(e) => handleSheetChange(Number(e.target.value))}
+                className="form-select"
+                aria-label="Sheet"
+              >
+                {sheets.map((item, index) => (
+                  <option key={item.name} value={index}>
+                    Sheet: {item.name}
+                  </option>
+                ))}
+              </select>
+            )}
+            <select
+              value={mapping.shape}
+              onChange={(e) => updateMapping("shape", e.target.value)}
+              className="form-select"
+              aria-label="Result shape"
+            >
+              <option value="array">All records as array</option>
+              <option value="object">First record as model</option>
+            </select>
+            {mapping.shape === "array" && (
+              <input
+                type="text"
+                value={mapping.arrayName}
+                placeholder="Array name"
+                onChange={(e) => updateMapping("arrayName", e.target.value)}
+                className="form-input"
+                aria-label="Array name"
+              />
+            )}
+            <select
+              value={mapping.keyColumn}
+              onChange={(e) => updateMapping("keyColumn", e.target.value)}
+              className="form-select"
+              aria-label="Key column"
+            >
+              <option value="">No key column</option>
+              {keyColumnOptions.map((column) => (
+                <option key={column.field} value={column.field}>
+                  Key: {column.field}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="result-table-wrapper">
+            <table className="result-table mapping-table">
+              <thead>
+                <tr>
+                  <th>Column</th>
+                  <th>Field</th>
+                  <th>Nested Array</th>
+                  <th>Type</th>
+                </tr>
+              </thead>
+              <tbody>
+                {mapping.columns.map((column, index) => (
+                  <tr key={index}>
+                    <td>{column.header}</td>
+                    <td>
+                      <input
+                        type="text"
+                        value={column.field}
+                        onChange={(e) =>
+                          updateColumn(index, "field", e.target.value)
+                        }
+                        className="form-input"
+                        aria-label={`Field name for ${column.header}`}
+                      />
+                    </td>
+                    <td>
+                      <input
+                        type="text"
+                        value={column.group}
+                        placeholder="(top level)"
+                        onChange={(e) =>
+                          updateColumn(index, "group", e.target.value)
+                        }
+                        className="form-input"
+                        aria-label={`Nested array for ${column.header}`}
+                      />
+                    </td>
+                    <td>
+                      <select
+                        value={column.type}
+                        onChange={(e) =>
+                          updateColumn(index, "type", e.target.value)
+                        }
+                        className="form-select"
+                        aria-label={`Type of ${column.header}`}
+                      >
+                        {COLUMN_TYPES.map((type) => (
+                          <option key={type} value={type}>
+                            {type}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <span className="form-hint">
+            Give line columns a nested array name (e.g. "items") and choose the
+            key column to group line rows under their parent record.
+          </span>
+          {mapping.keyColumn &&
+            !mapping.columns.some(
+              (column) => column.group && column.type !== "ignore",
+            ) && (
+              <div className="form-warning">
+                No column has a nested array name, so the key column does not
+                group rows: every row becomes its own record.
+              </div>
+            )}
+
+          {(error || previewError) && (
+            <div className="form-error">{error || previewError}</div>
+          )}
+
+          {preview && (
+            <div className="response-preview">
+              <div className="response-preview-meta">Converted model</div>
+              <pre>
+                {preview.length > 5000
+                  ? `${preview.substring(0, 5000)}\n...`
+                  : preview}
+              </pre>
+            </div>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Cancel
+          </button>
+          <button type="button" onClick={handleApply} className="toolbar-button">
+            Use Data
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
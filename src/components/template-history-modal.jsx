@@ -0,0 +1,344 @@
+// src/components/template-history-modal.jsx
+import { useEffect, useMemo, useState } from "react";
+import { diffDocuments } from "../utils/document-diff.js";
+import { listTemplateVersions } from "../utils/template-versions.js";
+
+const VIEWS = [
+  { id: "side-by-side", label: "Side by Side" },
+  { id: "inline", label: "Inline" },
+];
+
+/**
+ * Describe a version for selects and the version list
+ *
+ * @param {Object} version - Template version
+ * @returns {string} Version number and localized save time
+ */
+const describeVersion = (version) =>
+  `Version ${version.number} · ${new Date(version.createdAt).toLocaleString(
+    undefined,
+    { dateStyle: "medium", timeStyle: "short" },
+  )}`;
+
+/**
+ * Collapse runs of unchanged rows into one "skipped" row
+ *
+ * @param {Array} rows - Rows of diffDocuments
+ * @returns {Array} Rows with {type: "skipped", count} for unchanged runs
+ */
+const collapseUnchanged = (rows) =>
+  rows.reduce((collapsed, row) => {
+    const last = collapsed[collapsed.length - 1];
+    if (row.type !== "equal") {
+      collapsed.push(row);
+    } else if (last?.type === "skipped") {
+      last.count++;
+    } else {
+      collapsed.push({ type: "skipped", count: 1 });
+    }
+    return collapsed;
+  }, []);
+
+/**
+ * Render the text of a block; empty paragraphs are marked
+ *
+ * @param {Object} block - Diff block
+ * @returns {React.ReactNode} Text
+ */
+const renderText = (block) =>
+  block.text || <span className="version-diff-empty">(empty paragraph)</span>;
+
+/**
+ * Render a word diff, leaving out the parts of the other side
+ *
+ * @param {Array} words - Word diff parts
+ * @param {string} hidden - Part type to leave out, or null for both sides
+ * @returns {React.ReactNode} Highlighted words
+ */
+const renderWords = (words, hidden = null) =>
+  words
+    .filter((part) => part.type !== hidden)
+    .map((part, index) =>
+      part.type === "removed" ? (
+        <del key={index}>{part.text}</del>
+      ) : part.type === "added" ? (
+        <ins key={index}>{part.text}</ins>
+      ) : (
+        part.text
+      ),
+    );
+
+/**
+ * Template History Modal
+ *
+ * Lists the versions saved for a library template with their notes. Two
+ * versions are compared block by block from their DocJSON, side by side or
+ * inline: changed words are highlighted, and paragraphs whose formatting
+ * changed are flagged. Any version can be restored into the editor.
+ */
+export default function TemplateHistoryModal({
+  template,
+  onRestore,
+  onClose,
+}) {
+  const [versions, setVersions] = useState(null);
+  const [error, setError] = useState(null);
+  const [baseId, setBaseId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [view, setView] = useState("side-by-side");
+  const [showUnchanged, setShowUnchanged] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listTemplateVersions(template.id)
+      .then((list) => {
+        if (cancelled) return;
+        setVersions(list);
+        setCompareId(list[0]?.id ?? null);
+        setBaseId(list[1]?.id ?? list[0]?.id ?? null);
+      })
+      .catch((loadError) => {
+        if (!cancelled) {
+          setVersions([]);
+          setError(loadError.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [template.id]);
+
+  const base = versions?.find((version) => version.id === baseId);
+  const compare = versions?.find((version) => version.id === compareId);
+
+  const diff = useMemo(
+    () =>
+      base && compare ? diffDocuments(base.docJson, compare.docJson) : null,
+    [base, compare],
+  );
+  const rows = diff
+    ? showUnchanged
+      ? diff.rows
+      : collapseUnchanged(diff.rows)
+    : [];
+
+  const renderSkipped = (row, index) => (
+    <div key={index} className="version-diff-row skipped">
+      {row.count} unchanged block(s)
+    </div>
+  );
+
+  const renderSideBySideRow = (row, index) => {
+    if (row.type === "skipped") return renderSkipped(row, index);
+
+    return (
+      <div key={index} className={`version-diff-row ${row.type}`}>
+        <div className="version-diff-cell">
+          {row.before &&
+            (row.type === "changed"
+              ? renderWords(row.words, "added")
+              : renderText(row.before))}
+        </div>
+        <div className="version-diff-cell">
+          {row.after &&
+            (row.type === "changed"
+              ? renderWords(row.words, "removed")
+              : renderText(row.after))}
+          {row.type === "formatted" && (
+            <span className="version-diff-note">formatting changed</span>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const renderInlineRow = (row, index) => {
+    if (row.type === "skipped") return renderSkipped(row, index);
+
+    const block = row.after ?? row.before;
+    const marker = { removed: "−", added: "+", changed: "~", formatted: "~" };
+
+    return (
+      <div key={index} className={`version-diff-row ${row.type}`}>
+        <span className="version-diff-marker">{marker[row.type] ?? ""}</span>
+        <div className="version-diff-cell">
+          {row.type === "changed"
+            ? renderWords(row.words)
+            : renderText(block)}
+          {row.type === "formatted" && (
+            <span className="version-diff-note">formatting changed</span>
+          )}
+          <span className="version-diff-location">{block.label}</span>
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="template-history-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="template-history-modal-title">History: {template.name}</h2>
+
+        <div className="modal-body">
+          {error && <div className="form-error">{error}</div>}
+
+          {versions === null ? (
+            <p>Loading versions...</p>
+          ) : versions.length === 0 ? (
+            <p>
+              No versions yet. A version is saved every time the template is
+              saved to the library.
+            </p>
+          ) : (
+            <>
+              <ul className="template-library-list">
+                {versions.map((version) => (
+                  <li key={version.id} className="template-library-item">
+                    <div className="template-library-info">
+                      <span className="template-library-name">
+                        {describeVersion(version)}
+                      </span>
+                      <span className="form-hint">
+                        {version.note || "No note"}
+                      </span>
+                    </div>
+                    <div className="template-library-actions">
+                      <button
+                        type="button"
+                        onClick={() => onRestore(version)}
+                        className="toolbar-button secondary small"
+                      >
+                        Restore
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="form-row">
+                <label className="form-label" htmlFor="history-base-version">
+                  Compare
+                </label>
+                <select
+                  id="history-base-version"
+                  value={baseId ?? ""}
+                  onChange={(e) => setBaseId(e.target.value)}
+                  className="form-select"
+                >
+                  {versions.map((version) => (
+                    <option key={version.id} value={version.id}>
+                      {describeVersion(version)}
+                    </option>
+                  ))}
+                </select>
+                <label
+                  className="form-label"
+                  htmlFor="history-compare-version"
+                >
+                  with
+                </label>
+                <select
+                  id="history-compare-version"
+                  value={compareId ?? ""}
+                  onChange={(e) => setCompareId(e.target.value)}
+                  className="form-select"
+                >
+                  {versions.map((version) => (
+                    <option key={version.id} value={version.id}>
+                      {describeVersion(version)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-row">
+                <div className="extraction-tabs" role="tablist">
+                  {VIEWS.map((tab) => (
+                    <button
+                      key={tab.id}
+                      type="button"
+                      role="tab"
+                      aria-selected={view === tab.id}
+                      className={`view-tab ${view === tab.id ? "active" : ""}`}
+                      onClick={() => setView(tab.id)}
+                    >
+                      {tab.label}
+                    </button>
+                  ))}
+                </div>
+                <label className="form-radio">
+                  <input
+                    type="checkbox"
+                    checked={showUnchanged}
+                    onChange={(e) => setShowUnchanged(e.target.checked)}
+                  />
+                  Show unchanged blocks
+                </label>
+              </div>
+
+              {diff && (
+                <>
+                  <p className="form-hint">
+                    {diff.stats.changed} changed · {diff.stats.added}{" "}
+                    added · {diff.stats.removed} removed ·{" "}
+                    {diff.stats.formatted} reformatted · {diff.stats.equal}{" "}
+                    unchanged block(s)
+                  </p>
+                  <div className={`version-diff ${view}`}>
+                    {view === "side-by-side" && (
+                      <div className="version-diff-row header">
+                        <div className="version-diff-cell">
+                          Version {base.number}
+                        </div>
+                        <div className="version-diff-cell">
+                          Version {compare.number}
+                        </div>
+                      </div>
+                    )}
+                    {rows.map(
+                      view === "side-by-side"
+                        ? renderSideBySideRow
+                        : renderInlineRow,
+                    )}
+                  </div>
+                </>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
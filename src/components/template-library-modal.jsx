@@ -0,0 +1,369 @@
+// src/components/template-library-modal.jsx
+import { useEffect, useRef, useState } from "react";
+import { parseJsonText } from "../utils/data-editing.js";
+import { createFileTimestamp, downloadBlob } from "../utils/download.js";
+import {
+  deleteTemplate,
+  duplicateTemplate,
+  exportLibraryBundle,
+  importLibraryBundle,
+  listTemplates,
+  matchesTemplateSearch,
+  renameTemplate,
+} from "../utils/template-library.js";
+
+/**
+ * Format an ISO timestamp for the template list
+ *
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Localized date and time
+ */
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString(undefined, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+
+/**
+ * Template Library Modal
+ *
+ * Templates stored in the browser (IndexedDB) with their data source. The
+ * current template can be saved as a new entry or over the entry it was
+ * opened from; entries can be searched, opened, renamed, duplicated and
+ * deleted, and the whole library can be exported to or imported from a
+ * single bundle file.
+ */
+export default function TemplateLibraryModal({
+  currentTemplate,
+  onSave,
+  onOpen,
+  onShowHistory,
+  onClose,
+}) {
+  const bundleInputRef = useRef(null);
+  const [entries, setEntries] = useState(null);
+  const [query, setQuery] = useState("");
+  const [saveName, setSaveName] = useState(
+    currentTemplate?.name ?? "Untitled template",
+  );
+  const [versionNote, setVersionNote] = useState("");
+  const [renaming, setRenaming] = useState(null);
+  const [pendingDeleteId, setPendingDeleteId] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Run a library operation, then reload the list
+  const runOperation = async (operation) => {
+    setIsBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await operation();
+      setEntries(await listTemplates());
+      return result;
+    } catch (operationError) {
+      console.error("Template library error:", operationError);
+      setError(operationError.message);
+      return undefined;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listTemplates()
+      .then((list) => {
+        if (!cancelled) setEntries(list);
+      })
+      .catch((loadError) => {
+        if (!cancelled) {
+          setEntries([]);
+          setError(loadError.message);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleSave = async (asNew) => {
+    const saved = await runOperation(() =>
+      onSave(saveName.trim(), asNew, versionNote),
+    );
+    if (saved) {
+      setVersionNote("");
+      setMessage(`Saved "${saved.name}" as version ${saved.version}.`);
+    }
+  };
+
+  const handleRename = async () => {
+    const name = renaming.name.trim();
+    if (name) {
+      await runOperation(() => renameTemplate(renaming.id, name));
+    }
+    setRenaming(null);
+  };
+
+  const handleExport = async () => {
+    const bundle = await runOperation(exportLibraryBundle);
+    if (bundle) {
+      downloadBlob(
+        new Blob([JSON.stringify(bundle)], { type: "application/json" }),
+        `template-library-${createFileTimestamp()}.json`,
+      );
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const count = await runOperation(async () => {
+      const { value, error: parseError } = parseJsonText(await file.text());
+      if (parseError) {
+        throw new Error(`${file.name} is not valid JSON: ${parseError}`);
+      }
+      return importLibraryBundle(value);
+    });
+    if (count !== undefined) {
+      setMessage(`Imported ${count} template(s) from ${file.name}.`);
+    }
+  };
+
+  const visibleEntries = (entries ?? []).filter((entry) =>
+    matchesTemplateSearch(entry, query),
+  );
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="template-library-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="template-library-modal-title">Template Library</h2>
+
+        <div className="modal-body">
+          <fieldset className="form-fieldset">
+            <legend>Save current template</legend>
+            <div className="form-row">
+              <input
+                type="text"
+                value={saveName}
+                onChange={(e) => setSaveName(e.target.value)}
+                className="form-input"
+                aria-label="Template name"
+              />
+              {currentTemplate && (
+                <button
+                  type="button"
+                  onClick={() => handleSave(false)}
+                  disabled={isBusy || !saveName.trim()}
+                  className="toolbar-button small"
+                  title={`Replace "${currentTemplate.name}" in the library`}
+                >
+                  Save
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={() => handleSave(true)}
+                disabled={isBusy || !saveName.trim()}
+                className={`toolbar-button small ${currentTemplate ? "secondary" : ""}`}
+              >
+                Save as New
+              </button>
+            </div>
+            <input
+              type="text"
+              value={versionNote}
+              onChange={(e) => setVersionNote(e.target.value)}
+              placeholder="Version note (optional), e.g. Added VAT column"
+              className="form-input"
+              aria-label="Version note"
+            />
+            <p className="form-hint">
+              Saves the document with its data source, delimiter, computed
+              fields and data schema in this browser. Every save adds a
+              version to the template's history.
+            </p>
+          </fieldset>
+
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search templates by name or data file"
+            className="form-input"
+            aria-label="Search templates"
+          />
+
+          {error && <div className="form-error">{error}</div>}
+          {message && <p className="form-hint">{message}</p>}
+
+          {entries === null ? (
+            <p>Loading templates...</p>
+          ) : visibleEntries.length === 0 ? (
+            <p>
+              {entries.length === 0
+                ? "The library is empty. Save the current template to start."
+                : "No templates match the search."}
+            </p>
+          ) : (
+            <ul className="template-library-list">
+              {visibleEntries.map((entry) => (
+                <li
+                  key={entry.id}
+                  className={`template-library-item ${entry.id === currentTemplate?.id ? "current" : ""}`}
+                >
+                  <div className="template-library-info">
+                    {renaming?.id === entry.id ? (
+                      <input
+                        type="text"
+                        value={renaming.name}
+                        onChange={(e) =>
+                          setRenaming({ ...renaming, name: e.target.value })
+                        }
+                        onBlur={handleRename}
+                        onKeyDown={(e) => {
+                          if (e.key === "Enter") e.target.blur();
+                        }}
+                        className="form-input"
+                        aria-label="New template name"
+                        autoFocus
+                      />
+                    ) : (
+                      <span className="template-library-name">
+                        {entry.name}
+                      </span>
+                    )}
+                    <span className="form-hint">
+                      Updated {formatTimestamp(entry.updatedAt)}
+                      {entry.dataSource?.config?.filename &&
+                        ` · ${entry.dataSource.config.filename}`}
+                      {!entry.dataSource && " · no data source"}
+                    </span>
+                  </div>
+
+                  <div className="template-library-actions">
+                    <button
+                      type="button"
+                      onClick={() => onOpen(entry)}
+                      disabled={isBusy}
+                      className="toolbar-button small"
+                    >
+                      Open
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setRenaming({ id: entry.id, name: entry.name })
+                      }
+                      disabled={isBusy}
+                      className="toolbar-button secondary small"
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onShowHistory(entry)}
+                      disabled={isBusy}
+                      className="toolbar-button secondary small"
+                    >
+                      History
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() =>
+                        runOperation(() => duplicateTemplate(entry.id))
+                      }
+                      disabled={isBusy}
+                      className="toolbar-button secondary small"
+                    >
+                      Duplicate
+                    </button>
+                    {pendingDeleteId === entry.id ? (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          runOperation(() => deleteTemplate(entry.id))
+                        }
+                        disabled={isBusy}
+                        className="toolbar-button small danger"
+                      >
+                        Confirm Delete
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => setPendingDeleteId(entry.id)}
+                        disabled={isBusy}
+                        className="toolbar-button secondary small"
+                      >
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={() => bundleInputRef.current?.click()}
+            disabled={isBusy}
+            className="toolbar-button secondary"
+          >
+            Import Bundle…
+          </button>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={isBusy || !entries?.length}
+            className="toolbar-button secondary"
+          >
+            Export Library
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Close
+          </button>
+          <input
+            ref={bundleInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImport}
+            style={{ display: "none" }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,279 @@
+// src/components/template-schema-modal.jsx
+import { useRef, useState } from "react";
+import { parseJsonText } from "../utils/data-editing.js";
+import { DELIMITER_PRESETS, formatPlaceholder } from "../utils/delimiter.js";
+import { createFileTimestamp, downloadBlob } from "../utils/download.js";
+import { toTemplateData } from "../utils/template-data.js";
+import {
+  createJsonSchema,
+  createSampleModel,
+  deriveTemplateSchema,
+} from "../utils/template-schema.js";
+
+const TABS = [
+  { id: "schema", label: "JSON Schema" },
+  { id: "sample", label: "Sample Data" },
+];
+
+/**
+ * Template Schema Modal
+ *
+ * Reverse of the field extraction: scans the template's placeholders and loop
+ * markers and shows the data the template expects, as a JSON Schema for the
+ * model and as a sample {config, model} data file. Both can be downloaded as
+ * the contract for whoever supplies the data, and the sample can be loaded as
+ * the data source to preview the template.
+ *
+ * The derived schema, or a schema file, can also be attached to the template
+ * as its data schema ({schema, name, strict}); the parent validates every
+ * data source against it, and strict mode blocks generation on errors.
+ */
+export default function TemplateSchemaModal({
+  text,
+  delimiter: initialDelimiter,
+  dataSchema,
+  onDataSchemaChange,
+  onUseSample,
+  onClose,
+}) {
+  const isInitialDelimiter = (delimiter) =>
+    delimiter.start === initialDelimiter.start &&
+    delimiter.end === initialDelimiter.end;
+  const delimiters = DELIMITER_PRESETS.some(isInitialDelimiter)
+    ? DELIMITER_PRESETS
+    : [...DELIMITER_PRESETS, initialDelimiter];
+
+  const schemaFileInputRef = useRef(null);
+  const [activeTab, setActiveTab] = useState("schema");
+  const [schemaFileError, setSchemaFileError] = useState(null);
+  const [delimiterIndex, setDelimiterIndex] = useState(() =>
+    delimiters.findIndex(isInitialDelimiter),
+  );
+
+  const delimiter = delimiters[delimiterIndex];
+  const { schema, placeholderCount, errors } = deriveTemplateSchema(
+    text,
+    delimiter,
+  );
+  const fieldCount = Object.keys(schema.properties).length;
+  const jsonSchema = createJsonSchema(schema);
+  const sampleData = toTemplateData(createSampleModel(schema), delimiter);
+  const content = activeTab === "schema" ? jsonSchema : sampleData;
+
+  const attachSchema = (schema, name) => {
+    setSchemaFileError(null);
+    onDataSchemaChange({ schema, name, strict: dataSchema?.strict ?? false });
+  };
+
+  const handleSchemaFileChange = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+
+    const { value, error } = parseJsonText(await file.text());
+    if (error) {
+      setSchemaFileError(`${file.name} is not valid JSON: ${error}`);
+    } else if (!value || typeof value !== "object" || Array.isArray(value)) {
+      setSchemaFileError(`${file.name} does not contain a JSON Schema object`);
+    } else {
+      attachSchema(value, file.name);
+    }
+  };
+
+  const handleDownload = () => {
+    downloadBlob(
+      new Blob([JSON.stringify(content, null, 2)], {
+        type: "application/json",
+      }),
+      activeTab === "schema"
+        ? `template-schema-${createFileTimestamp()}.schema.json`
+        : `template-sample-${createFileTimestamp()}.json`,
+    );
+  };
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="template-schema-modal-title"
+      onClick={onClose}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onClose();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="template-schema-modal-title">Data Model from Template</h2>
+
+        <div className="modal-body">
+          <div className="form-row">
+            <label className="form-label" htmlFor="template-schema-delimiter">
+              Placeholder delimiter
+            </label>
+            <select
+              id="template-schema-delimiter"
+              value={delimiterIndex}
+              onChange={(e) => setDelimiterIndex(Number(e.target.value))}
+              className="form-select"
+            >
+              {delimiters.map((preset, index) => (
+                <option key={index} value={index}>
+                  {formatPlaceholder("name", preset)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <p className="form-hint">
+            {placeholderCount} placeholder(s) · {fieldCount} top-level
+            field(s). Sections that use other fields become arrays, sections
+            that only show content become true/false conditions, and
+            formatters such as currency or date set the value type.
+          </p>
+
+          <fieldset className="form-fieldset">
+            <legend>Data schema</legend>
+            <p className="form-hint">
+              {dataSchema
+                ? `Attached: ${dataSchema.name}. Data sources are validated against it when they are loaded and before generation; errors are listed in the Lint panel.`
+                : "No schema attached. Attach the derived schema or a schema file to validate every data source against it."}
+            </p>
+            {dataSchema && (
+              <label className="form-radio">
+                <input
+                  type="checkbox"
+                  checked={dataSchema.strict}
+                  onChange={(e) =>
+                    onDataSchemaChange({
+                      ...dataSchema,
+                      strict: e.target.checked,
+                    })
+                  }
+                />
+                Strict: block generation when the data does not match
+              </label>
+            )}
+            <div className="form-row">
+              <button
+                type="button"
+                onClick={() =>
+                  attachSchema(jsonSchema, "schema derived from the template")
+                }
+                disabled={fieldCount === 0}
+                className="toolbar-button secondary small"
+              >
+                Attach Derived Schema
+              </button>
+              <button
+                type="button"
+                onClick={() => schemaFileInputRef.current?.click()}
+                className="toolbar-button secondary small"
+              >
+                Attach Schema File…
+              </button>
+              {dataSchema && (
+                <button
+                  type="button"
+                  onClick={() => onDataSchemaChange(null)}
+                  className="toolbar-button secondary small"
+                >
+                  Detach
+                </button>
+              )}
+              <input
+                ref={schemaFileInputRef}
+                type="file"
+                accept=".json,application/json,application/schema+json"
+                onChange={handleSchemaFileChange}
+                style={{ display: "none" }}
+              />
+            </div>
+            {schemaFileError && (
+              <div className="form-error">{schemaFileError}</div>
+            )}
+          </fieldset>
+
+          {errors.length > 0 && (
+            <div className="form-error">
+              The template has {errors.length} syntax error(s), e.g. unclosed
+              sections. The derived model may be incomplete; check the Lint
+              panel.
+            </div>
+          )}
+
+          {fieldCount === 0 ? (
+            <p>
+              No placeholders were found with this delimiter. Try another
+              delimiter.
+            </p>
+          ) : (
+            <>
+              <div className="extraction-tabs" role="tablist">
+                {TABS.map((tab) => (
+                  <button
+                    key={tab.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={activeTab === tab.id}
+                    className={`view-tab ${activeTab === tab.id ? "active" : ""}`}
+                    onClick={() => setActiveTab(tab.id)}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </div>
+
+              <div className="response-preview template-schema-preview">
+                <div className="response-preview-meta">
+                  {activeTab === "schema"
+                    ? "JSON Schema (draft 2020-12) of the model"
+                    : "Sample data file with one item per loop"}
+                </div>
+                <pre>{JSON.stringify(content, null, 2)}</pre>
+              </div>
+
+              <div className="form-row">
+                <button
+                  type="button"
+                  onClick={handleDownload}
+                  className="toolbar-button small"
+                >
+                  Download {activeTab === "schema" ? "Schema" : "Sample"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onUseSample(sampleData)}
+                  className="toolbar-button secondary small"
+                  title="Load the sample data as the data source"
+                >
+                  Use Sample as Data Source
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onClose}
+            className="toolbar-button secondary"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+// src/components/toast-container.jsx
+
+const TOAST_ICONS = {
+  success: "✅",
+  info: "ℹ️",
+  warning: "⚠️",
+  error: "❌",
+};
+
+/**
+ * Toast Container
+ *
+ * Renders non-blocking notifications in the bottom-right corner. Errors
+ * stay until dismissed; other toasts disappear on their own.
+ */
+export default function ToastContainer({ toasts, onDismiss }) {
+  if (toasts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="toast-container">
+      {toasts.map((toast) => (
+        <div
+          key={toast.id}
+          className={`toast toast-${toast.type}`}
+          role={toast.type === "error" ? "alert" : "status"}
+        >
+          <span className="toast-icon" aria-hidden="true">
+            {TOAST_ICONS[toast.type]}
+          </span>
+          <div className="toast-body">
+            {toast.title && (
+              <strong className="toast-title">{toast.title}</strong>
+            )}
+            {toast.message && (
+              <p className="toast-message">{toast.message}</p>
+            )}
+          </div>
+          <button
+            type="button"
+            onClick={() => onDismiss(toast.id)}
+            className="toast-close"
+            aria-label="Dismiss notification"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
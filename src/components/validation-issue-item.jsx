@@ -0,0 +1,43 @@
+// src/components/validation-issue-item.jsx
+
+/**
+ * Validation Issue Item
+ *
+ * A single template validation issue. Clicking it selects the issue and
+ * expands it to show its location and the paragraph it appears in, with the
+ * placeholder highlighted.
+ */
+export default function ValidationIssueItem({ issue, isSelected, onSelect }) {
+  return (
+    <li className={`validation-issue ${isSelected ? "selected" : ""}`}>
+      <button
+        type="button"
+        onClick={onSelect}
+        className="validation-issue-button"
+        aria-expanded={isSelected}
+      >
+        {issue.message}
+      </button>
+      {isSelected && (
+        <div className="validation-issue-details">
+          {issue.context ? (
+            <>
+              <span className="validation-issue-location">
+                {issue.context.label}
+              </span>
+              <code className="validation-issue-context">
+                {issue.context.before}
+                <mark>{issue.context.match}</mark>
+                {issue.context.after}
+              </code>
+            </>
+          ) : (
+            <span className="validation-issue-location">
+              Applies to the whole template
+            </span>
+          )}
+        </div>
+      )}
+    </li>
+  );
+}
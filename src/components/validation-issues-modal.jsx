@@ -0,0 +1,104 @@
+// src/components/validation-issues-modal.jsx
+import { useState } from "react";
+import ValidationIssueItem from "./validation-issue-item.jsx";
+
+/**
+ * Validation Issues Modal
+ *
+ * Lists the problems found when validating the template against the data
+ * source before generation. Each issue can be clicked to show where its
+ * placeholder is located (section, table, row and cell) and the paragraph
+ * it appears in. The user decides whether to generate anyway.
+ */
+export default function ValidationIssuesModal({
+  validation,
+  onProceed,
+  onCancel,
+}) {
+  const [selectedIssue, setSelectedIssue] = useState(null);
+
+  const renderIssues = (items, kind) =>
+    items.map((issue, index) => {
+      const key = `${kind}-${index}`;
+      return (
+        <ValidationIssueItem
+          key={key}
+          issue={issue}
+          isSelected={selectedIssue === key}
+          onSelect={() =>
+            setSelectedIssue((previous) => (previous === key ? null : key))
+          }
+        />
+      );
+    });
+
+  return (
+    <div
+      className="modal-overlay"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="validation-modal-title"
+      onClick={onCancel}
+      onKeyDown={(e) => {
+        if (e.key === "Escape") {
+          onCancel();
+        }
+      }}
+    >
+      <div
+        className="modal-content modal-wide"
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={(e) => {
+          if (e.key !== "Escape") {
+            e.stopPropagation();
+          }
+        }}
+        role="document"
+      >
+        <h2 id="validation-modal-title">⚠️ Template Validation Issues</h2>
+
+        <div className="modal-body">
+          <p>
+            {validation.issues.length} issue(s) found in{" "}
+            {validation.placeholderCount} placeholder(s). Click an issue to see
+            where it occurs.
+          </p>
+
+          <ul className="validation-issue-list">
+            {renderIssues(validation.issues, "issue")}
+          </ul>
+
+          {validation.warnings.length > 0 && (
+            <>
+              <span className="form-label">
+                Warnings ({validation.warnings.length})
+              </span>
+              <ul className="validation-issue-list warnings">
+                {renderIssues(validation.warnings, "warning")}
+              </ul>
+            </>
+          )}
+
+          <p className="form-hint">
+            These issues may be false positives if your template uses advanced
+            nested structures. Verify that loop contexts are correctly
+            structured and that nested fields exist in their loop items.
+          </p>
+        </div>
+
+        <div className="modal-actions">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="toolbar-button secondary"
+          >
+            Review Template
+          </button>
+          <button type="button" onClick={onProceed} className="toolbar-button">
+            Generate Anyway
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
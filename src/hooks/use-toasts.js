@@ -0,0 +1,59 @@
+// src/hooks/use-toasts.js
+import { useCallback, useEffect, useRef, useState } from "react";
+
+/**
+ * How long toasts stay visible, by type (null keeps them until dismissed)
+ */
+const TOAST_DURATIONS = {
+  success: 4000,
+  info: 4000,
+  warning: 7000,
+  error: null,
+};
+
+/**
+ * Manage non-blocking toast notifications
+ *
+ * @returns {Object} {toasts, notify, dismissToast}
+ *   notify({type, title, message, duration}) shows a toast and returns its id;
+ *   type is "success", "info", "warning" or "error"
+ */
+export const useToasts = () => {
+  const [toasts, setToasts] = useState([]);
+  const timersRef = useRef(new Map());
+  const nextIdRef = useRef(1);
+
+  const dismissToast = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id));
+    timersRef.current.delete(id);
+    setToasts((previous) => previous.filter((toast) => toast.id !== id));
+  }, []);
+
+  const notify = useCallback(
+    ({ type = "info", title, message, duration }) => {
+      const id = nextIdRef.current++;
+      const timeout =
+        duration === undefined ? TOAST_DURATIONS[type] : duration;
+
+      setToasts((previous) => [...previous, { id, type, title, message }]);
+
+      if (timeout) {
+        timersRef.current.set(id, setTimeout(() => dismissToast(id), timeout));
+      }
+
+      return id;
+    },
+    [dismissToast],
+  );
+
+  // Clear pending timers on unmount
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => {
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    };
+  }, []);
+
+  return { toasts, notify, dismissToast };
+};
@@ -0,0 +1,138 @@
+// src/utils/api-data-source.js
+import { getValueAtPath, toTemplateData } from "./template-data.js";
+
+/**
+ * HTTP methods offered in the API data source configuration
+ */
+export const API_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Create an empty REST API configuration
+ *
+ * @returns {Object} API configuration with url, method, headers, query params, body and model path
+ */
+export const createApiConfig = () => ({
+  url: "",
+  method: "GET",
+  headers: [{ key: "Accept", value: "application/json" }],
+  queryParams: [],
+  body: "",
+  modelPath: "",
+});
+
+/**
+ * Convert a list of key/value rows into entries, skipping rows without a key
+ *
+ * @param {Array} rows - Array of {key, value} objects
+ * @returns {Array} Array of [key, value] entries
+ */
+const toEntries = (rows = []) =>
+  rows
+    .filter((row) => row.key && row.key.trim().length > 0)
+    .map((row) => [row.key.trim(), row.value ?? ""]);
+
+/**
+ * Build the request URL including the configured query parameters
+ * Relative URLs are resolved against the current page origin
+ *
+ * @param {Object} config - API configuration
+ * @returns {URL} Request URL
+ */
+export const buildApiRequestUrl = (config) => {
+  if (!config.url || !config.url.trim()) {
+    throw new Error("Please enter an API URL");
+  }
+
+  let url;
+  try {
+    url = new URL(config.url.trim(), window.location.origin);
+  } catch {
+    throw new Error(`Invalid API URL: ${config.url}`);
+  }
+
+  toEntries(config.queryParams).forEach(([key, value]) => {
+    url.searchParams.append(key, value);
+  });
+
+  return url;
+};
+
+/**
+ * Fetch data from a REST API using the given configuration
+ * The response must be JSON; the optional model path selects the part
+ * of the response that is used as the template model
+ *
+ * @param {Object} config - API configuration
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<Object>} Object with raw response, template data, status and duration
+ */
+export const fetchApiData = async (config, signal) => {
+  const url = buildApiRequestUrl(config);
+  const method = (config.method || "GET").toUpperCase();
+  const headers = new Headers(toEntries(config.headers));
+
+  const options = { method, headers, signal };
+
+  if (method !== "GET" && method !== "HEAD" && config.body?.trim()) {
+    options.body = config.body;
+    if (!headers.has("Content-Type")) {
+      headers.set("Content-Type", "application/json");
+    }
+  }
+
+  const startTime = performance.now();
+  const response = await fetch(url, options);
+  const duration = Math.round(performance.now() - startTime);
+
+  if (!response.ok) {
+    throw new Error(
+      `API request failed with status ${response.status} ${response.statusText}`.trim(),
+    );
+  }
+
+  const responseText = await response.text();
+  let raw;
+
+  try {
+    raw = JSON.parse(responseText);
+  } catch {
+    throw new Error("API response is not valid JSON");
+  }
+
+  const model = getValueAtPath(raw, config.modelPath);
+
+  if (model === undefined) {
+    throw new Error(
+      `JSON path "${config.modelPath}" was not found in the API response`,
+    );
+  }
+
+  if (model === null || typeof model !== "object") {
+    throw new Error(
+      `JSON path "${config.modelPath}" must point to an object or array, found ${model === null ? "null" : typeof model}`,
+    );
+  }
+
+  return {
+    raw,
+    data: toTemplateData(model),
+    status: response.status,
+    duration,
+    url: url.toString(),
+  };
+};
+
+/**
+ * Describe an API configuration for the data source filename badge
+ *
+ * @param {Object} config - API configuration
+ * @returns {string} Short label such as "GET localhost:4010/invoice"
+ */
+export const describeApiConfig = (config) => {
+  try {
+    const url = buildApiRequestUrl(config);
+    return `${config.method} ${url.host}${url.pathname}`;
+  } catch {
+    return `${config.method} ${config.url}`;
+  }
+};
@@ -0,0 +1,314 @@
+// src/utils/app-config.js
+
+/**
+ * Runtime configuration file, fetched from the public folder at startup
+ */
+export const RUNTIME_CONFIG_FILE = "config.json";
+
+/**
+ * SDKs with a version and script URL in the `sdk` section
+ */
+const SDK_NAMES = ["documentAuthoring", "viewer"];
+
+/**
+ * Built-in configuration; build-time and runtime values are merged over it
+ * Empty SDK URLs are resolved by the SDK loader (CDN or `sdk.baseUrl`).
+ */
+export const DEFAULT_CONFIG = {
+  licenseKeys: {
+    documentAuthoring: "",
+    viewer: "",
+  },
+  sdk: {
+    baseUrl: "",
+    documentAuthoring: {
+      version: "1.8.2",
+      url: "",
+      assetsUrl: "",
+    },
+    viewer: {
+      version: "1.8.0",
+      url: "",
+    },
+  },
+  defaults: {
+    template: "/invoice.docjson",
+    data: "/invoice.json",
+  },
+  features: {
+    templateLibrary: true,
+    autosave: true,
+    fontManager: true,
+    batchGeneration: true,
+    apiDataSource: true,
+    databaseDataSource: true,
+  },
+};
+
+/**
+ * Environment variables read at build time, by configuration path
+ */
+const ENV_VARIABLES = {
+  "licenseKeys.documentAuthoring": "VITE_DOCAUTH_LICENSE_KEY",
+  "licenseKeys.viewer": "VITE_VIEWER_LICENSE_KEY",
+  "sdk.baseUrl": "VITE_SDK_BASE_URL",
+  "sdk.documentAuthoring.version": "VITE_DOCAUTH_VERSION",
+  "sdk.documentAuthoring.url": "VITE_DOCAUTH_URL",
+  "sdk.documentAuthoring.assetsUrl": "VITE_DOCAUTH_ASSETS_URL",
+  "sdk.viewer.version": "VITE_VIEWER_VERSION",
+  "sdk.viewer.url": "VITE_VIEWER_URL",
+  "defaults.template": "VITE_DEFAULT_TEMPLATE",
+  "defaults.data": "VITE_DEFAULT_DATA",
+};
+
+/**
+ * Get the environment variable of a feature toggle
+ *
+ * @param {string} feature - Feature name, e.g. "templateLibrary"
+ * @returns {string} Variable name, e.g. "VITE_FEATURE_TEMPLATE_LIBRARY"
+ */
+const getFeatureVariable = (feature) =>
+  `VITE_FEATURE_${feature.replace(/[A-Z]/g, "_$&").toUpperCase()}`;
+
+/**
+ * Check whether a value is a plain object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects that are not arrays or null
+ */
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Merge configuration objects; later values replace earlier ones
+ * Nested objects are merged key by key, undefined values are skipped.
+ *
+ * @param {Object} base - Configuration to merge into
+ * @param {Object} override - Values that take precedence
+ * @returns {Object} Merged configuration
+ */
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeConfig(base[key], value)
+        : value;
+  });
+  return merged;
+};
+
+/**
+ * Set a value at a dotted path, creating the objects on the way
+ *
+ * @param {Object} target - Object to write to
+ * @param {string} path - Dotted path, e.g. "sdk.viewer.url"
+ * @param {*} value - Value to set
+ */
+const setPath = (target, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let current = target;
+  keys.forEach((key) => {
+    current[key] ??= {};
+    current = current[key];
+  });
+  current[last] = value;
+};
+
+/**
+ * Parse a feature toggle from an environment variable
+ * Values other than true/false/1/0 are kept so validation can report them.
+ *
+ * @param {string} value - Variable value
+ * @returns {boolean|string} Parsed toggle
+ */
+const parseToggle = (value) => {
+  const normalized = value.trim().toLowerCase();
+  if (normalized === "true" || normalized === "1") return true;
+  if (normalized === "false" || normalized === "0") return false;
+  return value;
+};
+
+/**
+ * Read the configuration from the VITE_* environment variables
+ * `VITE_lkey` is still read as the Document Authoring license key.
+ *
+ * @param {Object} env - Environment, import.meta.env by default
+ * @returns {Object} Partial configuration of the variables that are set
+ */
+export const readEnvConfig = (env = import.meta.env) => {
+  const config = {};
+
+  if (env.VITE_lkey) {
+    setPath(config, "licenseKeys.documentAuthoring", env.VITE_lkey);
+  }
+  Object.entries(ENV_VARIABLES).forEach(([path, variable]) => {
+    if (env[variable] !== undefined && env[variable] !== "") {
+      setPath(config, path, env[variable]);
+    }
+  });
+  Object.keys(DEFAULT_CONFIG.features).forEach((feature) => {
+    const value = env[getFeatureVariable(feature)];
+    if (value !== undefined && value !== "") {
+      setPath(config, `features.${feature}`, parseToggle(value));
+    }
+  });
+
+  return config;
+};
+
+/**
+ * Fetch the runtime configuration file
+ * The file is optional: a missing file yields an empty configuration.
+ *
+ * @param {string} url - URL of the file
+ * @returns {Promise<Object>} Partial configuration
+ */
+export const loadRuntimeConfig = async (
+  url = `${import.meta.env.BASE_URL}${RUNTIME_CONFIG_FILE}`,
+) => {
+  const response = await fetch(url, {
+    cache: "no-store",
+    headers: { Accept: "application/json" },
+  });
+  if (response.status === 404) return {};
+  if (!response.ok) {
+    throw new Error(
+      `Could not load ${RUNTIME_CONFIG_FILE}: ${response.status} ${response.statusText}`,
+    );
+  }
+
+  // The dev server answers unknown paths with index.html
+  if (!response.headers.get("content-type")?.includes("json")) return {};
+
+  let config;
+  try {
+    config = await response.json();
+  } catch (error) {
+    throw new Error(
+      `${RUNTIME_CONFIG_FILE} is not valid JSON: ${error.message}`,
+    );
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`${RUNTIME_CONFIG_FILE} must contain a JSON object`);
+  }
+  return config;
+};
+
+/**
+ * Check an optional URL setting
+ *
+ * @param {*} value - Setting value
+ * @param {string} path - Setting path for the message
+ * @returns {string|null} Problem, or null when the value is usable
+ */
+const checkOptionalUrl = (value, path) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string") return `${path} must be a URL.`;
+  try {
+    new URL(value, window.location.href);
+    return null;
+  } catch {
+    return `${path} is not a valid URL: ${value}`;
+  }
+};
+
+/**
+ * Check a merged configuration
+ *
+ * @param {Object} config - Merged configuration
+ * @returns {Array<string>} Problems; empty when the configuration is usable
+ */
+export const validateConfig = (config) => {
+  const problems = [];
+
+  if (!config.licenseKeys?.documentAuthoring) {
+    problems.push(
+      "No Document Authoring license key is configured. Set " +
+        "VITE_DOCAUTH_LICENSE_KEY in .env.local or " +
+        `licenseKeys.documentAuthoring in public/${RUNTIME_CONFIG_FILE}.`,
+    );
+  } else if (typeof config.licenseKeys.documentAuthoring !== "string") {
+    problems.push("licenseKeys.documentAuthoring must be a string.");
+  }
+  if (
+    config.licenseKeys?.viewer &&
+    typeof config.licenseKeys.viewer !== "string"
+  ) {
+    problems.push("licenseKeys.viewer must be a string.");
+  }
+
+  problems.push(checkOptionalUrl(config.sdk?.baseUrl, "sdk.baseUrl"));
+  SDK_NAMES.forEach((name) => {
+    const sdk = config.sdk?.[name];
+    if (typeof sdk?.version !== "string" || !sdk.version) {
+      problems.push(`sdk.${name}.version must be a version, e.g. "1.8.2".`);
+    }
+    problems.push(checkOptionalUrl(sdk?.url, `sdk.${name}.url`));
+  });
+  problems.push(
+    checkOptionalUrl(
+      config.sdk?.documentAuthoring?.assetsUrl,
+      "sdk.documentAuthoring.assetsUrl",
+    ),
+  );
+
+  Object.entries(config.defaults ?? {}).forEach(([name, value]) => {
+    if (!(name in DEFAULT_CONFIG.defaults)) {
+      problems.push(`Unknown default "${name}" in defaults.`);
+    } else if (value !== null && typeof value !== "string") {
+      problems.push(`defaults.${name} must be a file path or null.`);
+    }
+  });
+
+  Object.entries(config.features ?? {}).forEach(([name, value]) => {
+    if (!(name in DEFAULT_CONFIG.features)) {
+      problems.push(
+        `Unknown feature "${name}". Known features: ` +
+          `${Object.keys(DEFAULT_CONFIG.features).join(", ")}.`,
+      );
+    } else if (typeof value !== "boolean") {
+      problems.push(
+        `features.${name} must be true or false (got ${JSON.stringify(value)}).`,
+      );
+    }
+  });
+
+  return problems.filter(Boolean);
+};
+
+/**
+ * Load the application configuration
+ *
+ * Built-in defaults, the VITE_* environment variables of the build and the
+ * runtime config.json are merged in that order, so a deployment can change
+ * license keys, SDK sources, default files and features without a rebuild.
+ *
+ * @returns {Promise<Object>} {config, problems}; the app must not start
+ *   while `problems` is not empty
+ */
+export const loadAppConfig = async () => {
+  let runtimeConfig = {};
+  try {
+    runtimeConfig = await loadRuntimeConfig();
+  } catch (error) {
+    return { config: null, problems: [error.message] };
+  }
+
+  const config = mergeConfig(
+    mergeConfig(DEFAULT_CONFIG, readEnvConfig()),
+    runtimeConfig,
+  );
+  return { config, problems: validateConfig(config) };
+};
+
+/**
+ * Get the file name of a configured default file
+ *
+ * @param {string} path - Path or URL of the file
+ * @returns {string} Last path segment
+ */
+export const getConfigFileName = (path) =>
+  path.split(/[?#]/)[0].split("/").filter(Boolean).pop() ?? path;
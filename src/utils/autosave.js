@@ -0,0 +1,51 @@
+// src/utils/autosave.js
+import { withStore } from "./indexed-db.js";
+
+/**
+ * Object store holding the autosaved session
+ */
+const STORE_NAME = "sessions";
+
+/**
+ * Key of the last session; only one session is kept
+ */
+const SESSION_ID = "last";
+
+/**
+ * Delay after the last edit before the session is saved (ms)
+ */
+export const AUTOSAVE_DELAY = 2000;
+
+/**
+ * Interval of the periodic save during continuous editing (ms)
+ */
+export const AUTOSAVE_INTERVAL = 30000;
+
+/**
+ * Save the editor session
+ *
+ * @param {Object} session - {docJson, dataSource, computedFields, dataSchema,
+ *   libraryTemplate}
+ * @returns {Promise<Object>} Stored session with its save time
+ */
+export const saveSession = async (session) => {
+  const saved = {
+    ...session,
+    id: SESSION_ID,
+    savedAt: new Date().toISOString(),
+  };
+  await withStore(STORE_NAME, "readwrite", (store) => store.put(saved));
+  return saved;
+};
+
+/**
+ * Load the last autosaved session
+ *
+ * @returns {Promise<Object|null>} Session, or null if none was saved
+ */
+export const loadSession = async () => {
+  const session = await withStore(STORE_NAME, "readonly", (store) =>
+    store.get(SESSION_ID),
+  );
+  return session?.docJson ? session : null;
+};
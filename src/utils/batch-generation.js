@@ -0,0 +1,262 @@
+// src/utils/batch-generation.js
+import {
+  DEFAULT_DELIMITER,
+  formatPlaceholder,
+  getDelimiter,
+} from "./delimiter.js";
+import { describeSchemaErrors } from "./json-schema-validation.js";
+import { getValueAtPath } from "./template-data.js";
+import { tokenizeTemplate } from "./template-parser.js";
+
+/**
+ * Find arrays of records that can drive a batch run
+ * The data itself, its model, and arrays of objects nested in the model
+ * are offered as candidates.
+ *
+ * @param {Object|Array} data - Data source data
+ * @returns {Array} Array of {path, label, count}
+ */
+export const findRecordArrays = (data) => {
+  const candidates = [];
+
+  const visit = (value, path) => {
+    if (Array.isArray(value)) {
+      if (value.some((item) => item && typeof item === "object")) {
+        candidates.push({
+          path,
+          label: path || "(root)",
+          count: value.length,
+        });
+      }
+      return;
+    }
+
+    if (value && typeof value === "object") {
+      Object.keys(value).forEach((key) => {
+        visit(value[key], path ? `${path}.${key}` : key);
+      });
+    }
+  };
+
+  visit(data, "");
+  return candidates;
+};
+
+/**
+ * Suggest a file name pattern from the first field of a record
+ * Example: {invoice_number: "1"} inside "invoices" gives "invoice-{{invoice_number}}"
+ *
+ * @param {Object} record - First record of the batch
+ * @param {string} path - Path of the record array
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {string} File name pattern
+ */
+export const suggestFilenamePattern = (
+  record,
+  path,
+  delimiter = DEFAULT_DELIMITER,
+) => {
+  const prefix =
+    (path.split(".").pop() || "document").replace(/s$/, "") || "document";
+  const idField =
+    record && typeof record === "object"
+      ? Object.keys(record).find(
+          (key) =>
+            /(number|id|name)$/i.test(key) &&
+            ["string", "number"].includes(typeof record[key]),
+        )
+      : null;
+
+  return `${prefix}-${formatPlaceholder(idField || "@index", delimiter)}`;
+};
+
+/**
+ * Build a file name from a pattern such as "invoice-{{invoice_number}}"
+ * Placeholders use the template's delimiter and resolve against the record;
+ * {{@index}} is the 1-based record number. Section tags and comments are
+ * left out.
+ *
+ * @param {string} pattern - File name pattern without extension
+ * @param {Object} record - Record data
+ * @param {number} index - Zero-based record index
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {string} Sanitized file name without extension
+ */
+export const renderFilenamePattern = (
+  pattern,
+  record,
+  index,
+  delimiter = DEFAULT_DELIMITER,
+) => {
+  const name = tokenizeTemplate(
+    pattern || `document-${formatPlaceholder("@index", delimiter)}`,
+    delimiter,
+  )
+    .map((token) => {
+      if (token.type === "text") return token.value;
+      if (token.type === "error") return token.raw;
+      if (token.type !== "variable") return "";
+      if (token.name === "@index") return String(index + 1);
+
+      const value = getValueAtPath(record, token.name);
+      return value === null || value === undefined ? "" : String(value);
+    })
+    .join("");
+
+  return (
+    name
+      .replace(/[\\/:*?"<>|]+/g, "-")
+      .replace(/\s+/g, " ")
+      .trim() || `document-${index + 1}`
+  );
+};
+
+/**
+ * Make a file name unique within a batch by appending a counter
+ *
+ * @param {string} name - File name without extension
+ * @param {Set} usedNames - Names already used in the batch
+ * @returns {string} Unique file name
+ */
+const toUniqueName = (name, usedNames) => {
+  let uniqueName = name;
+  let counter = 2;
+
+  while (usedNames.has(uniqueName.toLowerCase())) {
+    uniqueName = `${name} (${counter})`;
+    counter++;
+  }
+
+  usedNames.add(uniqueName.toLowerCase());
+  return uniqueName;
+};
+
+/**
+ * Generate one document per record and bundle the results into a ZIP
+ *
+ * Template population and PDF conversion are injected so the batch runner
+ * does not depend on a specific SDK. Records are processed one at a time;
+ * a failing record is reported and the batch continues with the next one.
+ * With `validate`, each record is checked against the data schema first: in
+ * strict mode an invalid record fails, otherwise its errors are reported as
+ * warnings. Failures and warnings are written to batch-report.json.
+ *
+ * @param {Object} options - Batch options
+ * @param {ArrayBuffer} options.templateBuffer - DOCX template
+ * @param {Array} options.records - Records to generate documents for
+ * @param {Object} options.config - Template config (delimiter) shared by all records
+ * @param {Array<string>} options.formats - Output formats ("pdf" and/or "docx")
+ * @param {string} options.filenamePattern - File name pattern
+ * @param {Function} options.populate - (templateBuffer, data) => Promise<ArrayBuffer> DOCX
+ * @param {Function} options.convertToPdf - (docxBuffer) => Promise<ArrayBuffer> PDF
+ * @param {Function} options.validate - (data) => {errors, errorCount}, optional
+ * @param {boolean} options.strict - Fail records with validation errors
+ * @param {Function} options.onProgress - Called with {completed, total, current}
+ * @param {AbortSignal} options.signal - Cancels the batch between records
+ * @returns {Promise<Object>} Object with zip blob (null if nothing succeeded), results and cancelled flag
+ */
+export const runBatchGeneration = async ({
+  templateBuffer,
+  records,
+  config,
+  formats,
+  filenamePattern,
+  populate,
+  convertToPdf,
+  validate,
+  strict = false,
+  onProgress,
+  signal,
+}) => {
+  if (formats.length === 0) {
+    throw new Error("Please select at least one output format");
+  }
+
+  const { default: JSZip } = await import("jszip");
+  const zip = new JSZip();
+  const delimiter = getDelimiter({ config });
+  const usedNames = new Set();
+  const results = [];
+  let cancelled = false;
+
+  for (let index = 0; index < records.length; index++) {
+    if (signal?.aborted) {
+      cancelled = true;
+      break;
+    }
+
+    const record = records[index];
+    const model =
+      record && typeof record === "object" ? record : { value: record };
+    const filename = toUniqueName(
+      renderFilenamePattern(filenamePattern, model, index, delimiter),
+      usedNames,
+    );
+
+    onProgress?.({ completed: index, total: records.length, current: filename });
+
+    const validation = validate?.({ config, model });
+    const schemaErrors =
+      validation?.errorCount > 0 ? validation.errors : undefined;
+    if (schemaErrors && strict) {
+      results.push({
+        index,
+        filename,
+        status: "error",
+        error: `Data does not match the schema: ${describeSchemaErrors(validation, 1)}`,
+        schemaErrors,
+      });
+      continue;
+    }
+
+    try {
+      const docxBuffer = await populate(templateBuffer, { config, model });
+
+      if (formats.includes("docx")) {
+        zip.file(`${filename}.docx`, docxBuffer);
+      }
+      if (formats.includes("pdf")) {
+        zip.file(`${filename}.pdf`, await convertToPdf(docxBuffer));
+      }
+
+      results.push({ index, filename, status: "success", schemaErrors });
+    } catch (error) {
+      console.error(`Batch record ${index + 1} failed:`, error);
+      results.push({
+        index,
+        filename,
+        status: "error",
+        error: error.message,
+        schemaErrors,
+      });
+    }
+  }
+
+  onProgress?.({
+    completed: results.length,
+    total: records.length,
+    current: null,
+  });
+
+  const failed = results.filter((result) => result.status === "error");
+  const succeeded = results.length - failed.length;
+  const warnings = results.filter(
+    (result) => result.status === "success" && result.schemaErrors,
+  );
+
+  if (failed.length > 0 || warnings.length > 0) {
+    zip.file(
+      "batch-report.json",
+      JSON.stringify(
+        { total: records.length, succeeded, failed, warnings },
+        null,
+        2,
+      ),
+    );
+  }
+
+  const zipBlob =
+    succeeded > 0 ? await zip.generateAsync({ type: "blob" }) : null;
+
+  return { zipBlob, results, cancelled };
+};
@@ -0,0 +1,465 @@
+// src/utils/computed-fields.js
+import { toNumber } from "./formatters.js";
+
+/**
+ * Functions available in computed field expressions
+ * Aggregates accept lists (e.g. items.total) and skip empty values.
+ */
+const FUNCTIONS = {
+  sum: (values) => numbersOf(values).reduce((total, value) => total + value, 0),
+  count: (values) => listOf(values).length,
+  avg: (values) => {
+    const numbers = numbersOf(values);
+    return numbers.length > 0 ? FUNCTIONS.sum(numbers) / numbers.length : null;
+  },
+  min: (values) => {
+    const numbers = numbersOf(values);
+    return numbers.length > 0 ? Math.min(...numbers) : null;
+  },
+  max: (values) => {
+    const numbers = numbersOf(values);
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  },
+  round: (value, digits = 0) => {
+    const factor = 10 ** requireNumber(digits, "round");
+    return Math.round(requireNumber(value, "round") * factor) / factor;
+  },
+  abs: (value) => Math.abs(requireNumber(value, "abs")),
+  if: (condition, whenTrue, whenFalse = null) =>
+    condition ? whenTrue : whenFalse,
+};
+
+/**
+ * Names accepted for computed fields and path segments
+ */
+const IDENTIFIER_REGEX = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const BINARY_OPERATORS = [
+  ["==", "!="],
+  ["<", "<=", ">", ">="],
+  ["+", "-"],
+  ["*", "/", "%"],
+];
+
+/**
+ * Wrap a value in a list; null and undefined give an empty list
+ *
+ * @param {*} value - Value or list
+ * @returns {Array} Flattened list
+ */
+const listOf = (value) => {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value.flat(Infinity) : [value];
+};
+
+/**
+ * Get the numbers of a list, skipping empty values
+ *
+ * @param {*} values - Value or list
+ * @returns {Array<number>} Numbers
+ */
+const numbersOf = (values) =>
+  listOf(values)
+    .filter((value) => value !== null && value !== undefined && value !== "")
+    .map((value) => requireNumber(value, "aggregate"));
+
+/**
+ * Convert an operand to a number or fail with a readable message
+ *
+ * @param {*} value - Operand
+ * @param {string} operation - Operator or function name for the message
+ * @returns {number} Number
+ */
+const requireNumber = (value, operation) => {
+  if (Array.isArray(value)) {
+    throw new Error(
+      `"${operation}" got a list; use sum(), count(), avg(), min() or max()`,
+    );
+  }
+  const number = toNumber(value);
+  if (number === null) {
+    throw new Error(`"${operation}" needs a number, got ${JSON.stringify(value)}`);
+  }
+  return number;
+};
+
+/**
+ * Split an expression into tokens
+ *
+ * @param {string} source - Expression text
+ * @returns {Array} Tokens {type: "number" | "string" | "name" | "operator", value, position}
+ */
+const tokenizeExpression = (source) => {
+  const tokens = [];
+  const pattern =
+    /\s*(?:(\d+(?:\.\d+)?)|"([^"]*)"|'([^']*)'|([A-Za-z_][A-Za-z0-9_]*)|(==|!=|<=|>=|[-+*/%<>().,]))/y;
+  let position = 0;
+
+  while (position < source.length) {
+    if (!source.slice(position).trim()) {
+      break;
+    }
+
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(
+        `Unexpected character "${source.slice(position).trim()[0]}" at position ${position + 1}`,
+      );
+    }
+
+    const [, number, doubleQuoted, singleQuoted, name, operator] = match;
+    const start = match.index + match[0].length - match[0].trimStart().length;
+
+    if (number !== undefined) {
+      tokens.push({ type: "number", value: Number(number), position: start });
+    } else if (doubleQuoted !== undefined || singleQuoted !== undefined) {
+      tokens.push({
+        type: "string",
+        value: doubleQuoted ?? singleQuoted,
+        position: start,
+      });
+    } else if (name !== undefined) {
+      tokens.push({ type: "name", value: name, position: start });
+    } else {
+      tokens.push({ type: "operator", value: operator, position: start });
+    }
+
+    position = pattern.lastIndex;
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse a computed field expression
+ *
+ * Supports numbers, "strings", field paths (items.total), + - * / %,
+ * comparisons (== != < <= > >=), parentheses and the functions sum, count,
+ * avg, min, max, round, abs and if. Expressions are never run as JavaScript.
+ *
+ * @param {string} source - Expression text
+ * @returns {Object} Expression syntax tree
+ */
+export const parseExpression = (source) => {
+  const tokens = tokenizeExpression(source || "");
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (value) =>
+    peek()?.type === "operator" && peek().value === value;
+  const fail = (message) => {
+    const token = peek();
+    throw new Error(
+      token
+        ? `${message} at position ${token.position + 1}`
+        : `${message} at the end of the expression`,
+    );
+  };
+  const expect = (value) => {
+    if (!isOperator(value)) fail(`Expected "${value}"`);
+    index++;
+  };
+
+  const parseBinary = (level) => {
+    if (level === BINARY_OPERATORS.length) {
+      return parseUnary();
+    }
+
+    let left = parseBinary(level + 1);
+    while (
+      peek()?.type === "operator" &&
+      BINARY_OPERATORS[level].includes(peek().value)
+    ) {
+      const operator = tokens[index++].value;
+      left = {
+        type: "binary",
+        operator,
+        left,
+        right: parseBinary(level + 1),
+      };
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator("-")) {
+      index++;
+      return { type: "negate", argument: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail("Expected a value");
+
+    if (token.type === "number" || token.type === "string") {
+      index++;
+      return { type: "literal", value: token.value };
+    }
+
+    if (isOperator("(")) {
+      index++;
+      const expression = parseBinary(0);
+      expect(")");
+      return expression;
+    }
+
+    if (token.type !== "name") fail(`Unexpected "${token.value}"`);
+    index++;
+
+    if (isOperator("(")) {
+      if (!Object.hasOwn(FUNCTIONS, token.value)) {
+        throw new Error(
+          `Unknown function "${token.value}". Available functions: ${Object.keys(FUNCTIONS).join(", ")}`,
+        );
+      }
+      index++;
+      const args = [];
+      if (!isOperator(")")) {
+        args.push(parseBinary(0));
+        while (isOperator(",")) {
+          index++;
+          args.push(parseBinary(0));
+        }
+      }
+      expect(")");
+      return { type: "call", name: token.value, args };
+    }
+
+    const path = [token.value];
+    while (isOperator(".")) {
+      index++;
+      if (peek()?.type !== "name") fail("Expected a field name");
+      path.push(tokens[index++].value);
+    }
+    return { type: "path", path };
+  };
+
+  if (tokens.length === 0) {
+    throw new Error("Please enter an expression");
+  }
+
+  const expression = parseBinary(0);
+  if (index < tokens.length) {
+    fail(`Unexpected "${peek().value}"`);
+  }
+  return expression;
+};
+
+/**
+ * Read a path from a value, collecting values from every item of arrays
+ * Only own properties are read, so expressions cannot reach prototypes.
+ *
+ * @param {*} value - Starting value
+ * @param {Array<string>} path - Path segments
+ * @returns {*} Value, a list when the path passes through arrays, or
+ *   undefined if it does not exist
+ */
+const readPath = (value, path) => {
+  if (path.length === 0) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => readPath(item, path)).flat();
+  }
+  if (!value || typeof value !== "object" || !Object.hasOwn(value, path[0])) {
+    return undefined;
+  }
+  return readPath(value[path[0]], path.slice(1));
+};
+
+/**
+ * Evaluate an expression syntax tree
+ * Field paths are looked up in the innermost scope first (the current loop
+ * item), then in the enclosing scopes up to the data root.
+ *
+ * @param {Object} node - Expression syntax tree
+ * @param {Array} scopes - Scope objects, outermost first
+ * @returns {*} Result
+ */
+const evaluate = (node, scopes) => {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+
+    case "path": {
+      const scope = [...scopes]
+        .reverse()
+        .find(
+          (candidate) =>
+            candidate &&
+            typeof candidate === "object" &&
+            !Array.isArray(candidate) &&
+            Object.hasOwn(candidate, node.path[0]),
+        );
+      if (!scope) {
+        throw new Error(`Unknown field "${node.path.join(".")}"`);
+      }
+      return readPath(scope, node.path) ?? null;
+    }
+
+    case "negate": {
+      const value = evaluate(node.argument, scopes);
+      return value === null ? null : -requireNumber(value, "-");
+    }
+
+    case "call":
+      return FUNCTIONS[node.name](
+        ...node.args.map((arg) => evaluate(arg, scopes)),
+      );
+
+    case "binary": {
+      const left = evaluate(node.left, scopes);
+      const right = evaluate(node.right, scopes);
+      const { operator } = node;
+
+      if (operator === "==") return left === right;
+      if (operator === "!=") return left !== right;
+      if (left === null || right === null) return null;
+
+      if (
+        operator === "+" &&
+        (typeof left === "string" || typeof right === "string") &&
+        (toNumber(left) === null || toNumber(right) === null)
+      ) {
+        return `${left}${right}`;
+      }
+
+      const a = requireNumber(left, operator);
+      const b = requireNumber(right, operator);
+      switch (operator) {
+        case "+":
+          return a + b;
+        case "-":
+          return a - b;
+        case "*":
+          return a * b;
+        case "/":
+          return b === 0 ? null : a / b;
+        case "%":
+          return b === 0 ? null : a % b;
+        case "<":
+          return a < b;
+        case "<=":
+          return a <= b;
+        case ">":
+          return a > b;
+        default:
+          return a >= b;
+      }
+    }
+
+    default:
+      throw new Error(`Unsupported expression "${node.type}"`);
+  }
+};
+
+/**
+ * Remove floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+ *
+ * @param {*} value - Result
+ * @returns {*} Cleaned result
+ */
+const cleanNumber = (value) =>
+  typeof value === "number" && Number.isFinite(value)
+    ? Number(value.toFixed(10))
+    : value;
+
+/**
+ * Visit every object a computed field is defined on
+ * The scope "items" visits each item of the model's items array; nested
+ * scopes ("sections.items") visit the items of every section.
+ *
+ * @param {*} model - Template model
+ * @param {string} scope - Loop path, empty for the top level
+ * @param {Function} visit - Called with (target object, scopes)
+ */
+const forEachScopeObject = (model, scope, visit) => {
+  const walk = (value, path, scopes) => {
+    if (Array.isArray(value)) {
+      value.forEach((item) => walk(item, path, scopes));
+      return;
+    }
+    if (!value || typeof value !== "object") {
+      return;
+    }
+    if (path.length === 0) {
+      visit(value, [...scopes, value]);
+      return;
+    }
+    if (Object.hasOwn(value, path[0])) {
+      walk(value[path[0]], path.slice(1), [...scopes, value]);
+    }
+  };
+
+  walk(model, scope ? scope.split(".") : [], []);
+};
+
+/**
+ * Check a computed field definition
+ *
+ * @param {Object} definition - {name, scope, expression}
+ * @returns {string|null} Problem description, or null if valid
+ */
+export const validateComputedField = (definition) => {
+  if (!IDENTIFIER_REGEX.test(definition.name || "")) {
+    return "Names must start with a letter or _ and contain only letters, digits and _";
+  }
+  try {
+    parseExpression(definition.expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Evaluate computed fields and add their values to a copy of the data
+ *
+ * Definitions are evaluated in order, so later fields can use earlier ones
+ * (subtotal = sum(items.line_total), then tax = subtotal * 0.05). A field
+ * with a loop scope is evaluated once per item and stored on the item.
+ *
+ * @param {Object} data - Template data ({config, model})
+ * @param {Array} definitions - Array of {name, scope, expression}
+ * @returns {Object} {data, results} where results holds {error, sample} for
+ *   each definition; sample is the first computed value
+ */
+export const applyComputedFields = (data, definitions = []) => {
+  if (!data || definitions.length === 0) {
+    return { data, results: [] };
+  }
+
+  const result = structuredClone(data);
+  const hasModel = result.model && typeof result.model === "object";
+  const model = hasModel ? result.model : result;
+
+  const results = definitions.map((definition) => {
+    const problem = validateComputedField(definition);
+    if (problem) {
+      return { error: problem, sample: undefined };
+    }
+
+    const expression = parseExpression(definition.expression);
+    let sample;
+    let error = null;
+
+    forEachScopeObject(model, definition.scope, (target, scopes) => {
+      try {
+        target[definition.name] = cleanNumber(evaluate(expression, scopes));
+        if (sample === undefined) sample = target[definition.name];
+      } catch (evaluationError) {
+        target[definition.name] = null;
+        error ??= evaluationError.message;
+      }
+    });
+
+    return { error, sample };
+  });
+
+  return { data: result, results };
+};
@@ -0,0 +1,205 @@
+// src/utils/data-editing.js
+
+/**
+ * Value types offered by the data editor for primitive values
+ */
+export const VALUE_TYPES = [
+  { id: "string", label: "Text" },
+  { id: "number", label: "Number" },
+  { id: "boolean", label: "Yes/No" },
+  { id: "null", label: "Null" },
+];
+
+/**
+ * Get the JSON type of a value
+ *
+ * @param {*} value - JSON value
+ * @returns {string} object, array, string, number, boolean or null
+ */
+export const getValueType = (value) => {
+  if (value === null || value === undefined) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+};
+
+/**
+ * Convert a value to another primitive type, keeping what can be kept
+ * Example: convertValue("12", "number") returns 12
+ *
+ * @param {*} value - Current value
+ * @param {string} type - Target type (string, number, boolean or null)
+ * @returns {*} Converted value
+ */
+export const convertValue = (value, type) => {
+  if (type === "string") {
+    return value === null || value === undefined ? "" : String(value);
+  }
+  if (type === "number") {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : 0;
+  }
+  if (type === "boolean") {
+    return value === "false" ? false : Boolean(value);
+  }
+  return null;
+};
+
+/**
+ * Create an empty value with the same shape as a sample
+ * Used for new array items, so a new invoice item gets the same fields as
+ * the existing ones: text becomes "", numbers 0, booleans false and arrays
+ * empty.
+ *
+ * @param {*} sample - Value to copy the shape of
+ * @returns {*} Empty value
+ */
+export const createBlankValue = (sample) => {
+  const type = getValueType(sample);
+
+  if (type === "array") {
+    return [];
+  }
+  if (type === "object") {
+    return Object.fromEntries(
+      Object.entries(sample).map(([key, value]) => [
+        key,
+        createBlankValue(value),
+      ]),
+    );
+  }
+  return type === "null" ? null : convertValue(undefined, type);
+};
+
+/**
+ * Return a copy of the data with the value at a path replaced
+ * Only the objects and arrays along the path are copied.
+ *
+ * @param {*} data - JSON data
+ * @param {Array<string|number>} path - Keys and array indexes
+ * @param {*} value - New value
+ * @returns {*} Updated copy of the data
+ */
+export const setValueAtPath = (data, path, value) => {
+  if (path.length === 0) {
+    return value;
+  }
+
+  const [key, ...rest] = path;
+  const copy = Array.isArray(data) ? [...data] : { ...data };
+  copy[key] = setValueAtPath(data[key], rest, value);
+  return copy;
+};
+
+/**
+ * Replace the object or array at a path with the result of an update
+ *
+ * @param {*} data - JSON data
+ * @param {Array<string|number>} path - Path of the object or array
+ * @param {Function} update - Receives the container, returns its replacement
+ * @returns {*} Updated copy of the data
+ */
+const updateContainer = (data, path, update) => {
+  const container = path.reduce((current, key) => current[key], data);
+  return setValueAtPath(data, path, update(container));
+};
+
+/**
+ * Return a copy of the data without the value at a path
+ * Array items after a removed item move up.
+ *
+ * @param {*} data - JSON data
+ * @param {Array<string|number>} path - Keys and array indexes (not empty)
+ * @returns {*} Updated copy of the data
+ */
+export const removeValueAtPath = (data, path) => {
+  const parentPath = path.slice(0, -1);
+  const key = path[path.length - 1];
+
+  return updateContainer(data, parentPath, (parent) => {
+    if (Array.isArray(parent)) {
+      return parent.filter((_, index) => index !== key);
+    }
+    const { [key]: _removed, ...rest } = parent;
+    return rest;
+  });
+};
+
+/**
+ * Return a copy of the data with an object key renamed
+ * The key keeps its position among the object's keys.
+ *
+ * @param {*} data - JSON data
+ * @param {Array<string>} path - Path of the value whose key is renamed
+ * @param {string} newKey - New key
+ * @returns {*} Updated copy of the data
+ * @throws {Error} If the new key is empty or already used
+ */
+export const renameKeyAtPath = (data, path, newKey) => {
+  const oldKey = path[path.length - 1];
+
+  return updateContainer(data, path.slice(0, -1), (parent) => {
+    if (!newKey) {
+      throw new Error("Field names cannot be empty");
+    }
+    if (newKey !== oldKey && Object.hasOwn(parent, newKey)) {
+      throw new Error(`A field named "${newKey}" already exists`);
+    }
+    return Object.fromEntries(
+      Object.entries(parent).map(([key, value]) => [
+        key === oldKey ? newKey : key,
+        value,
+      ]),
+    );
+  });
+};
+
+/**
+ * Return a copy of the data with a value added to an object or array
+ * Objects get a new field named "field", "field2", ...; arrays get a blank
+ * copy of their last item.
+ *
+ * @param {*} data - JSON data
+ * @param {Array<string|number>} path - Path of the object or array
+ * @returns {*} Updated copy of the data
+ */
+export const addChildAtPath = (data, path) =>
+  updateContainer(data, path, (container) => {
+    if (Array.isArray(container)) {
+      const sample = container[container.length - 1];
+      return [
+        ...container,
+        sample === undefined ? "" : createBlankValue(sample),
+      ];
+    }
+
+    let key = "field";
+    for (let index = 2; Object.hasOwn(container, key); index++) {
+      key = `field${index}`;
+    }
+    return { ...container, [key]: "" };
+  });
+
+/**
+ * Parse JSON text and describe syntax errors with a line and column
+ *
+ * @param {string} text - JSON text
+ * @returns {Object} {value} on success, {error} with a message otherwise
+ */
+export const parseJsonText = (text) => {
+  try {
+    return { value: JSON.parse(text), error: null };
+  } catch (error) {
+    const position = error.message.match(/at position (\d+)/);
+    if (!position) {
+      return { value: undefined, error: error.message };
+    }
+
+    const lines = text.slice(0, Number(position[1])).split("\n");
+    const message = error.message.replace(/\s*at position \d+.*$/, "");
+    return {
+      value: undefined,
+      error: `${message} (line ${lines.length}, column ${lines[lines.length - 1].length + 1})`,
+    };
+  }
+};
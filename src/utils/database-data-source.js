@@ -0,0 +1,186 @@
+// src/utils/database-data-source.js
+import sqlWasmUrl from "sql.js/dist/sql-wasm-browser.wasm?url";
+
+/**
+ * Sample schema and data mirroring public/invoice.json
+ * Used to pre-fill the SQL statements editor
+ */
+export const SAMPLE_DATABASE_SQL = `CREATE TABLE invoices (
+  invoice_number TEXT PRIMARY KEY,
+  invoice_date TEXT,
+  customer_name TEXT,
+  customer_id TEXT,
+  customer_address TEXT,
+  total TEXT
+);
+
+CREATE TABLE invoice_items (
+  invoice_number TEXT REFERENCES invoices(invoice_number),
+  quantity TEXT,
+  number TEXT,
+  description TEXT,
+  price TEXT,
+  total TEXT
+);
+
+INSERT INTO invoices VALUES
+  ('1234', 'November 30, 2022', 'Henry Ross', '8675309', '123 Avenue A, Metropolis', '278.00'),
+  ('1235', 'December 2, 2022', 'Maria Lopez', '5551234', '9 Harbour Road, Gotham', '60.00');
+
+INSERT INTO invoice_items VALUES
+  ('1234', '10', '123', 'Baby chicks', '5.00', '50.00'),
+  ('1234', '2', '444', 'Heat lamps', '24.00', '48.00'),
+  ('1234', '6', '120', 'Chicken roosts', '30.00', '180.00'),
+  ('1235', '3', '310', 'Feed bags', '20.00', '60.00');`;
+
+/**
+ * Sample one-to-many query; the "items." column aliases are grouped
+ * into a nested "items" array per invoice
+ */
+export const SAMPLE_DATABASE_QUERY = `SELECT
+  i.invoice_number, i.invoice_date, i.customer_name,
+  i.customer_id, i.customer_address, i.total,
+  it.quantity AS "items.quantity",
+  it.number AS "items.number",
+  it.description AS "items.description",
+  it.price AS "items.price",
+  it.total AS "items.total"
+FROM invoices i
+LEFT JOIN invoice_items it ON it.invoice_number = i.invoice_number
+ORDER BY i.invoice_number;`;
+
+/**
+ * Create an empty database data source configuration
+ *
+ * @returns {Object} Database configuration
+ */
+export const createDatabaseConfig = () => ({
+  sourceType: "sql",
+  sql: SAMPLE_DATABASE_SQL,
+  filename: "",
+  query: SAMPLE_DATABASE_QUERY,
+  mapping: {
+    shape: "object",
+    arrayName: "records",
+    keyColumn: "",
+  },
+});
+
+let sqlEnginePromise = null;
+
+/**
+ * Load the in-browser SQL engine (sql.js) once and reuse it
+ *
+ * @returns {Promise<Object>} Initialized sql.js module
+ */
+const loadSqlEngine = () => {
+  if (!sqlEnginePromise) {
+    sqlEnginePromise = import("sql.js")
+      .then(({ default: initSqlJs }) =>
+        initSqlJs({ locateFile: () => sqlWasmUrl }),
+      )
+      .catch((error) => {
+        sqlEnginePromise = null;
+        throw new Error(`Failed to load the SQL engine: ${error.message}`);
+      });
+  }
+
+  return sqlEnginePromise;
+};
+
+/**
+ * Open an in-memory database from a SQLite file or SQL statements
+ *
+ * @param {Object} source - Either {file: ArrayBuffer} or {sql: string}
+ * @returns {Promise<Object>} sql.js Database instance (caller must close it)
+ */
+export const openDatabase = async (source) => {
+  const SQL = await loadSqlEngine();
+
+  if (source.file) {
+    try {
+      const db = new SQL.Database(new Uint8Array(source.file));
+      // Touch the schema so invalid files fail here instead of on query
+      db.exec("SELECT name FROM sqlite_master LIMIT 1");
+      return db;
+    } catch (error) {
+      throw new Error(`Not a valid SQLite database: ${error.message}`);
+    }
+  }
+
+  const db = new SQL.Database();
+
+  if (source.sql?.trim()) {
+    try {
+      db.exec(source.sql);
+    } catch (error) {
+      db.close();
+      throw new Error(`SQL statements failed: ${error.message}`);
+    }
+  }
+
+  return db;
+};
+
+/**
+ * List the user tables of a database with their row counts
+ *
+ * @param {Object} db - sql.js Database instance
+ * @returns {Array} Array of {name, rowCount}
+ */
+export const listTables = (db) => {
+  const result = db.exec(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name",
+  );
+
+  if (result.length === 0) {
+    return [];
+  }
+
+  return result[0].values.map(([name]) => {
+    const count = db.exec(`SELECT COUNT(*) FROM "${name.replace(/"/g, '""')}"`);
+    return { name, rowCount: count[0].values[0][0] };
+  });
+};
+
+/**
+ * Run a query and return the rows of its last result set as objects
+ *
+ * @param {Object} db - sql.js Database instance
+ * @param {string} query - SQL query
+ * @returns {Object} Object with columns and rows
+ */
+export const runQuery = (db, query) => {
+  if (!query || !query.trim()) {
+    throw new Error("Please enter a SQL query");
+  }
+
+  let results;
+  try {
+    results = db.exec(query);
+  } catch (error) {
+    throw new Error(`Query failed: ${error.message}`);
+  }
+
+  if (results.length === 0) {
+    return { columns: [], rows: [] };
+  }
+
+  const { columns, values } = results[results.length - 1];
+  const rows = values.map((value) =>
+    Object.fromEntries(columns.map((column, i) => [column, value[i]])),
+  );
+
+  return { columns, rows };
+};
+
+/**
+ * Describe a database configuration for the data source filename badge
+ *
+ * @param {Object} config - Database configuration
+ * @returns {string} Short label
+ */
+export const describeDatabaseConfig = (config) =>
+  config.sourceType === "file" && config.filename
+    ? `SQLite: ${config.filename}`
+    : "SQL: statements";
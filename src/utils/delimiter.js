@@ -0,0 +1,65 @@
+// src/utils/delimiter.js
+
+/**
+ * Default placeholder delimiter used by Nutrient template population
+ */
+export const DEFAULT_DELIMITER = { start: "{{", end: "}}" };
+
+/**
+ * Delimiter presets offered in the designer
+ */
+export const DELIMITER_PRESETS = [
+  { start: "{{", end: "}}" },
+  { start: "[[", end: "]]" },
+  { start: "<<", end: ">>" },
+  { start: "${", end: "}" },
+];
+
+/**
+ * Read the delimiter declared in a data source's config
+ * Falls back to the default delimiter when none (or an invalid one) is set
+ *
+ * @param {Object} data - Data source data ({config, model})
+ * @returns {Object} Delimiter with start and end
+ */
+export const getDelimiter = (data) => {
+  const delimiter = data?.config?.delimiter;
+
+  if (
+    typeof delimiter?.start === "string" &&
+    typeof delimiter?.end === "string" &&
+    delimiter.start.length > 0 &&
+    delimiter.end.length > 0
+  ) {
+    return { start: delimiter.start, end: delimiter.end };
+  }
+
+  return DEFAULT_DELIMITER;
+};
+
+/**
+ * Check a delimiter entered by the user
+ *
+ * @param {Object} delimiter - Delimiter with start and end
+ * @returns {string|null} Error message, or null if the delimiter is valid
+ */
+export const validateDelimiter = (delimiter) => {
+  if (!delimiter.start || !delimiter.end) {
+    return "Start and end delimiters must not be empty";
+  }
+  if (/\s/.test(delimiter.start) || /\s/.test(delimiter.end)) {
+    return "Delimiters must not contain whitespace";
+  }
+  return null;
+};
+
+/**
+ * Wrap a tag in the delimiter
+ * Example: formatPlaceholder("#items", {start: "[[", end: "]]"}) returns "[[#items]]"
+ *
+ * @param {string} tag - Tag content (field name, "#loop", "/loop", ...)
+ * @param {Object} delimiter - Delimiter with start and end
+ * @returns {string} Placeholder text
+ */
+export const formatPlaceholder = (tag, delimiter = DEFAULT_DELIMITER) =>
+  `${delimiter.start}${tag}${delimiter.end}`;
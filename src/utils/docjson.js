@@ -0,0 +1,515 @@
+// src/utils/docjson.js
+
+/**
+ * Get the sections of a saved DocJSON document
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Array|null} Sections, or null if the structure is unexpected
+ */
+export const getDocumentSections = (docJson) => {
+  const sections = docJson?.container?.document?.body?.sections;
+  return Array.isArray(sections) ? sections : null;
+};
+
+/**
+ * Section properties holding headers or footers, and the part they hold
+ */
+const HEADER_FOOTER_KEYS = {
+  header: "header",
+  headers: "header",
+  footer: "footer",
+  footers: "footer",
+};
+
+/**
+ * Section properties grouping the header and footer properties
+ */
+const HEADER_FOOTER_GROUPS = ["headersAndFooters", "headersFooters"];
+
+/**
+ * Page variants of a header or footer
+ */
+const HEADER_FOOTER_VARIANTS = ["default", "first", "even", "odd"];
+
+/**
+ * Find the header and footer block lists of a section
+ *
+ * Headers and footers are not part of the documented DocJSON surface, so only
+ * the known section properties (`headers`, `footers`, their singular forms and
+ * a `headersAndFooters` group) are searched, down through arrays and the page
+ * variants (default, first, even, odd) to their `elements` block lists. Other
+ * properties are never treated as headers, whatever their name.
+ *
+ * @param {Object} section - DocJSON section
+ * @returns {Array} Array of {part: "header" | "footer", name, elements}
+ */
+export const getSectionHeadersAndFooters = (section) => {
+  const parts = [];
+
+  const collect = (value, part, name) => {
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => collect(item, part, `${name}[${index}]`));
+      return;
+    }
+    if (!value || typeof value !== "object") {
+      return;
+    }
+    if (Array.isArray(value.elements)) {
+      parts.push({ part, name, elements: value.elements });
+      return;
+    }
+    HEADER_FOOTER_VARIANTS.filter((key) => key in value).forEach((key) => {
+      collect(value[key], part, `${name}.${key}`);
+    });
+  };
+
+  const collectKeys = (owner, prefix) => {
+    Object.keys(owner || {}).forEach((key) => {
+      if (Object.hasOwn(HEADER_FOOTER_KEYS, key)) {
+        collect(owner[key], HEADER_FOOTER_KEYS[key], `${prefix}${key}`);
+      }
+    });
+  };
+
+  collectKeys(section, "");
+  HEADER_FOOTER_GROUPS.forEach((group) => {
+    if (section?.[group] && typeof section[group] === "object") {
+      collectKeys(section[group], `${group}.`);
+    }
+  });
+
+  return parts;
+};
+
+/**
+ * Get the text of a paragraph
+ * Runs contribute their text, line and page breaks become newlines, and
+ * inline containers (hyperlinks, fields) are searched for nested runs.
+ *
+ * @param {Object} paragraph - DocJSON paragraph ("p") element
+ * @returns {string} Paragraph text without a trailing newline
+ */
+export const getParagraphText = (paragraph) => {
+  let text = "";
+
+  const visitInline = (inline) => {
+    if (inline.type === "r" && inline.text) {
+      text += inline.text;
+    } else if (inline.type === "break/line") {
+      text += "\n";
+    } else if (inline.type === "break/page") {
+      text += "\n\n--- PAGE BREAK ---\n\n";
+    } else if (Array.isArray(inline.elements)) {
+      inline.elements.forEach(visitInline);
+    }
+  };
+
+  if (Array.isArray(paragraph?.elements)) {
+    paragraph.elements.forEach(visitInline);
+  }
+
+  return text;
+};
+
+/**
+ * Walk a list of DocJSON blocks, descending into table cells
+ *
+ * @param {Array} elements - Block elements ("p" and "t")
+ * @param {Object} location - Location of the list
+ * @param {Object} visitor - Callbacks {paragraph, table}
+ * @param {Object} counter - Shared counter numbering tables in reading order
+ */
+const walkBlocks = (elements, location, visitor, counter) => {
+  if (!Array.isArray(elements)) {
+    return;
+  }
+
+  elements.forEach((element, index) => {
+    const elementLocation = { ...location, path: [...location.path, index] };
+
+    if (element.type === "p") {
+      visitor.paragraph?.(element, elementLocation);
+    } else if (element.type === "t") {
+      const tableIndex = counter.tables++;
+      visitor.table?.(element, { ...elementLocation, tableIndex });
+
+      (element.rows || []).forEach((row, rowIndex) => {
+        (row.cells || []).forEach((cell, cellIndex) => {
+          walkBlocks(
+            cell.elements,
+            {
+              ...elementLocation,
+              cells: [
+                ...elementLocation.cells,
+                { table: tableIndex, row: rowIndex, cell: cellIndex },
+              ],
+            },
+            visitor,
+            counter,
+          );
+        });
+      });
+    }
+  });
+};
+
+/**
+ * Get the block lists of a section in reading order
+ * Headers come first, then the body, then the footers.
+ *
+ * @param {Object} section - DocJSON section
+ * @returns {Array} Array of {part, name, elements}
+ */
+const getSectionParts = (section) => {
+  const headersAndFooters = getSectionHeadersAndFooters(section);
+
+  return [
+    ...headersAndFooters.filter((part) => part.part === "header"),
+    { part: "body", name: "body", elements: section.elements },
+    ...headersAndFooters.filter((part) => part.part === "footer"),
+  ];
+};
+
+/**
+ * Visit every paragraph and table of a document in reading order
+ *
+ * For each section the headers are visited first, then the body, then the
+ * footers. The location passed to the callbacks identifies the block:
+ * {sectionIndex, part: "header" | "body" | "footer", partName, path, cells},
+ * where `path` holds the element indexes from the part down to the block and
+ * `cells` the {table, row, cell} indexes passed on the way. Tables are
+ * numbered in reading order and also receive their own `tableIndex`.
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @param {Object} visitor - Callbacks {paragraph(p, location), table(t, location)}
+ */
+export const walkDocument = (docJson, visitor) => {
+  const sections = getDocumentSections(docJson) || [];
+  const counter = { tables: 0 };
+
+  sections.forEach((section, sectionIndex) => {
+    getSectionParts(section).forEach(({ part, name, elements }) => {
+      walkBlocks(
+        elements,
+        { sectionIndex, part, partName: name, path: [], cells: [] },
+        visitor,
+        counter,
+      );
+    });
+  });
+};
+
+/**
+ * Append the text of a list of blocks to an output buffer
+ *
+ * Each paragraph is followed by a newline. Table cells are separated by tabs
+ * and table rows by newlines, so placeholders keep their reading order (e.g.
+ * a loop spanning a row). The character range of every paragraph is recorded
+ * in `output.segments` together with its location.
+ *
+ * @param {Array} elements - Block elements
+ * @param {Object} location - Location of the list
+ * @param {Object} output - Buffer {text, segments}
+ * @param {Object} counter - Shared counter numbering tables in reading order
+ */
+const appendBlocksText = (elements, location, output, counter) => {
+  if (!Array.isArray(elements)) {
+    return;
+  }
+
+  elements.forEach((element, index) => {
+    const elementLocation = { ...location, path: [...location.path, index] };
+
+    if (element.type === "p") {
+      const text = getParagraphText(element);
+      output.segments.push({
+        start: output.text.length,
+        end: output.text.length + text.length,
+        location: elementLocation,
+      });
+      output.text += `${text}\n`;
+    } else if (element.type === "t") {
+      const tableIndex = counter.tables++;
+
+      (element.rows || []).forEach((row, rowIndex) => {
+        (row.cells || []).forEach((cell, cellIndex) => {
+          if (cellIndex > 0) {
+            output.text += "\t";
+          }
+
+          const cellStart = output.text.length;
+          appendBlocksText(
+            cell.elements,
+            {
+              ...elementLocation,
+              cells: [
+                ...elementLocation.cells,
+                { table: tableIndex, row: rowIndex, cell: cellIndex },
+              ],
+            },
+            output,
+            counter,
+          );
+
+          // Keep the cell on the row's line
+          if (output.text.length > cellStart && output.text.endsWith("\n")) {
+            output.text = output.text.slice(0, -1);
+          }
+        });
+        output.text += "\n";
+      });
+    }
+  });
+};
+
+/**
+ * Convert a list of blocks to plain text
+ *
+ * @param {Array} elements - Block elements
+ * @returns {string} Text without a trailing newline
+ */
+const blocksToText = (elements) => {
+  const output = { text: "", segments: [] };
+  appendBlocksText(
+    elements,
+    { sectionIndex: 0, part: "body", partName: "body", path: [], cells: [] },
+    output,
+    { tables: 0 },
+  );
+  return output.text.replace(/\n$/, "");
+};
+
+/**
+ * Extract the full text of a document with the location of each paragraph
+ * Covers all sections, tables (including nested tables), headers and footers
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Object} {text, segments: [{start, end, location}]}
+ */
+export const extractDocumentTextWithLocations = (docJson) => {
+  const output = { text: "", segments: [] };
+  const sections = getDocumentSections(docJson);
+
+  if (!sections) {
+    console.error("Document has no sections:", docJson);
+    return output;
+  }
+
+  const counter = { tables: 0 };
+
+  sections.forEach((section, sectionIndex) => {
+    getSectionParts(section).forEach(({ part, name, elements }) => {
+      appendBlocksText(
+        elements,
+        { sectionIndex, part, partName: name, path: [], cells: [] },
+        output,
+        counter,
+      );
+    });
+  });
+
+  return output;
+};
+
+/**
+ * Extract the full text of a document
+ * Covers all sections, tables (including nested tables), headers and footers
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {string} Extracted text
+ */
+export const extractDocumentText = (docJson) =>
+  extractDocumentTextWithLocations(docJson).text;
+
+/**
+ * Find the paragraph containing a character offset in the extracted text
+ *
+ * @param {Array} segments - Segments from extractDocumentTextWithLocations
+ * @param {number} offset - Character offset in the extracted text
+ * @returns {Object|null} Segment {start, end, location}, or null if the offset
+ *   is outside all paragraphs
+ */
+export const findSegmentAtOffset = (segments, offset) =>
+  segments.find(
+    (segment) => offset >= segment.start && offset <= segment.end,
+  ) ?? null;
+
+/**
+ * Count the blocks of a document
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Object} Counts {paragraphs, tables, tableParagraphs, headerFooterParagraphs}
+ */
+export const summarizeDocument = (docJson) => {
+  const summary = {
+    paragraphs: 0,
+    tables: 0,
+    tableParagraphs: 0,
+    headerFooterParagraphs: 0,
+  };
+
+  walkDocument(docJson, {
+    paragraph: (paragraph, location) => {
+      summary.paragraphs++;
+      if (location.cells.length > 0) {
+        summary.tableParagraphs++;
+      }
+      if (location.part !== "body") {
+        summary.headerFooterParagraphs++;
+      }
+    },
+    table: () => {
+      summary.tables++;
+    },
+  });
+
+  return summary;
+};
+
+/**
+ * Describe a document summary for status messages
+ * Example: "42 paragraphs, 2 tables (30 paragraphs in table cells)"
+ *
+ * @param {Object} summary - Result of summarizeDocument
+ * @returns {string} Summary text
+ */
+export const describeDocumentSummary = (summary) => {
+  const details = [];
+  if (summary.tableParagraphs > 0) {
+    details.push(`${summary.tableParagraphs} paragraphs in table cells`);
+  }
+  if (summary.headerFooterParagraphs > 0) {
+    details.push(`${summary.headerFooterParagraphs} in headers/footers`);
+  }
+
+  return (
+    `${summary.paragraphs} paragraphs, ${summary.tables} tables` +
+    (details.length > 0 ? ` (${details.join(", ")})` : "")
+  );
+};
+
+/**
+ * Describe a block location for people
+ * Example: "Section 1 · Table 2 · Row 3 · Cell 1"
+ *
+ * @param {Object} location - Location passed by walkDocument
+ * @returns {string} Location text
+ */
+export const describeLocation = (location) => {
+  const parts = [`Section ${location.sectionIndex + 1}`];
+
+  if (location.part !== "body") {
+    parts.push(location.part === "header" ? "Header" : "Footer");
+  }
+  location.cells.forEach(({ table, row, cell }) => {
+    parts.push(`Table ${table + 1}`, `Row ${row + 1}`, `Cell ${cell + 1}`);
+  });
+  if (location.tableIndex !== undefined) {
+    parts.push(`Table ${location.tableIndex + 1}`);
+  }
+
+  return parts.join(" · ");
+};
+
+/**
+ * Extract every table of a document with its row/cell structure
+ * Nested tables are listed as tables of their own and are also part of
+ * the text of the cell that contains them.
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Array} Array of {index, location, rows: [{cells: [{text}]}]}
+ */
+export const extractTables = (docJson) => {
+  const tables = [];
+
+  walkDocument(docJson, {
+    table: (table, location) => {
+      tables.push({
+        index: location.tableIndex,
+        location: { ...location, label: describeLocation(location) },
+        rows: (table.rows || []).map((row) => ({
+          cells: (row.cells || []).map((cell) => ({
+            text: blocksToText(cell.elements).replace(/\n$/, ""),
+          })),
+        })),
+      });
+    },
+  });
+
+  return tables;
+};
+
+/**
+ * Get the heading level of a paragraph style
+ * "Title" is level 0, "Heading 1" to "Heading 6" are levels 1 to 6
+ *
+ * @param {string} styleId - Paragraph style ID
+ * @returns {number|null} Heading level, or null for non-heading styles
+ */
+const getHeadingLevel = (styleId) => {
+  if (styleId === "Title") {
+    return 0;
+  }
+  const match = /^heading\s*(\d)$/i.exec(styleId || "");
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Create a JSON outline of the document's headings and paragraphs
+ * Empty paragraphs are skipped; paragraphs in table cells are flagged.
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Array} Array of {type, level, styleId, text, inTable, location}
+ */
+export const createDocumentOutline = (docJson) => {
+  const outline = [];
+
+  walkDocument(docJson, {
+    paragraph: (paragraph, location) => {
+      const text = getParagraphText(paragraph);
+      if (!text.trim()) {
+        return;
+      }
+
+      const styleId = paragraph.pPr?.styleId ?? null;
+      const level = getHeadingLevel(styleId);
+
+      outline.push({
+        type: level === null ? "paragraph" : "heading",
+        ...(level === null ? {} : { level }),
+        styleId,
+        text,
+        inTable: location.cells.length > 0,
+        location: { ...location, label: describeLocation(location) },
+      });
+    },
+  });
+
+  return outline;
+};
+
+/**
+ * Describe where a range of the extracted text is located
+ * Returns the location label and the paragraph text split around the range,
+ * so the range can be highlighted in its context.
+ *
+ * @param {Object} extraction - Result of extractDocumentTextWithLocations
+ * @param {number} start - Start offset of the range
+ * @param {number} length - Length of the range
+ * @returns {Object|null} {label, before, match, after}, or null if not found
+ */
+export const describeTextRange = (extraction, start, length) => {
+  const segment = findSegmentAtOffset(extraction.segments, start);
+  if (!segment) {
+    return null;
+  }
+
+  const end = Math.min(start + length, segment.end);
+
+  return {
+    label: describeLocation(segment.location),
+    before: extraction.text.slice(segment.start, start),
+    match: extraction.text.slice(start, end),
+    after: extraction.text.slice(end, segment.end),
+  };
+};
@@ -0,0 +1,236 @@
+// src/utils/document-diff.js
+import {
+  describeLocation,
+  getParagraphText,
+  walkDocument,
+} from "./docjson.js";
+
+/**
+ * Split a DocJSON document into the blocks that are compared
+ *
+ * Every paragraph becomes a block with its text, style and location; every
+ * table becomes a block describing its size, so added or removed rows and
+ * columns show up even when no text changed. `format` fingerprints the
+ * paragraph and run properties without the text.
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Array} Blocks {kind, text, styleId, format, label}
+ */
+export const createDiffBlocks = (docJson) => {
+  const blocks = [];
+
+  walkDocument(docJson, {
+    paragraph: (paragraph, location) => {
+      blocks.push({
+        kind: "paragraph",
+        text: getParagraphText(paragraph),
+        styleId: paragraph.pPr?.styleId ?? null,
+        format: JSON.stringify(paragraph, (key, value) =>
+          key === "text" || key === "importedElementInfo" ? undefined : value,
+        ),
+        label: describeLocation(location),
+      });
+    },
+    table: (table, location) => {
+      const rows = table.rows || [];
+      const columns = Math.max(
+        0,
+        ...rows.map((row) => row.cells?.length ?? 0),
+      );
+      blocks.push({
+        kind: "table",
+        text: `Table: ${rows.length} row(s) × ${columns} column(s)`,
+        styleId: null,
+        format: "",
+        label: describeLocation(location),
+      });
+    },
+  });
+
+  return blocks;
+};
+
+/**
+ * Diff two sequences by their longest common subsequence
+ * Common leading and trailing items are matched before the table is built,
+ * so small edits to long documents stay cheap.
+ *
+ * @param {Array} before - Old items
+ * @param {Array} after - New items
+ * @param {Function} getKey - Returns the comparison key of an item
+ * @returns {Array} Operations {type: "equal" | "removed" | "added", before,
+ *   after} in document order
+ */
+export const diffSequences = (before, after, getKey = (item) => item) => {
+  const beforeKeys = before.map(getKey);
+  const afterKeys = after.map(getKey);
+
+  let start = 0;
+  while (
+    start < before.length &&
+    start < after.length &&
+    beforeKeys[start] === afterKeys[start]
+  ) {
+    start++;
+  }
+
+  let beforeEnd = before.length;
+  let afterEnd = after.length;
+  while (
+    beforeEnd > start &&
+    afterEnd > start &&
+    beforeKeys[beforeEnd - 1] === afterKeys[afterEnd - 1]
+  ) {
+    beforeEnd--;
+    afterEnd--;
+  }
+
+  // lengths[i][j]: common subsequence length of the middles from i and j on
+  const rows = beforeEnd - start;
+  const columns = afterEnd - start;
+  const lengths = Array.from(
+    { length: rows + 1 },
+    () => new Uint32Array(columns + 1),
+  );
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i][j] =
+        beforeKeys[start + i] === afterKeys[start + j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  for (let index = 0; index < start; index++) {
+    operations.push({
+      type: "equal",
+      before: before[index],
+      after: after[index],
+    });
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < columns) {
+    if (
+      i < rows &&
+      j < columns &&
+      beforeKeys[start + i] === afterKeys[start + j]
+    ) {
+      operations.push({
+        type: "equal",
+        before: before[start + i++],
+        after: after[start + j++],
+      });
+    } else if (
+      i < rows &&
+      (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      operations.push({ type: "removed", before: before[start + i++] });
+    } else {
+      operations.push({ type: "added", after: after[start + j++] });
+    }
+  }
+
+  for (let index = 0; index < before.length - beforeEnd; index++) {
+    operations.push({
+      type: "equal",
+      before: before[beforeEnd + index],
+      after: after[afterEnd + index],
+    });
+  }
+
+  return operations;
+};
+
+/**
+ * Diff two texts word by word
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} Parts {type: "equal" | "removed" | "added", text}
+ */
+export const diffWords = (before, after) =>
+  diffSequences(
+    before.split(/(\s+)/).filter(Boolean),
+    after.split(/(\s+)/).filter(Boolean),
+  ).map((operation) => ({
+    type: operation.type,
+    text: operation.type === "added" ? operation.after : operation.before,
+  }));
+
+/**
+ * Compare two DocJSON documents block by block
+ *
+ * Rows are in document order:
+ * - "equal": same text, style and formatting
+ * - "formatted": same text and style, other paragraph or run formatting
+ * - "changed": a paragraph replaced by another one at the same place, with
+ *   the word-level `words` diff
+ * - "removed" / "added": blocks only in one of the documents
+ *
+ * @param {Object} beforeDocJson - Old document
+ * @param {Object} afterDocJson - New document
+ * @returns {Object} {rows: [{type, before, after, words}], stats: counts by
+ *   row type}
+ */
+export const diffDocuments = (beforeDocJson, afterDocJson) => {
+  const operations = diffSequences(
+    createDiffBlocks(beforeDocJson),
+    createDiffBlocks(afterDocJson),
+    (block) => `${block.kind}\u0000${block.styleId}\u0000${block.text}`,
+  );
+
+  const rows = [];
+  let removed = [];
+  let added = [];
+
+  // Pair the removed and added paragraphs of a hunk as changed paragraphs
+  const flushHunk = () => {
+    const count = Math.max(removed.length, added.length);
+    for (let index = 0; index < count; index++) {
+      const before = removed[index];
+      const after = added[index];
+      if (before?.kind === "paragraph" && after?.kind === "paragraph") {
+        rows.push({
+          type: "changed",
+          before,
+          after,
+          words: diffWords(before.text, after.text),
+        });
+      } else {
+        if (before) rows.push({ type: "removed", before });
+        if (after) rows.push({ type: "added", after });
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  operations.forEach((operation) => {
+    if (operation.type === "removed") {
+      removed.push(operation.before);
+    } else if (operation.type === "added") {
+      added.push(operation.after);
+    } else {
+      flushHunk();
+      rows.push({
+        type:
+          operation.before.format === operation.after.format
+            ? "equal"
+            : "formatted",
+        before: operation.before,
+        after: operation.after,
+      });
+    }
+  });
+  flushHunk();
+
+  const stats = { equal: 0, formatted: 0, changed: 0, removed: 0, added: 0 };
+  rows.forEach((row) => {
+    stats[row.type]++;
+  });
+
+  return { rows, stats };
+};
@@ -0,0 +1,29 @@
+// src/utils/download.js
+
+/**
+ * Trigger a browser download for a blob
+ *
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Create a filesystem-friendly timestamp for generated file names
+ * Example: 2025-01-31T14-05-09
+ *
+ * @returns {string} Timestamp
+ */
+export const createFileTimestamp = () =>
+  new Date().toISOString().slice(0, 19).replace(/:/g, "-");
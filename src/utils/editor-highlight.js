@@ -0,0 +1,119 @@
+// src/utils/editor-highlight.js
+
+/**
+ * Name of the CSS highlight used for placeholders (styled via ::highlight())
+ */
+export const PLACEHOLDER_HIGHLIGHT = "placeholder-issue";
+
+/**
+ * Collect the text nodes below a root element, including open shadow roots
+ *
+ * @param {Node} root - Element to search
+ * @returns {Array<Text>} Text nodes in document order
+ */
+const collectTextNodes = (root) => {
+  const nodes = [];
+
+  const visit = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      nodes.push(node);
+      return;
+    }
+    if (node.shadowRoot) {
+      visit(node.shadowRoot);
+    }
+    node.childNodes.forEach(visit);
+  };
+
+  visit(root);
+  return nodes;
+};
+
+/**
+ * Find a text in the rendered editor, even when it is split across elements
+ *
+ * @param {HTMLElement} root - Editor container
+ * @param {string} text - Text to find
+ * @param {number} occurrence - Zero-based occurrence to return
+ * @returns {Range|null} Range covering the text, or null if not rendered
+ */
+export const findTextRange = (root, text, occurrence = 0) => {
+  const nodes = collectTextNodes(root);
+  const offsets = [];
+  let content = "";
+
+  nodes.forEach((node) => {
+    offsets.push(content.length);
+    content += node.data;
+  });
+
+  let start = -1;
+  for (let i = 0; i <= occurrence; i++) {
+    start = content.indexOf(text, start + 1);
+    if (start === -1) {
+      // Fewer occurrences are rendered than expected; use the last one found
+      start = i > 0 ? content.lastIndexOf(text) : -1;
+      break;
+    }
+  }
+  if (start === -1) {
+    return null;
+  }
+
+  const end = start + text.length;
+  const locate = (offset) => {
+    let index = offsets.length - 1;
+    while (index > 0 && offsets[index] > offset) {
+      index--;
+    }
+    return { node: nodes[index], offset: offset - offsets[index] };
+  };
+
+  const startPoint = locate(start);
+  const endPoint = locate(end - 1);
+  const range = document.createRange();
+  range.setStart(startPoint.node, startPoint.offset);
+  range.setEnd(endPoint.node, endPoint.offset + 1);
+  return range;
+};
+
+/**
+ * Highlight a placeholder in the editor and scroll it into view
+ *
+ * Uses the CSS Custom Highlight API so the editor's DOM is not modified.
+ * Editors that do not render text into the DOM (or browsers without the
+ * API) cannot be highlighted; the caller should then show the location.
+ *
+ * @param {HTMLElement} root - Editor container
+ * @param {string} text - Placeholder text
+ * @param {number} occurrence - Zero-based occurrence of the placeholder
+ * @returns {boolean} True if the placeholder was found and highlighted
+ */
+export const highlightText = (root, text, occurrence = 0) => {
+  clearTextHighlight();
+
+  if (!root || !text || typeof CSS === "undefined" || !CSS.highlights) {
+    return false;
+  }
+
+  const range = findTextRange(root, text, occurrence);
+  if (!range) {
+    return false;
+  }
+
+  CSS.highlights.set(PLACEHOLDER_HIGHLIGHT, new Highlight(range));
+  range.startContainer.parentElement?.scrollIntoView({
+    behavior: "smooth",
+    block: "center",
+  });
+  return true;
+};
+
+/**
+ * Remove the placeholder highlight
+ */
+export const clearTextHighlight = () => {
+  if (typeof CSS !== "undefined" && CSS.highlights) {
+    CSS.highlights.delete(PLACEHOLDER_HIGHLIGHT);
+  }
+};
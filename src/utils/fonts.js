@@ -0,0 +1,413 @@
+// src/utils/fonts.js
+import { withStore } from "./indexed-db.js";
+
+/**
+ * Manifest listing the font families bundled in public/fonts
+ */
+const FONT_MANIFEST_URL = "/fonts/manifest.json";
+
+/**
+ * Folder the manifest's font files are served from
+ */
+const FONT_BASE_URL = "/fonts/";
+
+/**
+ * Object store holding uploaded fonts
+ */
+const STORE_NAME = "fonts";
+
+/**
+ * Cache API cache holding the bundled font files loaded so far
+ */
+const FONT_CACHE_NAME = "nutrient-template-generator-fonts-v1";
+
+/**
+ * Font families of the SDK's default font index that documents reference;
+ * these are the metric-compatible replacements for common Office fonts
+ */
+export const SDK_FONT_FAMILIES = [
+  "Caladea",
+  "Carlito",
+  "Liberation Mono",
+  "Liberation Sans",
+  "Liberation Serif",
+];
+
+/**
+ * Names of the font weights, by weight rounded to hundreds
+ */
+const WEIGHT_NAMES = {
+  100: "Thin",
+  200: "ExtraLight",
+  300: "Light",
+  400: "Regular",
+  500: "Medium",
+  600: "SemiBold",
+  700: "Bold",
+  800: "ExtraBold",
+  900: "Black",
+};
+
+/**
+ * Describe a font face for people
+ * Example: {weight: 700, style: "italic"} gives "Bold Italic (700)"
+ *
+ * @param {Object} face - Face {weight, style}
+ * @returns {string} Face description
+ */
+export const describeFontFace = (face) => {
+  const name = WEIGHT_NAMES[Math.round(face.weight / 100) * 100] ?? "Regular";
+  const style = face.style === "italic" ? " Italic" : "";
+  return `${name}${style} (${face.weight})`;
+};
+
+/**
+ * Load the bundled font manifest
+ * The manifest names the SDK font index of the folder and lists
+ * {families: [{family, faces: [{file, weight, style}]}]}; each face gets the
+ * `url` it is served from.
+ *
+ * @returns {Promise<Object>} {indexUrl, families: [{family, faces: [{file,
+ *   url, weight, style}]}]}
+ * @throws {Error} If the manifest cannot be loaded or is malformed
+ */
+export const loadFontManifest = async () => {
+  const response = await fetch(FONT_MANIFEST_URL);
+  if (!response.ok) {
+    throw new Error(
+      `Font manifest could not be loaded (HTTP ${response.status})`,
+    );
+  }
+
+  const manifest = await response.json();
+  if (!Array.isArray(manifest?.families)) {
+    throw new Error("Font manifest has no families list");
+  }
+
+  return {
+    indexUrl: manifest.index ? `${FONT_BASE_URL}${manifest.index}` : null,
+    families: manifest.families.map((family) => ({
+      family: family.family,
+      faces: (family.faces || []).map((face) => ({
+        ...face,
+        url: `${FONT_BASE_URL}${face.file}`,
+      })),
+    })),
+  };
+};
+
+/**
+ * Load a bundled font file, from the font cache when possible
+ * Fonts are cached with the Cache API after their first download; without
+ * it (e.g. on insecure origins) they are fetched every time.
+ *
+ * @param {string} file - File name in the fonts folder
+ * @returns {Promise<Blob>} Font file
+ * @throws {Error} If the font cannot be downloaded
+ */
+export const loadFontFile = async (file) => {
+  const url = `${FONT_BASE_URL}${file}`;
+  const cache =
+    typeof caches === "undefined"
+      ? null
+      : await caches.open(FONT_CACHE_NAME).catch(() => null);
+
+  const cached = await cache?.match(url);
+  if (cached) {
+    return cached.blob();
+  }
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`Font ${file} could not be downloaded: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Font ${file} could not be downloaded (HTTP ${response.status})`,
+    );
+  }
+
+  await cache?.put(url, response.clone()).catch((error) => {
+    console.warn(`Font ${file} could not be cached:`, error);
+  });
+  return response.blob();
+};
+
+/**
+ * Create the DocAuth font index entry of the bundled fonts
+ *
+ * The index lists every bundled face, so all families can be chosen in the
+ * editor, while font files are only loaded (and cached) when a document uses
+ * a face or the user selects it. Failed loads are passed to `onError` before
+ * the SDK receives the error.
+ *
+ * @param {string} indexUrl - URL of the font index from loadFontManifest
+ * @param {Function} onError - Called with (file, error) when a font fails
+ * @returns {Promise<Object>} {entry: {type: "index", index, loadFn},
+ *   families: family names as the SDK reports them}
+ * @throws {Error} If the font index cannot be loaded
+ */
+export const createFontIndexEntry = async (indexUrl, onError) => {
+  const response = await fetch(indexUrl);
+  if (!response.ok) {
+    throw new Error(`Font index could not be loaded (HTTP ${response.status})`);
+  }
+
+  const index = await response.json();
+  if (!Array.isArray(index?.availableFonts)) {
+    throw new Error("Font index has no list of available fonts");
+  }
+
+  return {
+    entry: {
+      type: "index",
+      index: new Blob([JSON.stringify(index)], { type: "application/json" }),
+      loadFn: (file) =>
+        loadFontFile(file).catch((error) => {
+          onError(file, error);
+          throw error;
+        }),
+    },
+    families: [
+      ...new Set(index.availableFonts.map((font) => font.name?.family)),
+    ].filter(Boolean),
+  };
+};
+
+/**
+ * Read a string from a font's name table
+ *
+ * @param {DataView} view - Font data
+ * @param {number} offset - Start of the string
+ * @param {number} length - Length in bytes
+ * @param {boolean} isUtf16 - UTF-16BE (Windows and Unicode platforms) or
+ *   single-byte (Macintosh platform)
+ * @returns {string} Decoded string
+ */
+const readNameString = (view, offset, length, isUtf16) => {
+  let text = "";
+  for (let index = 0; index < length; index += isUtf16 ? 2 : 1) {
+    text += String.fromCharCode(
+      isUtf16
+        ? view.getUint16(offset + index)
+        : view.getUint8(offset + index),
+    );
+  }
+  return text;
+};
+
+/**
+ * Read the family name, style and weight of a TrueType or OpenType font
+ *
+ * The typographic family (name ID 16) is preferred over the legacy family
+ * (name ID 1), so "Roboto Bold" files report "Roboto"; the legacy family is
+ * kept as well, since documents usually reference that name. Weight and
+ * italic come from the OS/2 table.
+ *
+ * @param {ArrayBuffer} buffer - Font file contents
+ * @returns {Object} {family, legacyFamily, subfamily, weight, style}
+ * @throws {Error} If the data is not a TrueType or OpenType font
+ */
+export const readFontInfo = (buffer) => {
+  const view = new DataView(buffer);
+  const signature = buffer.byteLength >= 12 ? view.getUint32(0) : 0;
+  // 0x00010000 TrueType, "OTTO" CFF OpenType, "true" Apple TrueType
+  if (![0x00010000, 0x4f54544f, 0x74727565].includes(signature)) {
+    throw new Error("The file is not a TrueType or OpenType font");
+  }
+
+  const tables = {};
+  const tableCount = view.getUint16(4);
+  for (let index = 0; index < tableCount; index++) {
+    const record = 12 + index * 16;
+    const tag = String.fromCharCode(
+      ...new Uint8Array(buffer, record, 4),
+    );
+    tables[tag] = view.getUint32(record + 8);
+  }
+  if (tables.name === undefined) {
+    throw new Error("The font has no name table");
+  }
+
+  const names = {};
+  const nameTable = tables.name;
+  const count = view.getUint16(nameTable + 2);
+  const stringStart = nameTable + view.getUint16(nameTable + 4);
+  for (let index = 0; index < count; index++) {
+    const record = nameTable + 6 + index * 12;
+    const platform = view.getUint16(record);
+    const language = view.getUint16(record + 4);
+    const nameId = view.getUint16(record + 6);
+    const isWindowsEnglish = platform === 3 && language === 0x409;
+    if (
+      [1, 2, 16, 17].includes(nameId) &&
+      (isWindowsEnglish || names[nameId] === undefined)
+    ) {
+      names[nameId] = readNameString(
+        view,
+        stringStart + view.getUint16(record + 10),
+        view.getUint16(record + 8),
+        platform !== 1,
+      );
+    }
+  }
+
+  const os2 = tables["OS/2"];
+  const subfamily = names[17] ?? names[2] ?? "Regular";
+  return {
+    family: names[16] ?? names[1] ?? "Unknown",
+    legacyFamily: names[1] ?? names[16] ?? "Unknown",
+    subfamily,
+    weight: os2 === undefined ? 400 : view.getUint16(os2 + 4),
+    style:
+      (os2 !== undefined && view.getUint16(os2 + 62) & 1) ||
+      /italic|oblique/i.test(subfamily)
+        ? "italic"
+        : "normal",
+  };
+};
+
+/**
+ * List the uploaded fonts
+ *
+ * @returns {Promise<Array>} Fonts {id, family, subfamily, weight, style,
+ *   fileName, data, addedAt}, sorted by family and weight
+ */
+export const listUploadedFonts = async () => {
+  const fonts = await withStore(STORE_NAME, "readonly", (store) =>
+    store.getAll(),
+  );
+  return fonts.sort(
+    (a, b) => a.family.localeCompare(b.family) || a.weight - b.weight,
+  );
+};
+
+/**
+ * Store an uploaded TTF or OTF file
+ *
+ * @param {File} file - Font file
+ * @returns {Promise<Object>} Stored font
+ * @throws {Error} If the file is not a TrueType or OpenType font
+ */
+export const addUploadedFont = async (file) => {
+  const data = await file.arrayBuffer();
+  let info;
+  try {
+    info = readFontInfo(data);
+  } catch (error) {
+    throw new Error(`${file.name}: ${error.message}`);
+  }
+
+  const font = {
+    id: crypto.randomUUID(),
+    ...info,
+    fileName: file.name,
+    data,
+    addedAt: new Date().toISOString(),
+  };
+  await withStore(STORE_NAME, "readwrite", (store) => store.put(font));
+  return font;
+};
+
+/**
+ * Delete an uploaded font
+ *
+ * @param {string} id - Font id
+ * @returns {Promise<void>}
+ */
+export const deleteUploadedFont = (id) =>
+  withStore(STORE_NAME, "readwrite", (store) => store.delete(id));
+
+/**
+ * Create the DocAuth font file entries of the uploaded fonts
+ * Uploaded fonts are already stored in the browser, so they are passed to
+ * the SDK directly.
+ *
+ * @param {Array} uploadedFonts - Fonts from listUploadedFonts
+ * @returns {Array} Entries {type: "file", blob}
+ */
+export const createUploadedFontEntries = (uploadedFonts) =>
+  uploadedFonts.map((font) => ({
+    type: "file",
+    blob: new Blob([font.data]),
+  }));
+
+/**
+ * Collect the font families a document uses
+ * Font faces are set by the `face` property of styles and run properties.
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @returns {Array<string>} Family names, sorted
+ */
+export const collectDocumentFonts = (docJson) => {
+  const families = new Set();
+
+  const visit = (value) => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === "object") {
+      Object.entries(value).forEach(([key, child]) => {
+        if (key === "face" && typeof child === "string" && child.trim()) {
+          families.add(child.trim());
+        } else {
+          visit(child);
+        }
+      });
+    }
+  };
+
+  visit(docJson);
+  return [...families].sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Find the fonts a document uses that are not registered
+ * Family names are compared ignoring case.
+ *
+ * @param {Object} docJson - Result of document.saveDocument()
+ * @param {Array<string>} availableFamilies - Registered family names
+ * @returns {Array<string>} Missing family names
+ */
+export const findMissingFonts = (docJson, availableFamilies) => {
+  const available = new Set(
+    availableFamilies.map((family) => family.toLowerCase()),
+  );
+  return collectDocumentFonts(docJson).filter(
+    (family) => !available.has(family.toLowerCase()),
+  );
+};
+
+/**
+ * Faces registered for previews, as "family|weight|style" keys
+ */
+const previewFaces = new Set();
+
+/**
+ * Register a font face in the page for previews
+ * Faces are registered once under a preview family name, so previews never
+ * replace the page's own fonts; the browser loads URL sources on first use.
+ *
+ * @param {string} previewFamily - CSS family name used by the preview
+ * @param {Object} face - Face {weight, style} with a `url` or binary `data`
+ * @returns {string} The preview family name, for `font-family`
+ */
+export const registerPreviewFace = (previewFamily, face) => {
+  const key = `${previewFamily}|${face.weight}|${face.style}`;
+  if (!previewFaces.has(key) && typeof FontFace !== "undefined") {
+    previewFaces.add(key);
+    const fontFace = new FontFace(
+      previewFamily,
+      face.data ?? `url("${face.url}")`,
+      { weight: String(face.weight), style: face.style },
+    );
+    document.fonts.add(fontFace);
+    if (face.data) {
+      fontFace.load().catch((error) => {
+        console.warn(`Preview of ${previewFamily} failed:`, error);
+      });
+    }
+  }
+  return previewFamily;
+};
@@ -0,0 +1,388 @@
+// src/utils/formatters.js
+
+/**
+ * Date styles accepted by the date formatter instead of a pattern
+ */
+const DATE_STYLES = ["short", "medium", "long", "full"];
+
+/**
+ * Date pattern tokens; text in single quotes is copied as-is
+ */
+const DATE_TOKEN_REGEX =
+  /yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|mm|ss|'[^']*'/g;
+
+/**
+ * Get the locale used by formatters
+ * The data's `config.locale` wins; otherwise the browser's locale is used.
+ *
+ * @param {Object} data - Template data ({config, model})
+ * @returns {string|undefined} BCP 47 locale, or undefined for the default
+ */
+export const getLocale = (data) => {
+  const locale = data?.config?.locale;
+  return typeof locale === "string" && locale.trim()
+    ? locale.trim()
+    : undefined;
+};
+
+/**
+ * Convert a value to a number
+ * Strings may contain spaces and comma thousands separators ("1,234.50").
+ *
+ * @param {*} value - Value to convert
+ * @returns {number|null} Number, or null if the value is not numeric
+ */
+export const toNumber = (value) => {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+  const number = Number(value.replace(/[\s,]/g, ""));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Convert a value to a date
+ * ISO dates without a time ("2022-11-30") are read as local dates.
+ *
+ * @param {*} value - Date, timestamp or date string
+ * @returns {Date|null} Date, or null if the value is not a date
+ */
+const toDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value;
+  }
+  if (typeof value === "number") {
+    return new Date(value);
+  }
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+
+  const isoDate = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoDate) {
+    return new Date(
+      Number(isoDate[1]),
+      Number(isoDate[2]) - 1,
+      Number(isoDate[3]),
+    );
+  }
+
+  const timestamp = Date.parse(value);
+  return Number.isNaN(timestamp) ? null : new Date(timestamp);
+};
+
+/**
+ * Check whether a value is empty (null, missing or empty text)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for empty values
+ */
+const isEmptyValue = (value) =>
+  value === null || value === undefined || value === "";
+
+/**
+ * Convert a value to text; null and undefined become empty
+ *
+ * @param {*} value - Value to convert
+ * @returns {string} Text
+ */
+const toText = (value) =>
+  value === null || value === undefined ? "" : String(value);
+
+/**
+ * Parse a fraction digits argument such as "2"
+ *
+ * @param {string} arg - Formatter argument
+ * @returns {Object} Intl.NumberFormat digit options
+ */
+const getDigitOptions = (arg) =>
+  arg === undefined
+    ? {}
+    : {
+        minimumFractionDigits: Number(arg),
+        maximumFractionDigits: Number(arg),
+      };
+
+/**
+ * Validate an optional fraction digits argument
+ *
+ * @param {string} arg - Formatter argument
+ * @returns {string|null} Problem description, or null if valid
+ */
+const validateDigits = (arg) =>
+  arg === undefined || /^(1?\d|20)$/.test(arg)
+    ? null
+    : `expects a number of decimals between 0 and 20, not "${arg}"`;
+
+/**
+ * Format a date with a pattern such as "yyyy-MM-dd" or "d MMMM yyyy"
+ * Month and weekday names follow the locale.
+ *
+ * @param {Date} date - Date to format
+ * @param {string} pattern - Date pattern
+ * @param {string} locale - Locale for names
+ * @returns {string} Formatted date
+ */
+const formatDatePattern = (date, pattern, locale) => {
+  const name = (options) =>
+    new Intl.DateTimeFormat(locale, options).format(date);
+  const pad = (number, length = 2) => String(number).padStart(length, "0");
+
+  const tokens = {
+    yyyy: () => pad(date.getFullYear(), 4),
+    yy: () => pad(date.getFullYear() % 100),
+    MMMM: () => name({ month: "long" }),
+    MMM: () => name({ month: "short" }),
+    MM: () => pad(date.getMonth() + 1),
+    M: () => String(date.getMonth() + 1),
+    dd: () => pad(date.getDate()),
+    d: () => String(date.getDate()),
+    EEEE: () => name({ weekday: "long" }),
+    EEE: () => name({ weekday: "short" }),
+    HH: () => pad(date.getHours()),
+    H: () => String(date.getHours()),
+    mm: () => pad(date.getMinutes()),
+    ss: () => pad(date.getSeconds()),
+  };
+
+  return pattern.replace(DATE_TOKEN_REGEX, (token) =>
+    token.startsWith("'") ? token.slice(1, -1) : tokens[token](),
+  );
+};
+
+/**
+ * Available formatters
+ *
+ * `input` is the kind of value a formatter needs ("text", "number", "date"
+ * or "any"); values that cannot be converted are left unchanged. Empty
+ * values (null, missing) format as empty text, except with `default`.
+ */
+export const FORMATTERS = {
+  upper: {
+    input: "text",
+    description: "UPPER CASE",
+    format: (value, arg, locale) => toText(value).toLocaleUpperCase(locale),
+  },
+  lower: {
+    input: "text",
+    description: "lower case",
+    format: (value, arg, locale) => toText(value).toLocaleLowerCase(locale),
+  },
+  title: {
+    input: "text",
+    description: "Title Case",
+    format: (value, arg, locale) =>
+      toText(value)
+        .toLocaleLowerCase(locale)
+        .replace(/(^|[\s-])(\p{L})/gu, (_, separator, letter) =>
+          separator + letter.toLocaleUpperCase(locale),
+        ),
+  },
+  trim: {
+    input: "text",
+    description: "Remove surrounding whitespace",
+    format: (value) => toText(value).trim(),
+  },
+  number: {
+    input: "number",
+    description: "Number with locale separators; number:2 for 2 decimals",
+    validateArg: validateDigits,
+    format: (value, arg, locale) =>
+      new Intl.NumberFormat(locale, getDigitOptions(arg)).format(
+        toNumber(value),
+      ),
+  },
+  currency: {
+    input: "number",
+    description: "Currency amount, e.g. currency:EUR",
+    validateArg: (arg) => {
+      if (!arg) {
+        return "needs a currency code, e.g. currency:EUR";
+      }
+      try {
+        new Intl.NumberFormat(undefined, {
+          style: "currency",
+          currency: arg,
+        });
+        return null;
+      } catch {
+        return `has an unknown currency code "${arg}"`;
+      }
+    },
+    format: (value, arg, locale) =>
+      new Intl.NumberFormat(locale, {
+        style: "currency",
+        currency: arg.toUpperCase(),
+      }).format(toNumber(value)),
+  },
+  percent: {
+    input: "number",
+    description:
+      "Percentage of a fraction (0.15 → 15%); percent:1 for 1 decimal",
+    validateArg: validateDigits,
+    format: (value, arg, locale) =>
+      new Intl.NumberFormat(locale, {
+        style: "percent",
+        ...getDigitOptions(arg),
+      }).format(toNumber(value)),
+  },
+  date: {
+    input: "date",
+    description:
+      "Date with a pattern (date:yyyy-MM-dd) or style (date:long); medium by default",
+    format: (value, arg, locale) => {
+      const date = toDate(value);
+      if (arg && !DATE_STYLES.includes(arg)) {
+        return formatDatePattern(date, arg, locale);
+      }
+      return new Intl.DateTimeFormat(locale, {
+        dateStyle: arg || "medium",
+      }).format(date);
+    },
+  },
+  default: {
+    input: "any",
+    description: "Fallback text for empty values, e.g. default:N/A",
+    format: (value, arg) => (isEmptyValue(value) ? (arg ?? "") : value),
+  },
+};
+
+/**
+ * Formatter choices offered by the sidebar, grouped by value type
+ */
+export const FORMATTER_PRESETS = [
+  { group: "Text", value: "upper", label: "UPPER CASE" },
+  { group: "Text", value: "lower", label: "lower case" },
+  { group: "Text", value: "title", label: "Title Case" },
+  { group: "Number", value: "number", label: "Number (1,234.5)" },
+  { group: "Number", value: "number:2", label: "Number, 2 decimals" },
+  { group: "Number", value: "currency:EUR", label: "Currency (EUR)" },
+  { group: "Number", value: "currency:USD", label: "Currency (USD)" },
+  { group: "Number", value: "currency:GBP", label: "Currency (GBP)" },
+  { group: "Number", value: "percent", label: "Percent" },
+  { group: "Date", value: "date:yyyy-MM-dd", label: "Date (2022-11-30)" },
+  { group: "Date", value: "date:dd.MM.yyyy", label: "Date (30.11.2022)" },
+  { group: "Date", value: "date:long", label: "Date (locale, long)" },
+  { group: "Other", value: "default:N/A", label: "Fallback for empty values" },
+];
+
+/**
+ * Split a tag into its field name and formatter pipeline
+ * Example: parseFormatters("total | currency:EUR") returns
+ * {name: "total", formatters: [{name: "currency", arg: "EUR"}]}
+ *
+ * @param {string} tag - Tag content without delimiters and sigil
+ * @returns {Object} {name, formatters: [{name, arg}]}
+ */
+export const parseFormatters = (tag) => {
+  const [name, ...pipeline] = tag.split("|").map((part) => part.trim());
+
+  return {
+    name,
+    formatters: pipeline.map((part) => {
+      const separator = part.indexOf(":");
+      return separator === -1
+        ? { name: part, arg: undefined }
+        : {
+            name: part.slice(0, separator).trim(),
+            arg: part.slice(separator + 1).trim(),
+          };
+    }),
+  };
+};
+
+/**
+ * Write a formatter pipeline back as tag text
+ * Example: [{name: "currency", arg: "EUR"}] gives " | currency:EUR"
+ *
+ * @param {Array} formatters - Formatters ({name, arg})
+ * @returns {string} Pipeline text, empty without formatters
+ */
+export const formatPipeline = (formatters) =>
+  formatters
+    .map(({ name, arg }) => (arg === undefined ? name : `${name}:${arg}`))
+    .map((formatter) => ` | ${formatter}`)
+    .join("");
+
+/**
+ * Check a formatter pipeline for unknown formatters and invalid arguments
+ *
+ * @param {Array} formatters - Formatters ({name, arg})
+ * @returns {Array<string>} Problem descriptions
+ */
+export const validateFormatters = (formatters) =>
+  formatters.flatMap((formatter) => {
+    const definition = FORMATTERS[formatter.name];
+    if (!definition) {
+      return [
+        `Unknown formatter "${formatter.name}". Available formatters: ${Object.keys(FORMATTERS).join(", ")}.`,
+      ];
+    }
+    const problem = definition.validateArg?.(formatter.arg);
+    return problem ? [`Formatter "${formatter.name}" ${problem}.`] : [];
+  });
+
+/**
+ * Find the first formatter that cannot use a value
+ *
+ * @param {*} value - Data value
+ * @param {Array} formatters - Valid formatters ({name, arg})
+ * @returns {string|null} Problem description, or null if all formatters apply
+ */
+export const checkFormatterInput = (value, formatters) => {
+  let current = value;
+
+  for (const formatter of formatters) {
+    const { input } = FORMATTERS[formatter.name];
+    const isEmpty = isEmptyValue(current);
+
+    if (!isEmpty && input === "number" && toNumber(current) === null) {
+      return `"${current}" is not a number, so "${formatter.name}" leaves it unchanged`;
+    }
+    if (!isEmpty && input === "date" && toDate(current) === null) {
+      return `"${current}" is not a date, so "${formatter.name}" leaves it unchanged`;
+    }
+    current = applyFormatters(current, [formatter]);
+  }
+
+  return null;
+};
+
+/**
+ * Apply a formatter pipeline to a value
+ * Unknown formatters and invalid arguments are skipped and values a formatter
+ * cannot convert are passed on unchanged, so population never fails because
+ * of formatting.
+ *
+ * @param {*} value - Data value
+ * @param {Array} formatters - Formatters ({name, arg})
+ * @param {string} locale - Locale, or undefined for the default
+ * @returns {*} Formatted value
+ */
+export const applyFormatters = (value, formatters, locale) =>
+  formatters.reduce((current, formatter) => {
+    const definition = FORMATTERS[formatter.name];
+    if (!definition || definition.validateArg?.(formatter.arg)) {
+      return current;
+    }
+
+    if (isEmptyValue(current) && definition.input !== "any") {
+      return "";
+    }
+    if (
+      (definition.input === "number" && toNumber(current) === null) ||
+      (definition.input === "date" && toDate(current) === null)
+    ) {
+      return current;
+    }
+
+    try {
+      return definition.format(current, formatter.arg, locale);
+    } catch (error) {
+      console.warn(`Formatter "${formatter.name}" failed:`, error);
+      return current;
+    }
+  }, value);
@@ -0,0 +1,99 @@
+// src/utils/indexed-db.js
+
+/**
+ * Name of the application's IndexedDB database
+ */
+const DATABASE_NAME = "nutrient-template-generator";
+
+/**
+ * Database schema version; increase it when an object store is added
+ */
+const DATABASE_VERSION = 4;
+
+/**
+ * Object stores and their options, created on upgrade
+ * `indexes` lists the properties indexed under their own name.
+ */
+const STORES = {
+  templates: { keyPath: "id" },
+  sessions: { keyPath: "id" },
+  versions: { keyPath: "id", indexes: ["templateId"] },
+  fonts: { keyPath: "id" },
+};
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+export const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open the database, creating missing object stores
+ * The connection is opened once and shared.
+ *
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+const openDatabase = () => {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(
+      new Error("This browser does not support local storage (IndexedDB)"),
+    );
+  }
+
+  if (!databasePromise) {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, definition]) => {
+        if (!db.objectStoreNames.contains(name)) {
+          const { indexes = [], ...options } = definition;
+          const store = db.createObjectStore(name, options);
+          indexes.forEach((property) => store.createIndex(property, property));
+        }
+      });
+    };
+
+    databasePromise = requestToPromise(request).catch((error) => {
+      databasePromise = null;
+      throw new Error(
+        `The local storage could not be opened: ${error?.message ?? "unknown error"}`,
+      );
+    });
+  }
+
+  return databasePromise;
+};
+
+/**
+ * Run an operation on an object store and wait for its transaction
+ * The operation may return an IDBRequest, whose result is returned once the
+ * transaction has completed, or any other value.
+ *
+ * @param {string} storeName - Object store name
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} operation - Receives the object store
+ * @returns {Promise<*>} Result of the operation
+ */
+export const withStore = async (storeName, mode, operation) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, mode);
+  const result = operation(transaction.objectStore(storeName));
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error ?? new Error("The transaction was aborted"));
+  });
+
+  return result instanceof IDBRequest ? result.result : result;
+};
@@ -0,0 +1,307 @@
+// src/utils/json-schema-validation.js
+
+/**
+ * Most errors reported for one data source; the rest are counted only
+ */
+const MAX_ERRORS = 100;
+
+/**
+ * Checks for the `format` keyword; unknown formats are accepted
+ */
+const FORMAT_CHECKS = {
+  date: (value) =>
+    /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  "date-time": (value) =>
+    /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+};
+
+/**
+ * Words used for JSON Schema types in error messages
+ */
+const TYPE_NAMES = {
+  string: "text",
+  number: "a number",
+  integer: "a whole number",
+  boolean: "true or false",
+  object: "an object",
+  array: "a list",
+  null: "null",
+};
+
+/**
+ * Get the JSON Schema type of a value
+ *
+ * @param {*} value - JSON value
+ * @returns {string} null, array, integer, number, string, boolean or object
+ */
+const getJsonType = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+/**
+ * Check a value against a JSON Schema type
+ * Integers also match "number".
+ *
+ * @param {*} value - JSON value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+const matchesType = (value, type) => {
+  const valueType = getJsonType(value);
+  return valueType === type || (type === "number" && valueType === "integer");
+};
+
+/**
+ * Format a data path for messages
+ * Example: ["items", 2, "price"] gives "items[2].price"
+ *
+ * @param {Array<string|number>} path - Keys and array indexes
+ * @returns {string} Path text; "data" for the root
+ */
+export const formatDataPath = (path) =>
+  path.reduce(
+    (text, key) =>
+      typeof key === "number"
+        ? `${text}[${key}]`
+        : `${text}${text ? "." : ""}${key}`,
+    "",
+  ) || "data";
+
+/**
+ * Resolve a local reference such as "#/$defs/item"
+ *
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ * @throws {Error} If the reference is not local or does not exist
+ */
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith("#")) {
+    throw new Error(
+      `Only local schema references are supported, not "${ref}"`,
+    );
+  }
+
+  const schema = ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .map((part) => part.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((current, key) => current?.[key], root);
+
+  if (!schema || typeof schema !== "object") {
+    throw new Error(`Schema reference "${ref}" was not found`);
+  }
+  return schema;
+};
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * Supports the keywords used for data contracts: type, enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, pattern, format (date, date-time, email), minimum,
+ * maximum, exclusiveMinimum, exclusiveMaximum, allOf, anyOf, oneOf and local
+ * $ref. Other keywords are ignored.
+ *
+ * @param {*} value - JSON data
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} {errors: [{path, message}], errorCount}; messages name
+ *   the data path, e.g. "items[2].price must be a number"
+ * @throws {Error} If the schema has an unresolvable $ref
+ */
+export const validateJsonSchema = (value, schema) => {
+  const errors = [];
+  let errorCount = 0;
+
+  const addError = (path, problem) => {
+    errorCount++;
+    if (errors.length < MAX_ERRORS) {
+      errors.push({
+        path: formatDataPath(path),
+        message: `${formatDataPath(path)} ${problem}`,
+      });
+    }
+  };
+
+  // Validate a branch of anyOf/oneOf without reporting its errors
+  const isValid = (current, node, path) => {
+    let branchErrors = 0;
+    visit(current, node, path, () => branchErrors++);
+    return branchErrors === 0;
+  };
+
+  const visit = (current, node, path, report) => {
+    if (node === true || node === undefined) return;
+    if (node === false) {
+      report(path, "is not allowed");
+      return;
+    }
+    if (node.$ref) {
+      visit(current, resolveRef(schema, node.$ref), path, report);
+    }
+
+    if (node.type !== undefined) {
+      const types = [node.type].flat();
+      if (!types.some((type) => matchesType(current, type))) {
+        const names = types.map((type) => TYPE_NAMES[type] ?? type);
+        report(
+          path,
+          current === undefined
+            ? "is missing"
+            : `must be ${names.join(" or ")}`,
+        );
+        return;
+      }
+    }
+
+    if (
+      node.enum &&
+      !node.enum.some(
+        (option) => JSON.stringify(option) === JSON.stringify(current),
+      )
+    ) {
+      const options = node.enum.map((option) => JSON.stringify(option));
+      report(path, `must be one of ${options.join(", ")}`);
+    }
+    if (
+      node.const !== undefined &&
+      JSON.stringify(node.const) !== JSON.stringify(current)
+    ) {
+      report(path, `must be ${JSON.stringify(node.const)}`);
+    }
+
+    const isBranchValid = (branch) => isValid(current, branch, path);
+    node.allOf?.forEach((branch) => visit(current, branch, path, report));
+    if (node.anyOf && !node.anyOf.some(isBranchValid)) {
+      report(path, "does not match any of the allowed shapes");
+    }
+    if (node.oneOf && node.oneOf.filter(isBranchValid).length !== 1) {
+      report(path, "must match exactly one of the allowed shapes");
+    }
+
+    const type = getJsonType(current);
+
+    if (type === "string") {
+      if (node.minLength !== undefined && current.length < node.minLength) {
+        report(path, `must have at least ${node.minLength} character(s)`);
+      }
+      if (node.maxLength !== undefined && current.length > node.maxLength) {
+        report(path, `must have at most ${node.maxLength} character(s)`);
+      }
+      if (node.pattern && !new RegExp(node.pattern, "u").test(current)) {
+        report(path, `must match the pattern ${node.pattern}`);
+      }
+      if (node.format && FORMAT_CHECKS[node.format]?.(current) === false) {
+        report(path, `must be a valid ${node.format}`);
+      }
+    }
+
+    if (type === "number" || type === "integer") {
+      if (node.minimum !== undefined && current < node.minimum) {
+        report(path, `must be at least ${node.minimum}`);
+      }
+      if (node.maximum !== undefined && current > node.maximum) {
+        report(path, `must be at most ${node.maximum}`);
+      }
+      if (
+        node.exclusiveMinimum !== undefined &&
+        current <= node.exclusiveMinimum
+      ) {
+        report(path, `must be greater than ${node.exclusiveMinimum}`);
+      }
+      if (
+        node.exclusiveMaximum !== undefined &&
+        current >= node.exclusiveMaximum
+      ) {
+        report(path, `must be less than ${node.exclusiveMaximum}`);
+      }
+    }
+
+    if (type === "array") {
+      if (node.minItems !== undefined && current.length < node.minItems) {
+        report(path, `must have at least ${node.minItems} item(s)`);
+      }
+      if (node.maxItems !== undefined && current.length > node.maxItems) {
+        report(path, `must have at most ${node.maxItems} item(s)`);
+      }
+      if (node.items !== undefined) {
+        current.forEach((item, index) =>
+          visit(item, node.items, [...path, index], report),
+        );
+      }
+    }
+
+    if (type === "object") {
+      node.required?.forEach((key) => {
+        if (!Object.hasOwn(current, key)) {
+          report([...path, key], "is missing");
+        }
+      });
+
+      Object.entries(current).forEach(([key, child]) => {
+        if (node.properties && Object.hasOwn(node.properties, key)) {
+          visit(child, node.properties[key], [...path, key], report);
+        } else if (node.additionalProperties === false) {
+          report([...path, key], "is not allowed");
+        } else if (typeof node.additionalProperties === "object") {
+          visit(child, node.additionalProperties, [...path, key], report);
+        }
+      });
+    }
+  };
+
+  visit(value, schema, [], addError);
+  return { errors, errorCount };
+};
+
+/**
+ * Validate template data against the JSON Schema of its model
+ * The schema describes the model, so `{config, model}` data is validated by
+ * its model. A root list of models (batch data) is validated record by
+ * record unless the schema itself describes a list.
+ *
+ * @param {Object|Array} data - Template data
+ * @param {Object} schema - JSON Schema of the model
+ * @returns {Object} {errors: [{path, message}], errorCount}
+ */
+export const validateTemplateData = (data, schema) => {
+  const model =
+    data &&
+    typeof data === "object" &&
+    !Array.isArray(data) &&
+    data.model &&
+    typeof data.model === "object"
+      ? data.model
+      : data;
+
+  const describesList = [schema.type].flat().includes("array");
+  if (!Array.isArray(model) || describesList) {
+    return validateJsonSchema(model, schema);
+  }
+
+  return validateJsonSchema(model, {
+    ...schema,
+    type: "array",
+    items: schema,
+  });
+};
+
+/**
+ * Summarize schema validation errors for a notification
+ *
+ * @param {Object} result - Result of validateTemplateData
+ * @param {number} limit - Number of errors to list
+ * @returns {string} The first errors, one per line, and how many are left
+ */
+export const describeSchemaErrors = (result, limit = 3) => {
+  const lines = result.errors.slice(0, limit).map((error) => error.message);
+  const remaining = result.errorCount - lines.length;
+  return remaining > 0
+    ? [...lines, `…and ${remaining} more`].join("\n")
+    : lines.join("\n");
+};
@@ -0,0 +1,84 @@
+// src/utils/read-only.js
+
+/**
+ * Keys that only move the cursor, select or copy and are allowed in read-only mode
+ */
+const NAVIGATION_KEYS = new Set([
+  "ArrowUp",
+  "ArrowDown",
+  "ArrowLeft",
+  "ArrowRight",
+  "PageUp",
+  "PageDown",
+  "Home",
+  "End",
+  "Tab",
+  "Escape",
+  "Shift",
+  "Control",
+  "Alt",
+  "Meta",
+]);
+
+/**
+ * Check whether a keyboard event may pass through in read-only mode
+ *
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} True for navigation, copy and select-all shortcuts
+ */
+const isAllowedKey = (event) => {
+  if (NAVIGATION_KEYS.has(event.key)) {
+    return true;
+  }
+
+  const isShortcut = event.ctrlKey || event.metaKey;
+  return isShortcut && ["c", "a", "f"].includes(event.key.toLowerCase());
+};
+
+/**
+ * Make an editor element read-only by intercepting editing events
+ * Events are captured on the container before they reach the editor, so
+ * typing, pasting, cutting, dropping and toolbar buttons have no effect
+ * while scrolling, selecting and copying keep working.
+ *
+ * @param {HTMLElement} element - Container of the editor
+ * @returns {Function} Cleanup function removing the listeners
+ */
+export const preventEditing = (element) => {
+  const block = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  const handleKeyDown = (event) => {
+    if (!isAllowedKey(event)) {
+      block(event);
+    }
+  };
+
+  const handlePointer = (event) => {
+    if (event.target.closest?.("button, [role='button'], select")) {
+      block(event);
+    }
+  };
+
+  const listeners = [
+    ["keydown", handleKeyDown],
+    ["beforeinput", block],
+    ["paste", block],
+    ["cut", block],
+    ["drop", block],
+    ["mousedown", handlePointer],
+    ["click", handlePointer],
+  ];
+
+  listeners.forEach(([type, listener]) => {
+    element.addEventListener(type, listener, true);
+  });
+
+  return () => {
+    listeners.forEach(([type, listener]) => {
+      element.removeEventListener(type, listener, true);
+    });
+  };
+};
@@ -0,0 +1,108 @@
+// src/utils/row-mapping.js
+import { toTemplateData } from "./template-data.js";
+
+/**
+ * Group flat rows into records, nesting "child.column" columns into arrays
+ * Rows that share the same scalar values (or key column) form one record;
+ * their dotted columns become items of a nested array named by the prefix.
+ * Rows without dotted columns are kept as individual records, also when a
+ * key column is set, since merging them would drop the repeated rows.
+ * Prefixes can be nested, e.g. "sections.items.title".
+ *
+ * Two one-to-many joins on the same parent (e.g. items and payments) repeat
+ * each item once per payment, so identical child rows are merged within each
+ * array. Add an id column (e.g. "items.id") to keep line items that
+ * legitimately repeat.
+ *
+ * @param {Array} rows - Flat row objects
+ * @param {string} keyColumn - Optional column identifying a record
+ * @returns {Array} Grouped records
+ */
+export const groupRows = (rows, keyColumn = "") => {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const columns = Object.keys(rows[0]);
+  const scalarColumns = columns.filter((column) => !column.includes("."));
+  const childPrefixes = [
+    ...new Set(
+      columns
+        .filter((column) => column.includes("."))
+        .map((column) => column.split(".")[0]),
+    ),
+  ];
+
+  // Without nested columns every row is its own record
+  if (childPrefixes.length === 0) {
+    return rows.map((row) => ({ ...row }));
+  }
+
+  const keyColumns = scalarColumns.includes(keyColumn)
+    ? [keyColumn]
+    : scalarColumns;
+  const groups = new Map();
+
+  rows.forEach((row) => {
+    const groupKey = JSON.stringify(keyColumns.map((column) => row[column]));
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { record: row, children: [] });
+    }
+    groups.get(groupKey).children.push(row);
+  });
+
+  return [...groups.values()].map(({ record, children }) => {
+    const result = Object.fromEntries(
+      scalarColumns.map((column) => [column, record[column]]),
+    );
+
+    childPrefixes.forEach((prefix) => {
+      const childRows = children
+        .map((row) =>
+          Object.fromEntries(
+            columns
+              .filter((column) => column.startsWith(`${prefix}.`))
+              .map((column) => [
+                column.substring(prefix.length + 1),
+                row[column],
+              ]),
+          ),
+        )
+        // LEFT JOINs without a match produce all-null child columns
+        .filter((childRow) =>
+          Object.values(childRow).some((value) => value !== null),
+        );
+      const uniqueRows = [
+        ...new Map(
+          childRows.map((childRow) => [JSON.stringify(childRow), childRow]),
+        ).values(),
+      ];
+
+      result[prefix] = groupRows(uniqueRows);
+    });
+
+    return result;
+  });
+};
+
+/**
+ * Map query rows into the `{config, model}` shape used for template population
+ *
+ * @param {Array} rows - Flat row objects
+ * @param {Object} mapping - Mapping options: shape ("object" or "array"), arrayName, keyColumn
+ * @returns {Object} Template data
+ */
+export const mapRowsToTemplateData = (rows, mapping) => {
+  const records = groupRows(rows, mapping.keyColumn);
+
+  if (mapping.shape === "array") {
+    return toTemplateData({ [mapping.arrayName || "records"]: records });
+  }
+
+  if (records.length === 0) {
+    throw new Error("The query returned no rows");
+  }
+
+  return toTemplateData(records[0]);
+};
@@ -0,0 +1,220 @@
+// src/utils/schema-inference.js
+import { DEFAULT_DELIMITER, formatPlaceholder } from "./delimiter.js";
+
+/**
+ * Infer a structural schema from a JSON value
+ *
+ * Objects record their properties and how often each one was seen, arrays
+ * record a single item schema merged from every element, so keys that only
+ * appear in some array items are still discovered.
+ *
+ * Schema nodes:
+ * - {kind: "null"}
+ * - {kind: "value", valueType: "string" | "number" | "boolean" | "mixed"}
+ * - {kind: "array", items: node | null}
+ * - {kind: "object", count, properties: {key: node}, occurrences: {key: count}}
+ *
+ * @param {*} value - JSON value
+ * @returns {Object} Schema node
+ */
+export const inferSchema = (value) => {
+  if (value === null || value === undefined) {
+    return { kind: "null" };
+  }
+
+  if (Array.isArray(value)) {
+    return {
+      kind: "array",
+      items: value.reduce(
+        (merged, item) => mergeSchemas(merged, inferSchema(item)),
+        null,
+      ),
+    };
+  }
+
+  if (typeof value === "object") {
+    const properties = {};
+    const occurrences = {};
+
+    Object.keys(value).forEach((key) => {
+      properties[key] = inferSchema(value[key]);
+      occurrences[key] = 1;
+    });
+
+    return { kind: "object", count: 1, properties, occurrences };
+  }
+
+  return { kind: "value", valueType: typeof value };
+};
+
+/**
+ * Merge two schema nodes
+ * Structured kinds (object, array) win over plain values and nulls, so a
+ * key that is null in one item and an object in another is still expanded.
+ *
+ * @param {Object|null} a - First schema node
+ * @param {Object|null} b - Second schema node
+ * @returns {Object|null} Merged schema node
+ */
+export const mergeSchemas = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  if (a.kind === "null") return b;
+  if (b.kind === "null") return a;
+
+  if (a.kind === "object" && b.kind === "object") {
+    const properties = { ...a.properties };
+    const occurrences = { ...a.occurrences };
+
+    Object.keys(b.properties).forEach((key) => {
+      properties[key] = mergeSchemas(properties[key], b.properties[key]);
+      occurrences[key] = (occurrences[key] || 0) + b.occurrences[key];
+    });
+
+    return {
+      kind: "object",
+      count: a.count + b.count,
+      properties,
+      occurrences,
+    };
+  }
+
+  if (a.kind === "array" && b.kind === "array") {
+    return { kind: "array", items: mergeSchemas(a.items, b.items) };
+  }
+
+  if (a.kind === "value" && b.kind === "value") {
+    return {
+      kind: "value",
+      valueType: a.valueType === b.valueType ? a.valueType : "mixed",
+    };
+  }
+
+  // Conflicting kinds: keep the structured one, preferring the first seen
+  return a.kind === "value" ? b : a;
+};
+
+/**
+ * Check whether an array schema describes a loop over objects
+ *
+ * @param {Object} node - Schema node
+ * @returns {boolean} True for arrays whose items are objects
+ */
+const isObjectArray = (node) =>
+  node.kind === "array" && node.items?.kind === "object";
+
+/**
+ * Create the sidebar fields for a template data model
+ *
+ * Every field carries its key, its full data path (`path`), the loop/section
+ * scope it is valid in (`scope`, outermost first) and a placeholder relative
+ * to that scope, e.g. `{{title}}` inside `{{#sections}}` → `{{#items}}`. Field names
+ * are unique, so they can be used as React keys.
+ *
+ * @param {*} model - Template model (plain data, not the {config, model} wrapper)
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {Array} Array of field objects
+ */
+export const createTemplateFields = (model, delimiter = DEFAULT_DELIMITER) => {
+  const fields = [];
+  let rootSchema = inferSchema(model);
+
+  // A root array is treated as a list of models; its merged item is the model
+  if (isObjectArray(rootSchema)) {
+    rootSchema = rootSchema.items;
+  }
+
+  if (rootSchema.kind !== "object") {
+    return fields;
+  }
+
+  const visitProperties = (node, parentPath, scope, indentLevel) => {
+    Object.keys(node.properties).forEach((key) => {
+      visit(
+        node.properties[key],
+        key,
+        parentPath ? `${parentPath}.${key}` : key,
+        scope,
+        indentLevel,
+        node.occurrences[key] < node.count,
+      );
+    });
+  };
+
+  const visit = (node, key, path, scope, indentLevel, optional) => {
+    const indent = "  ".repeat(indentLevel);
+    const common = { key, path, scope, indentLevel, optional };
+
+    if (isObjectArray(node) || node.kind === "object") {
+      const isLoop = node.kind === "array";
+      const section = { key, path, type: isLoop ? "loop" : "object" };
+      const suffix = isLoop ? "Loop" : "Object";
+
+      fields.push({
+        ...common,
+        name: `#${path}`,
+        label: `${indent}${key} (${suffix} Start)`,
+        placeholder: formatPlaceholder(`#${key}`, delimiter),
+        [isLoop ? "isLoopStart" : "isObjectStart"]: true,
+        type: isLoop ? "loop-start" : "object-start",
+      });
+
+      visitProperties(
+        isLoop ? node.items : node,
+        path,
+        [...scope, section],
+        indentLevel + 1,
+      );
+
+      fields.push({
+        ...common,
+        name: `/${path}`,
+        label: `${indent}${key} (${suffix} End)`,
+        placeholder: formatPlaceholder(`/${key}`, delimiter),
+        [isLoop ? "isLoopEnd" : "isObjectEnd"]: true,
+        type: isLoop ? "loop-end" : "object-end",
+      });
+      return;
+    }
+
+    fields.push({
+      ...common,
+      name: path,
+      label: `${indent}${key}`,
+      placeholder: formatPlaceholder(key, delimiter),
+      type: node.kind === "array" ? "array-simple" : "simple",
+    });
+  };
+
+  visitProperties(rootSchema, "", [], 0);
+  return fields;
+};
+
+/**
+ * Describe where a field's placeholder may be used
+ * Example: a field inside menu sections and their items gives
+ * "Insert {{title}} inside {{#sections}} › {{#items}}"
+ *
+ * @param {Object} field - Field created by createTemplateFields
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {string} Tooltip text
+ */
+export const describeFieldScope = (field, delimiter = DEFAULT_DELIMITER) => {
+  const parts = [`Insert ${field.placeholder}`];
+
+  if (field.scope?.length > 0) {
+    parts.push(
+      `inside ${field.scope
+        .map((section) => formatPlaceholder(`#${section.key}`, delimiter))
+        .join(" › ")}`,
+    );
+  } else {
+    parts.push("at the top level");
+  }
+
+  if (field.optional) {
+    parts.push("(missing in some records)");
+  }
+
+  return parts.join(" ");
+};
@@ -0,0 +1,258 @@
+// src/utils/sdk-loader.js
+
+/**
+ * How long a SDK script may take to load before it counts as failed (ms)
+ */
+export const SDK_LOAD_TIMEOUT = 30000;
+
+/**
+ * SDKs the app loads, with the global each script defines
+ */
+const SDKS = {
+  documentAuthoring: {
+    label: "Document Authoring SDK",
+    global: "DocAuth",
+    entryPoint: "createDocAuthSystem",
+    cdnUrl:
+      "https://document-authoring.cdn.nutrient.io/releases/document-authoring-{version}-umd.js",
+    vendorPath: "document-authoring/docauth.umd.js",
+    vendorAssetsPath: "document-authoring/assets/",
+  },
+  viewer: {
+    label: "Nutrient Viewer SDK",
+    global: "NutrientViewer",
+    entryPoint: "populateDocumentTemplate",
+    cdnUrl:
+      "https://cdn.cloud.pspdfkit.com/pspdfkit-web@{version}/nutrient-viewer.js",
+    vendorPath: "nutrient-viewer/nutrient-viewer.js",
+    vendorAssetsPath: null,
+  },
+};
+
+/**
+ * Error of a SDK that could not be loaded
+ *
+ * `reason` tells what went wrong:
+ * - "not-found": the script URL answered 404 (self-hosted files missing)
+ * - "network": the script could not be requested (offline, blocked, CORS)
+ * - "timeout": the script did not finish loading in time
+ * - "missing-global": the script ran but did not define the SDK
+ * - "not-loaded": the SDK was never requested
+ */
+export class SdkLoadError extends Error {
+  /**
+   * @param {string} sdk - SDK name, e.g. "viewer"
+   * @param {string} reason - Failure reason
+   * @param {string} message - Error message
+   * @param {string|null} url - Script URL
+   */
+  constructor(sdk, reason, message, url = null) {
+    super(message);
+    this.name = "SdkLoadError";
+    this.sdk = sdk;
+    this.reason = reason;
+    this.url = url;
+  }
+}
+
+/**
+ * Load promises by SDK name; a SDK is requested at most once per page
+ */
+const loads = new Map();
+
+/**
+ * Resolve where the SDK scripts and assets are loaded from
+ *
+ * An explicit `url` wins; otherwise a configured `baseUrl` (e.g. "/vendor/"
+ * for public/vendor) points at self-hosted copies laid out by
+ * `npm run vendor:sdks`; otherwise the Nutrient CDN is used. `{version}` in
+ * a URL is replaced by the SDK version.
+ *
+ * @param {Object} sdkConfig - `sdk` section of the app configuration
+ * @returns {Object} {documentAuthoring, viewer}, each {version, scriptUrl,
+ *   assetsUrl}; `assetsUrl` is null when the SDK's default is used
+ */
+export const resolveSdkSources = (sdkConfig) => {
+  const baseUrl = sdkConfig.baseUrl
+    ? sdkConfig.baseUrl.replace(/\/?$/, "/")
+    : null;
+
+  return Object.fromEntries(
+    Object.entries(SDKS).map(([name, sdk]) => {
+      const { version, url, assetsUrl } = sdkConfig[name];
+      const withVersion = (value) => value.replaceAll("{version}", version);
+
+      return [
+        name,
+        {
+          version,
+          scriptUrl: withVersion(
+            url || (baseUrl ? `${baseUrl}${sdk.vendorPath}` : sdk.cdnUrl),
+          ),
+          assetsUrl:
+            (assetsUrl && withVersion(assetsUrl)) ||
+            (baseUrl && sdk.vendorAssetsPath
+              ? `${baseUrl}${sdk.vendorAssetsPath}`
+              : null),
+        },
+      ];
+    }),
+  );
+};
+
+/**
+ * Find out why a script tag failed to load
+ * Same-origin URLs are requested again to tell missing files from network
+ * errors; cross-origin scripts usually cannot be inspected.
+ *
+ * @param {string} name - SDK name
+ * @param {string} url - Script URL
+ * @returns {Promise<SdkLoadError>} Specific error
+ */
+const diagnoseScriptError = async (name, url) => {
+  const { label } = SDKS[name];
+  const isSameOrigin =
+    new URL(url, window.location.href).origin === window.location.origin;
+
+  if (isSameOrigin) {
+    try {
+      const response = await fetch(url, { method: "HEAD", cache: "no-store" });
+      if (response.status === 404) {
+        return new SdkLoadError(
+          name,
+          "not-found",
+          `${label} not found at ${url}. Run "npm run vendor:sdks" to ` +
+            "download the self-hosted SDKs, or check sdk.baseUrl.",
+          url,
+        );
+      }
+      if (!response.ok) {
+        return new SdkLoadError(
+          name,
+          "network",
+          `${label} could not be loaded from ${url}: ${response.status} ${response.statusText}`,
+          url,
+        );
+      }
+    } catch {
+      // Fall through to the generic network error
+    }
+  }
+
+  return new SdkLoadError(
+    name,
+    "network",
+    `${label} could not be loaded from ${url}. Check the URL and the ` +
+      "network connection, or self-host the SDKs with sdk.baseUrl.",
+    url,
+  );
+};
+
+/**
+ * Add the script tag of a SDK and wait for the SDK global
+ *
+ * @param {string} name - SDK name
+ * @param {string} url - Script URL
+ * @param {number} timeout - Maximum load time (ms)
+ * @returns {Promise<Object>} SDK global
+ */
+const loadScript = (name, url, timeout) => {
+  const { label, global, entryPoint } = SDKS[name];
+
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    const timer = setTimeout(() => {
+      reject(
+        new SdkLoadError(
+          name,
+          "timeout",
+          `${label} did not load from ${url} within ${timeout / 1000} seconds.`,
+          url,
+        ),
+      );
+    }, timeout);
+
+    script.src = url;
+    script.async = true;
+    script.onload = () => {
+      clearTimeout(timer);
+      const sdk = window[global];
+      if (typeof sdk?.[entryPoint] !== "function") {
+        reject(
+          new SdkLoadError(
+            name,
+            "missing-global",
+            `${url} was loaded but did not define ${global}.${entryPoint}. ` +
+              `Check that the URL points at the ${label} script.`,
+            url,
+          ),
+        );
+        return;
+      }
+      resolve(sdk);
+    };
+    script.onerror = () => {
+      clearTimeout(timer);
+      diagnoseScriptError(name, url).then(reject);
+    };
+    document.head.appendChild(script);
+  });
+};
+
+/**
+ * Load a SDK
+ * The SDK is requested once; later calls return the same promise.
+ *
+ * @param {string} name - "documentAuthoring" or "viewer"
+ * @param {Object} source - Source from resolveSdkSources
+ * @param {number} timeout - Maximum load time (ms)
+ * @returns {Promise<Object>} SDK global; rejects with a SdkLoadError
+ */
+export const loadSdk = (name, source, timeout = SDK_LOAD_TIMEOUT) => {
+  if (!loads.has(name)) {
+    const load = loadScript(name, source.scriptUrl, timeout);
+    // Failures are reported to whoever waits for the SDK
+    load.catch(() => {});
+    loads.set(name, load);
+  }
+  return loads.get(name);
+};
+
+/**
+ * Wait until a SDK is ready
+ *
+ * @param {string} name - "documentAuthoring" or "viewer"
+ * @param {number} timeout - Maximum wait (ms); waits for the load to settle
+ *   when omitted
+ * @returns {Promise<Object>} SDK global; rejects with the SdkLoadError of
+ *   the load, or a "timeout" / "not-loaded" SdkLoadError
+ */
+export const whenSdkReady = (name, timeout = null) => {
+  const load = loads.get(name);
+  if (!load) {
+    return Promise.reject(
+      new SdkLoadError(
+        name,
+        "not-loaded",
+        `${SDKS[name].label} was not requested.`,
+      ),
+    );
+  }
+  if (timeout === null) return load;
+
+  let timer = null;
+  return Promise.race([
+    load,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        reject(
+          new SdkLoadError(
+            name,
+            "timeout",
+            `${SDKS[name].label} is still loading after ${timeout / 1000} seconds.`,
+          ),
+        );
+      }, timeout);
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
@@ -0,0 +1,389 @@
+// src/utils/spreadsheet-data-source.js
+import { mapRowsToTemplateData } from "./row-mapping.js";
+
+/**
+ * File extensions accepted by the spreadsheet data source
+ */
+export const SPREADSHEET_EXTENSIONS = ["csv", "tsv", "txt", "xlsx", "xls"];
+
+/**
+ * Column types offered in the header-to-field mapping
+ */
+export const COLUMN_TYPES = ["string", "number", "boolean", "date", "ignore"];
+
+/**
+ * Parse delimited text (CSV/TSV) into a matrix of strings
+ * Supports quoted values with embedded delimiters, quotes and line breaks
+ *
+ * @param {string} text - File content
+ * @param {string} delimiter - Column delimiter
+ * @returns {Array<Array<string>>} Rows of cell values
+ */
+export const parseDelimitedText = (text, delimiter = ",") => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell.length === 0) {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+/**
+ * Format a matrix of values as delimited text (CSV/TSV)
+ * Values containing the delimiter, quotes or line breaks are quoted
+ *
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @param {string} delimiter - Column delimiter
+ * @returns {string} Delimited text with CRLF line endings
+ */
+export const formatDelimitedText = (rows, delimiter = ",") =>
+  rows
+    .map((row) =>
+      row
+        .map((value) => {
+          const text = value === null || value === undefined ? "" : String(value);
+          return text.includes(delimiter) || /["\r\n]/.test(text)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+        })
+        .join(delimiter),
+    )
+    .join("\r\n");
+
+/**
+ * Detect the delimiter of a delimited text file from its first line
+ *
+ * @param {string} text - File content
+ * @param {string} extension - File extension
+ * @returns {string} Detected delimiter
+ */
+export const detectDelimiter = (text, extension) => {
+  if (extension === "tsv") {
+    return "\t";
+  }
+
+  const firstLine = text.split(/\r?\n/, 1)[0] ?? "";
+  const candidates = [",", ";", "\t", "|"];
+
+  return candidates.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best,
+  );
+};
+
+/**
+ * Read a CSV/TSV or Excel file into sheets of raw cell values
+ *
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array>} Array of sheets with name and rows
+ */
+export const readSpreadsheetFile = async (file) => {
+  const extension = file.name.split(".").pop().toLowerCase();
+
+  if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+    throw new Error(
+      `Unsupported spreadsheet format ".${extension}". Please select a ${SPREADSHEET_EXTENSIONS.map((ext) => `.${ext}`).join(", ")} file`,
+    );
+  }
+
+  if (extension === "xlsx" || extension === "xls") {
+    const XLSX = await import("xlsx");
+    let workbook;
+
+    try {
+      workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+    } catch (error) {
+      throw new Error(`Could not read Excel file: ${error.message}`);
+    }
+
+    return workbook.SheetNames.map((name) => ({
+      name,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+        header: 1,
+        raw: true,
+        defval: null,
+        blankrows: false,
+      }),
+    }));
+  }
+
+  const text = await file.text();
+  return [
+    {
+      name: file.name,
+      rows: parseDelimitedText(text, detectDelimiter(text, extension)),
+    },
+  ];
+};
+
+/**
+ * Convert a column header into a template field name
+ * Example: "Invoice Number" becomes "invoice_number"
+ *
+ * @param {string} header - Column header
+ * @returns {string} Field name
+ */
+const toFieldName = (header) =>
+  String(header ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+const isEmptyCell = (value) =>
+  value === null || value === undefined || String(value).trim() === "";
+
+/**
+ * Guess the type of a column from its values
+ *
+ * @param {Array} values - Cell values of the column
+ * @returns {string} One of COLUMN_TYPES
+ */
+const inferColumnType = (values) => {
+  const filled = values.filter((value) => !isEmptyCell(value));
+
+  if (filled.length === 0) {
+    return "string";
+  }
+  if (filled.every((value) => value instanceof Date)) {
+    return "date";
+  }
+  if (
+    filled.every(
+      (value) =>
+        typeof value === "boolean" || /^(true|false)$/i.test(String(value)),
+    )
+  ) {
+    return "boolean";
+  }
+  if (
+    filled.every(
+      (value) =>
+        typeof value === "number" ||
+        /^-?\d+(\.\d+)?$/.test(String(value).trim()),
+    )
+  ) {
+    return "number";
+  }
+
+  return "string";
+};
+
+/**
+ * Create the default header-to-field mapping for a sheet
+ * Headers written as "items.quantity" are mapped into a nested "items" array;
+ * deeper paths such as "sections.items.title" keep their nesting in the field
+ *
+ * @param {Object} sheet - Sheet with rows (first row is the header)
+ * @returns {Array} Column mappings with header, field, group and type
+ */
+export const createColumnMappings = (sheet) => {
+  const [headerRow = [], ...dataRows] = sheet.rows;
+  const usedNames = new Set();
+
+  return headerRow.map((header, index) => {
+    const headerText = String(header ?? "").trim();
+    const [head, ...rest] = headerText.split(".");
+    const group = rest.length > 0 ? toFieldName(head) : "";
+    const path = (rest.length > 0 ? rest : [head])
+      .map(toFieldName)
+      .filter(Boolean)
+      .join(".");
+
+    let field = path || `column_${index + 1}`;
+    while (usedNames.has(`${group}.${field}`)) {
+      field = `${field}_${index + 1}`;
+    }
+    usedNames.add(`${group}.${field}`);
+
+    return {
+      header: headerText || `Column ${index + 1}`,
+      field,
+      group,
+      type: inferColumnType(dataRows.map((row) => row[index])),
+    };
+  });
+};
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ * Spreadsheet dates are read as local midnight, so the UTC date of
+ * toISOString() would be the previous day east of UTC.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Calendar date
+ */
+const formatLocalDate = (date) =>
+  [
+    String(date.getFullYear()).padStart(4, "0"),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+/**
+ * Parse number text whose meaning does not depend on the locale
+ * Commas are only accepted as thousands separators in groups of three
+ * ("1,234.5"); text such as "1,5" could be a decimal comma and is rejected.
+ *
+ * @param {string} text - Cell text
+ * @returns {number|null} Number, or null if the text is not an unambiguous
+ *   number
+ */
+const parseNumberText = (text) => {
+  const trimmed = text.trim();
+  if (/^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(trimmed)) {
+    return Number(trimmed.replace(/,/g, ""));
+  }
+  if (trimmed.includes(",")) {
+    return null;
+  }
+  const number = Number(trimmed);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Convert a raw cell value to the configured column type
+ * Number cells of Excel files are used as they are; number columns keep text
+ * that is not an unambiguous number as written instead of guessing.
+ *
+ * @param {*} value - Raw cell value
+ * @param {string} type - Column type
+ * @returns {*} Converted value (null for empty cells)
+ */
+export const convertCellValue = (value, type) => {
+  if (isEmptyCell(value)) {
+    return null;
+  }
+
+  switch (type) {
+    case "number": {
+      if (typeof value === "number") return value;
+      return parseNumberText(String(value)) ?? String(value);
+    }
+    case "boolean":
+      return typeof value === "boolean"
+        ? value
+        : /^(true|yes|1)$/i.test(String(value).trim());
+    case "date": {
+      // ISO dates would be read as UTC midnight, so they are kept as written
+      if (/^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) {
+        return String(value).trim();
+      }
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime())
+        ? String(value)
+        : formatLocalDate(date);
+    }
+    default:
+      return value instanceof Date ? formatLocalDate(value) : String(value);
+  }
+};
+
+/**
+ * Create the default spreadsheet mapping configuration
+ *
+ * @param {Array} sheets - Sheets read from the file
+ * @returns {Object} Mapping with sheet index, shape, array name, key column and columns
+ */
+export const createSpreadsheetMapping = (sheets) => ({
+  sheetIndex: 0,
+  shape: "array",
+  arrayName: "records",
+  keyColumn: "",
+  columns: createColumnMappings(sheets[0] ?? { rows: [] }),
+});
+
+/**
+ * Convert the sheet rows into template data using the column mapping
+ * Columns with a nested array name are grouped per key column value;
+ * rows with an empty key cell are treated as lines of the record above.
+ * Without nested array columns the key column is not used and every row
+ * becomes a record.
+ *
+ * @param {Object} sheet - Sheet with rows (first row is the header)
+ * @param {Object} mapping - Spreadsheet mapping configuration
+ * @returns {Object} Template data with config and model
+ */
+export const buildSpreadsheetTemplateData = (sheet, mapping) => {
+  const activeColumns = mapping.columns
+    .map((column, index) => ({ ...column, index }))
+    .filter((column) => column.type !== "ignore" && column.field);
+
+  if (activeColumns.length === 0) {
+    throw new Error("Please map at least one column to a field");
+  }
+
+  const rootColumns = activeColumns.filter((column) => !column.group);
+  const groupsRows =
+    mapping.keyColumn && rootColumns.length < activeColumns.length;
+  let previousRow = null;
+
+  const rows = sheet.rows
+    .slice(1)
+    .filter((row) => row.some((value) => !isEmptyCell(value)))
+    .map((row) => {
+      // Rows with an empty key cell continue the record above
+      // (spreadsheets often leave the parent columns blank on line rows)
+      const continuesRecord =
+        groupsRows &&
+        previousRow &&
+        rootColumns.some(
+          (column) =>
+            column.field === mapping.keyColumn && isEmptyCell(row[column.index]),
+        );
+      const sourceRow = continuesRecord
+        ? row.map((value, index) =>
+            rootColumns.some((column) => column.index === index)
+              ? previousRow[index]
+              : value,
+          )
+        : row;
+      previousRow = sourceRow;
+
+      return Object.fromEntries(
+        activeColumns.map((column) => [
+          column.group ? `${column.group}.${column.field}` : column.field,
+          convertCellValue(sourceRow[column.index], column.type),
+        ]),
+      );
+    });
+
+  return mapRowsToTemplateData(rows, mapping);
+};
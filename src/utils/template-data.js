@@ -0,0 +1,80 @@
+// src/utils/template-data.js
+import { DEFAULT_DELIMITER } from "./delimiter.js";
+
+/**
+ * Resolve a value inside a JSON structure using a simple path expression
+ * Supports dot notation and array indexes, with an optional leading "$"
+ * Example: getValueAtPath({a: {b: [{c: 1}]}}, "$.a.b[0].c") returns 1
+ *
+ * @param {*} data - JSON data to read from
+ * @param {string} path - Path expression (empty path returns the data itself)
+ * @returns {*} Resolved value, or undefined if the path does not exist
+ */
+export const getValueAtPath = (data, path) => {
+  if (!path || !path.trim()) {
+    return data;
+  }
+
+  const keys = path
+    .trim()
+    .replace(/^\$\.?/, "")
+    .replace(/\[(\d+)\]/g, ".$1")
+    .split(".")
+    .filter((key) => key.length > 0);
+
+  let current = data;
+
+  for (const key of keys) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+    current = current[key];
+  }
+
+  return current;
+};
+
+/**
+ * Wrap a model in the `{config, model}` shape expected by populateDocumentTemplate
+ * Data that already has a `model` property is returned unchanged
+ *
+ * @param {Object|Array} value - Model data or an already wrapped data source
+ * @param {Object} delimiter - Placeholder delimiter to store in the config
+ * @returns {Object} Template data with config and model
+ */
+export const toTemplateData = (value, delimiter = DEFAULT_DELIMITER) => {
+  if (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    value.model &&
+    typeof value.model === "object"
+  ) {
+    return value;
+  }
+
+  return {
+    config: { delimiter: { ...delimiter } },
+    model: value,
+  };
+};
+
+/**
+ * Return template data using another placeholder delimiter
+ * Plain models are wrapped in `{config, model}` so the delimiter can be stored
+ *
+ * @param {Object|Array} data - Data source data
+ * @param {Object} delimiter - New delimiter with start and end
+ * @returns {Object} Template data with config.delimiter replaced
+ */
+export const withDelimiter = (data, delimiter) => {
+  const templateData = toTemplateData(data);
+
+  return {
+    ...templateData,
+    config: {
+      ...templateData.config,
+      delimiter: { start: delimiter.start, end: delimiter.end },
+    },
+  };
+};
@@ -0,0 +1,193 @@
+// src/utils/template-library.js
+import { withStore } from "./indexed-db.js";
+import { deleteTemplateVersions } from "./template-versions.js";
+
+/**
+ * Object store holding the library's templates
+ */
+const STORE_NAME = "templates";
+
+/**
+ * Format marker of library bundle files
+ */
+export const LIBRARY_BUNDLE_FORMAT = "nutrient-template-library";
+
+/**
+ * Create a library entry for a template
+ *
+ * Entries hold the DocJSON from saveDocument, the paired data source
+ * ({type, data, config}, or null), the placeholder delimiter, the computed
+ * fields and the attached data schema, plus their metadata.
+ *
+ * @param {Object} template - {name, docJson, dataSource, delimiter,
+ *   computedFields, dataSchema}
+ * @returns {Object} Library entry with a new id and timestamps
+ */
+export const createTemplateEntry = (template) => {
+  const now = new Date().toISOString();
+
+  return {
+    id: crypto.randomUUID(),
+    name: template.name,
+    createdAt: now,
+    updatedAt: now,
+    docJson: template.docJson,
+    dataSource: template.dataSource ?? null,
+    delimiter: template.delimiter,
+    computedFields: template.computedFields ?? [],
+    dataSchema: template.dataSchema ?? null,
+  };
+};
+
+/**
+ * List all templates, most recently updated first
+ *
+ * @returns {Promise<Array>} Library entries
+ */
+export const listTemplates = async () => {
+  const entries = await withStore(STORE_NAME, "readonly", (store) =>
+    store.getAll(),
+  );
+  return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+/**
+ * Get a template by id
+ *
+ * @param {string} id - Entry id
+ * @returns {Promise<Object>} Library entry
+ * @throws {Error} If the template does not exist
+ */
+export const getTemplate = async (id) => {
+  const entry = await withStore(STORE_NAME, "readonly", (store) =>
+    store.get(id),
+  );
+  if (!entry) {
+    throw new Error("The template no longer exists in the library");
+  }
+  return entry;
+};
+
+/**
+ * Store a template, replacing an entry with the same id
+ *
+ * @param {Object} entry - Library entry
+ * @returns {Promise<Object>} Stored entry with an updated timestamp
+ */
+export const saveTemplate = async (entry) => {
+  const saved = { ...entry, updatedAt: new Date().toISOString() };
+  await withStore(STORE_NAME, "readwrite", (store) => store.put(saved));
+  return saved;
+};
+
+/**
+ * Rename a template
+ *
+ * @param {string} id - Entry id
+ * @param {string} name - New name
+ * @returns {Promise<Object>} Renamed entry
+ */
+export const renameTemplate = async (id, name) =>
+  saveTemplate({ ...(await getTemplate(id)), name });
+
+/**
+ * Store a copy of a template under a new id
+ *
+ * @param {string} id - Entry id
+ * @returns {Promise<Object>} The copy
+ */
+export const duplicateTemplate = async (id) => {
+  const entry = await getTemplate(id);
+  return saveTemplate({
+    ...createTemplateEntry(entry),
+    name: `${entry.name} (copy)`,
+  });
+};
+
+/**
+ * Delete a template and its versions
+ *
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+export const deleteTemplate = async (id) => {
+  await withStore(STORE_NAME, "readwrite", (store) => store.delete(id));
+  await deleteTemplateVersions(id);
+};
+
+/**
+ * Check whether a template matches a search query
+ * The name and the data file name are searched, ignoring case.
+ *
+ * @param {Object} entry - Library entry
+ * @param {string} query - Search text
+ * @returns {boolean} True if the entry matches
+ */
+export const matchesTemplateSearch = (entry, query) => {
+  const text = query.trim().toLowerCase();
+  return (
+    !text ||
+    [entry.name, entry.dataSource?.config?.filename].some((value) =>
+      value?.toLowerCase().includes(text),
+    )
+  );
+};
+
+/**
+ * Create a bundle file holding the whole library
+ *
+ * @returns {Promise<Object>} Bundle with format, version and templates
+ */
+export const exportLibraryBundle = async () => ({
+  format: LIBRARY_BUNDLE_FORMAT,
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  templates: await listTemplates(),
+});
+
+/**
+ * Add the templates of a bundle file to the library
+ * Imported templates never replace existing ones: a template whose id is
+ * already in the library is added as a new entry.
+ *
+ * @param {Object} bundle - Parsed bundle file
+ * @returns {Promise<number>} Number of imported templates
+ * @throws {Error} If the file is not a library bundle
+ */
+export const importLibraryBundle = async (bundle) => {
+  if (
+    bundle?.format !== LIBRARY_BUNDLE_FORMAT ||
+    !Array.isArray(bundle.templates)
+  ) {
+    throw new Error("The file is not a template library bundle");
+  }
+
+  const invalid = bundle.templates.find(
+    (entry) =>
+      typeof entry?.name !== "string" ||
+      !entry.docJson ||
+      typeof entry.docJson !== "object",
+  );
+  if (invalid) {
+    throw new Error(
+      "The bundle contains a template without a name or document",
+    );
+  }
+
+  const existingIds = new Set(
+    (await listTemplates()).map((entry) => entry.id),
+  );
+
+  await withStore(STORE_NAME, "readwrite", (store) => {
+    bundle.templates.forEach((entry) => {
+      const isNew = typeof entry.id === "string" && !existingIds.has(entry.id);
+      store.put(
+        isNew
+          ? { ...createTemplateEntry(entry), ...entry }
+          : { ...entry, ...createTemplateEntry(entry) },
+      );
+    });
+  });
+
+  return bundle.templates.length;
+};
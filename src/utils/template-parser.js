@@ -0,0 +1,254 @@
+// src/utils/template-parser.js
+import { DEFAULT_DELIMITER, formatPlaceholder } from "./delimiter.js";
+import { parseFormatters } from "./formatters.js";
+
+/**
+ * Tag sigils and the token type they produce
+ * `{` and `&` are unescaped variables, as in Mustache.
+ */
+const TAG_TYPES = {
+  "#": "section",
+  "^": "inverted",
+  "/": "close",
+  "!": "comment",
+  "{": "variable",
+  "&": "variable",
+};
+
+/**
+ * Whitespace-trim markers at the start and end of a tag's content
+ * `~` always trims ({{~name~}}). `-` only trims when whitespace separates it
+ * from the expression ({{- name -}}), so a formatter argument such as
+ * {{discount | default:-}} keeps its dash.
+ */
+const TRIM_START = /^(?:~|-(?=\s))/;
+const TRIM_END = /(?:~|(?<=\s)-)$/;
+
+/**
+ * Split template text into tokens
+ *
+ * Token types:
+ * - text: {value} literal text; an escaped start delimiter (`\{{`) is text
+ * - variable: {name} a value placeholder, `{{name}}`
+ * - section / inverted / close: `{{#name}}`, `{{^name}}`, `{{/name}}`
+ * - comment: `{{! ... }}`
+ * - error: {code} a start delimiter without an end delimiter on the same line
+ *
+ * Tag tokens also carry {raw, start, end, trimLeft, trimRight, formatters},
+ * where start and end are offsets in the text, trimLeft/trimRight are set for
+ * whitespace-trimmed tags and formatters is the pipeline after the name,
+ * e.g. `{{total | currency:EUR}}` (see parseFormatters).
+ *
+ * @param {string} text - Template text
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {Array} Tokens in text order
+ */
+export const tokenizeTemplate = (text, delimiter = DEFAULT_DELIMITER) => {
+  const tokens = [];
+  let textValue = "";
+  let textStart = 0;
+  let index = 0;
+
+  const flushText = () => {
+    if (textValue) {
+      tokens.push({
+        type: "text",
+        value: textValue,
+        start: textStart,
+        end: index,
+      });
+    }
+    textValue = "";
+  };
+
+  while (index < text.length) {
+    // Escaped start delimiter: keep it as literal text
+    if (text.startsWith(`\\${delimiter.start}`, index)) {
+      if (!textValue) textStart = index;
+      textValue += delimiter.start;
+      index += delimiter.start.length + 1;
+      continue;
+    }
+
+    if (!text.startsWith(delimiter.start, index)) {
+      if (!textValue) textStart = index;
+      textValue += text[index];
+      index++;
+      continue;
+    }
+
+    const innerStart = index + delimiter.start.length;
+    const endIndex = text.indexOf(delimiter.end, innerStart);
+    const lineEnd = text.indexOf("\n", index);
+
+    if (endIndex === -1 || (lineEnd !== -1 && lineEnd < endIndex)) {
+      flushText();
+      tokens.push({
+        type: "error",
+        code: "unclosed-tag",
+        raw: delimiter.start,
+        start: index,
+        end: innerStart,
+      });
+      index = innerStart;
+      textStart = index;
+      continue;
+    }
+
+    flushText();
+
+    let tagEnd = endIndex + delimiter.end.length;
+    let inner = text.slice(innerStart, endIndex);
+
+    const trimLeft = TRIM_START.test(inner);
+    if (trimLeft) inner = inner.slice(1);
+    const trimRight = TRIM_END.test(inner);
+    if (trimRight) inner = inner.slice(0, -1);
+
+    inner = inner.trim();
+    const type = TAG_TYPES[inner[0]] || "variable";
+    let name = TAG_TYPES[inner[0]] ? inner.slice(1) : inner;
+
+    // Triple mustache {{{name}}}: consume the extra closing brace
+    if (inner[0] === "{") {
+      name = name.replace(/\}$/, "");
+      if (text[tagEnd] === "}") tagEnd++;
+    }
+
+    const tag =
+      type === "comment"
+        ? { name: name.trim(), formatters: [] }
+        : parseFormatters(name);
+
+    tokens.push({
+      type,
+      name: tag.name,
+      formatters: tag.formatters,
+      raw: text.slice(index, tagEnd),
+      start: index,
+      end: tagEnd,
+      trimLeft,
+      trimRight,
+    });
+
+    index = tagEnd;
+    textStart = index;
+  }
+
+  flushText();
+  return tokens;
+};
+
+/**
+ * Parse template text into an abstract syntax tree
+ *
+ * Node types: root {children}, text {value}, comment {token},
+ * variable {name, token} and section {name, inverted, token, closeToken,
+ * children}. Structural problems are returned as errors with a code:
+ * unclosed-tag, empty-tag, stray-close, mismatched-close and unclosed-section.
+ *
+ * @param {string} text - Template text
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {Object} {root, tokens, errors: [{code, token, expected}]}
+ */
+export const parseTemplate = (text, delimiter = DEFAULT_DELIMITER) => {
+  const tokens = tokenizeTemplate(text, delimiter);
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  const errors = [];
+
+  const current = () => stack[stack.length - 1];
+
+  tokens.forEach((token) => {
+    if (token.type === "error") {
+      errors.push({ code: token.code, token });
+      return;
+    }
+
+    if (token.type === "text") {
+      current().children.push({ type: "text", value: token.value });
+      return;
+    }
+
+    if (token.type === "comment") {
+      current().children.push({ type: "comment", token });
+      return;
+    }
+
+    if (!token.name) {
+      errors.push({ code: "empty-tag", token });
+      return;
+    }
+
+    if (token.type === "variable") {
+      current().children.push({ type: "variable", name: token.name, token });
+      return;
+    }
+
+    if (token.type === "section" || token.type === "inverted") {
+      const node = {
+        type: "section",
+        name: token.name,
+        inverted: token.type === "inverted",
+        token,
+        closeToken: null,
+        children: [],
+      };
+      current().children.push(node);
+      stack.push(node);
+      return;
+    }
+
+    // Close tag
+    if (stack.length === 1) {
+      errors.push({ code: "stray-close", token });
+      return;
+    }
+
+    if (current().name !== token.name) {
+      errors.push({
+        code: "mismatched-close",
+        token,
+        expected: current().token,
+      });
+
+      // Recover by closing up to a matching open section, if any
+      if (!stack.slice(1).some((node) => node.name === token.name)) {
+        return;
+      }
+      while (current().name !== token.name) {
+        errors.push({ code: "unclosed-section", token: current().token });
+        stack.pop();
+      }
+    }
+
+    current().closeToken = token;
+    stack.pop();
+  });
+
+  stack.slice(1).forEach((node) => {
+    errors.push({ code: "unclosed-section", token: node.token });
+  });
+
+  return { root, tokens, errors };
+};
+
+/**
+ * Create the text inserted by the sidebar's conditional helpers
+ * Example: createSectionSnippet("discount", false) gives
+ * "{{#discount}}…{{/discount}}"; inverted sections render only when the
+ * value is empty, false or missing.
+ *
+ * @param {string} name - Field name relative to the current scope
+ * @param {boolean} inverted - True for an if-empty ({{^name}}) section
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {string} Section snippet with an ellipsis as content
+ */
+export const createSectionSnippet = (
+  name,
+  inverted,
+  delimiter = DEFAULT_DELIMITER,
+) =>
+  formatPlaceholder(`${inverted ? "^" : "#"}${name}`, delimiter) +
+  "…" +
+  formatPlaceholder(`/${name}`, delimiter);
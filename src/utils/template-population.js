@@ -0,0 +1,778 @@
+// src/utils/template-population.js
+import { formatPlaceholder, getDelimiter } from "./delimiter.js";
+import {
+  getDocumentSections,
+  getSectionHeadersAndFooters,
+  walkDocument,
+} from "./docjson.js";
+import { applyFormatters, formatPipeline, getLocale } from "./formatters.js";
+import { getValueAtPath } from "./template-data.js";
+import { tokenizeTemplate } from "./template-parser.js";
+
+/**
+ * Stand-in character for inline elements without text (breaks, images,
+ * hyperlinks); tags cannot match across it
+ */
+const OBJECT_CHARACTER = "\uFFFC";
+
+const SECTION_TAG_TYPES = ["section", "inverted", "close"];
+
+/**
+ * Look up a tag name in the open scopes, innermost first (Mustache rules)
+ *
+ * @param {string} name - Tag name, e.g. "price", "address.city" or "."
+ * @param {Array} scopes - Scope values, outermost first
+ * @returns {*} Value, or undefined if no scope provides the name
+ */
+const lookup = (name, scopes) => {
+  if (name === ".") {
+    return scopes[scopes.length - 1];
+  }
+
+  const [head, ...rest] = name.split(".");
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scope = scopes[i];
+    if (scope && typeof scope === "object" && head in scope) {
+      return getValueAtPath(scope[head], rest.join("."));
+    }
+  }
+
+  return undefined;
+};
+
+/**
+ * Convert a value to the text that replaces its placeholder
+ *
+ * @param {*} value - Data value
+ * @returns {string} Text (empty for null and missing values)
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(", ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+};
+
+/**
+ * Render a section once per item, once, or not at all
+ * Arrays loop over their items, objects and other truthy values render once
+ * with the value as innermost scope. Inverted sections render once when the
+ * value is missing, false, null, empty or an empty array.
+ *
+ * @param {Object} token - Section or inverted section token
+ * @param {Array} scopes - Open scopes
+ * @param {Function} renderBody - (scopes) => result
+ * @returns {Array} Results of renderBody
+ */
+const renderSection = (token, scopes, renderBody) => {
+  const value = lookup(token.name, scopes);
+  const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+
+  if (token.type === "inverted") {
+    return isEmpty ? [renderBody(scopes)] : [];
+  }
+  if (isEmpty) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => renderBody([...scopes, item]));
+  }
+  return [renderBody([...scopes, value])];
+};
+
+/**
+ * Pair section start and end tags
+ *
+ * @param {Array} entries - Array of {token, index} in document order, where
+ *   index is the child (block, row) the tag belongs to
+ * @returns {Object} {pairs: [{open, close}], unmatched} where unmatched holds
+ *   end tags without a start followed by start tags without an end
+ */
+const pairSectionTags = (entries) => {
+  const stack = [];
+  const closes = [];
+  const pairs = [];
+
+  entries.forEach((entry, order) => {
+    const item = { ...entry, order };
+
+    if (entry.token.type !== "close") {
+      stack.push(item);
+      return;
+    }
+    if (stack.length === 0) {
+      closes.push(item);
+      return;
+    }
+
+    const open = stack.pop();
+    if (open.token.name !== entry.token.name) {
+      throw new Error(
+        `Section end marker "${entry.token.raw}" doesn't match the section start "${open.token.raw}". Sections may be improperly nested.`,
+      );
+    }
+    pairs.push({ open, close: item });
+  });
+
+  return { pairs, unmatched: [...closes, ...stack] };
+};
+
+/**
+ * Create the population state shared by all render functions
+ *
+ * @param {Object} delimiter - Placeholder delimiter
+ * @param {string} locale - Locale for formatters
+ * @returns {Object} State with the delimiter, locale, a per-paragraph token
+ *   cache and the set of section tags handled at block or row level by the
+ *   sections that enclose the children being rendered
+ */
+const createState = (delimiter, locale) => ({
+  delimiter,
+  locale,
+  analyses: new WeakMap(),
+  consumed: new Set(),
+});
+
+/**
+ * Tokenize a list of inline elements
+ * Runs contribute their text; every other inline is a single object
+ * character. chars maps each character to the index of its inline element.
+ *
+ * @param {Array} elements - Inline elements
+ * @param {Object} state - Population state
+ * @returns {Object} {text, chars, tokens}
+ */
+const analyzeInlines = (elements, state) => {
+  if (state.analyses.has(elements)) {
+    return state.analyses.get(elements);
+  }
+
+  let text = "";
+  const chars = [];
+
+  elements.forEach((inline, index) => {
+    const value =
+      inline.type === "r" && typeof inline.text === "string"
+        ? inline.text
+        : OBJECT_CHARACTER;
+    text += value;
+    chars.push(...Array(value.length).fill(index));
+  });
+
+  const analysis = {
+    text,
+    chars,
+    tokens: tokenizeTemplate(text, state.delimiter),
+  };
+  state.analyses.set(elements, analysis);
+  return analysis;
+};
+
+/**
+ * Check whether a paragraph holds nothing but section tags and comments
+ * Such paragraphs only mark where sections start and end, so they are
+ * removed from the output instead of leaving empty lines.
+ *
+ * @param {Object} paragraph - DocJSON paragraph
+ * @param {Object} state - Population state
+ * @returns {boolean} True for marker-only paragraphs
+ */
+const isMarkerParagraph = (paragraph, state) => {
+  const { tokens } = analyzeInlines(paragraph.elements || [], state);
+  const tags = tokens.filter((token) => token.type !== "text");
+
+  return (
+    tags.length > 0 &&
+    tags.every(
+      (token) =>
+        SECTION_TAG_TYPES.includes(token.type) || token.type === "comment",
+    ) &&
+    tokens.every((token) => token.type !== "text" || !token.value.trim())
+  );
+};
+
+/**
+ * Get the section tags of a block that are not closed inside it
+ *
+ * @param {Object} block - DocJSON block ("p" or "t")
+ * @param {Object} state - Population state
+ * @returns {Array} Unpaired section tag tokens in document order
+ */
+const getBlockTags = (block, state) => {
+  let entries = [];
+
+  if (block.type === "p") {
+    entries = analyzeInlines(block.elements || [], state)
+      .tokens.filter(
+        (token) =>
+          SECTION_TAG_TYPES.includes(token.type) && !state.consumed.has(token),
+      )
+      .map((token) => ({ token, index: 0 }));
+  } else if (block.type === "t") {
+    entries = (block.rows || []).flatMap((row, index) =>
+      getRowTags(row, state).map((token) => ({ token, index })),
+    );
+  }
+
+  return pairSectionTags(entries).unmatched.map((entry) => entry.token);
+};
+
+/**
+ * Get the unpaired section tags of a table row's cells
+ * Tags are not paired across cells here: a section spanning cells of one
+ * row repeats the whole row, which is decided at table level.
+ *
+ * @param {Object} row - DocJSON table row
+ * @param {Object} state - Population state
+ * @returns {Array} Section tag tokens in document order
+ */
+const getRowTags = (row, state) =>
+  (row.cells || []).flatMap((cell) =>
+    pairSectionTags(
+      (cell.elements || []).flatMap((block, index) =>
+        getBlockTags(block, state).map((token) => ({ token, index })),
+      ),
+    ).unmatched.map((entry) => entry.token),
+  );
+
+/**
+ * Render a list of children (blocks or table rows)
+ *
+ * Sections whose start and end tags are in different children repeat every
+ * child from the one holding the start tag to the one holding the end tag,
+ * so a loop spanning paragraphs repeats the paragraphs and a loop spanning
+ * the cells of a row repeats the row.
+ *
+ * @param {Array} children - Blocks or rows
+ * @param {Array} scopes - Open scopes
+ * @param {Object} state - Population state
+ * @param {Function} getTags - (child, state) => unpaired section tags
+ * @param {Function} renderChild - (child, scopes, state) => Array of children
+ * @returns {Array} Rendered children
+ */
+const renderSequence = (children, scopes, state, getTags, renderChild) => {
+  const { pairs, unmatched } = pairSectionTags(
+    children.flatMap((child, index) =>
+      getTags(child, state).map((token) => ({ token, index })),
+    ),
+  );
+
+  if (unmatched.length > 0) {
+    const { token } = unmatched[0];
+    throw new Error(
+      token.type === "close"
+        ? `Section end marker "${token.raw}" found without a matching start marker.`
+        : `Section "${token.raw}" was started but never closed.`,
+    );
+  }
+
+  // Only the outermost sections are handled here; inner ones are handled
+  // when the covered children are rendered
+  const outermost = pairs
+    .filter(
+      (pair) =>
+        !pairs.some(
+          (other) =>
+            other.open.order < pair.open.order &&
+            other.close.order > pair.close.order,
+        ),
+    )
+    .sort((a, b) => a.open.order - b.open.order);
+
+  const output = [];
+  let index = 0;
+
+  outermost.forEach(({ open, close }) => {
+    if (open.index < index) {
+      throw new Error(
+        `Section "${open.token.raw}" starts in the same paragraph or row where the previous section ends. Move it to its own paragraph or row.`,
+      );
+    }
+
+    for (; index < open.index; index++) {
+      output.push(...renderChild(children[index], scopes, state));
+    }
+
+    // The section's tags are handled for the covered children only; every
+    // item renders them from the same state, so nested sections are found
+    // again in each iteration
+    const coveredState = {
+      ...state,
+      consumed: new Set([...state.consumed, open.token, close.token]),
+    };
+    const covered = children.slice(open.index, close.index + 1);
+    renderSection(open.token, scopes, (innerScopes) =>
+      renderSequence(covered, innerScopes, coveredState, getTags, renderChild),
+    ).forEach((rendered) => output.push(...rendered));
+
+    index = close.index + 1;
+  });
+
+  for (; index < children.length; index++) {
+    output.push(...renderChild(children[index], scopes, state));
+  }
+
+  return output;
+};
+
+/**
+ * Render inline elements, replacing placeholders and inline sections
+ *
+ * Replacement text takes the formatting of the run the placeholder starts
+ * in. Whitespace-trimmed tags ({{~name~}}) remove the whitespace next to them.
+ *
+ * @param {Array} elements - Inline elements
+ * @param {Array} scopes - Open scopes
+ * @param {Object} state - Population state
+ * @returns {Array} Rendered inline elements
+ */
+const renderInlines = (elements, scopes, state) => {
+  const { text, chars, tokens } = analyzeInlines(elements, state);
+  const { delimiter } = state;
+
+  // Build the inline syntax tree, skipping tags handled at block level
+  const root = { children: [] };
+  const stack = [root];
+
+  tokens.forEach((token) => {
+    if (state.consumed.has(token)) {
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (token.type === "section" || token.type === "inverted") {
+      const node = { token, children: [] };
+      current.children.push(node);
+      stack.push(node);
+    } else if (token.type === "close") {
+      if (stack.length === 1 || current.token.name !== token.name) {
+        throw new Error(
+          `Section end marker "${token.raw}" doesn't match an open section in the same paragraph.`,
+        );
+      }
+      current.close = token;
+      stack.pop();
+    } else {
+      current.children.push({ token });
+    }
+  });
+
+  if (stack.length > 1) {
+    throw new Error(
+      `Section "${stack[stack.length - 1].token.raw}" was started but never closed.`,
+    );
+  }
+
+  const output = [];
+  let trimNext = false;
+
+  const trimPrevious = () => {
+    while (output.length > 0 && output[output.length - 1].text !== undefined) {
+      const last = output[output.length - 1];
+      last.text = last.text.trimEnd();
+      if (last.text) break;
+      output.pop();
+    }
+  };
+
+  const emitText = (origin, value) => {
+    const content = trimNext ? value.trimStart() : value;
+    if (content) {
+      trimNext = false;
+      output.push({ origin, text: content });
+    }
+  };
+
+  const emitSource = (start, end) => {
+    if (start >= end) return;
+    let chunkStart = start;
+
+    for (let position = start; position <= end; position++) {
+      const origin = chars[chunkStart];
+      if (position < end && chars[position] === origin) {
+        continue;
+      }
+
+      if (text[chunkStart] === OBJECT_CHARACTER) {
+        const inline = elements[origin];
+        trimNext = false;
+        output.push({
+          inline: Array.isArray(inline.elements)
+            ? {
+                ...inline,
+                elements: renderInlines(inline.elements, scopes, state),
+              }
+            : inline,
+        });
+      } else {
+        emitText(
+          origin,
+          text
+            .slice(chunkStart, position)
+            .split(`\\${delimiter.start}`)
+            .join(delimiter.start),
+        );
+      }
+      chunkStart = position;
+    }
+  };
+
+  const renderNodes = (nodes, nodeScopes) => {
+    nodes.forEach(({ token, children, close }) => {
+      if (token.trimLeft) trimPrevious();
+
+      if (token.type === "variable") {
+        emitText(
+          chars[token.start],
+          formatValue(
+            applyFormatters(
+              lookup(token.name, nodeScopes),
+              token.formatters,
+              state.locale,
+            ),
+          ),
+        );
+      } else if (token.type === "text" || token.type === "error") {
+        emitSource(token.start, token.end);
+      } else if (children) {
+        if (token.trimRight) trimNext = true;
+        renderSection(token, nodeScopes, (innerScopes) =>
+          renderNodes(children, innerScopes),
+        );
+        if (close?.trimLeft) trimPrevious();
+        if (close?.trimRight) trimNext = true;
+        return;
+      }
+
+      if (token.trimRight) trimNext = true;
+    });
+  };
+
+  renderNodes(root.children, scopes);
+
+  // Merge text from the same run back into a single run
+  return output.reduce((inlines, segment, index) => {
+    if (segment.inline) {
+      inlines.push(segment.inline);
+    } else if (index > 0 && output[index - 1].origin === segment.origin) {
+      inlines[inlines.length - 1].text += segment.text;
+    } else {
+      inlines.push({ ...elements[segment.origin], text: segment.text });
+    }
+    return inlines;
+  }, []);
+};
+
+/**
+ * Render a list of blocks (section body, header, footer or table cell)
+ *
+ * @param {Array} blocks - Block elements
+ * @param {Array} scopes - Open scopes
+ * @param {Object} state - Population state
+ * @returns {Array} Rendered blocks
+ */
+const renderBlocks = (blocks, scopes, state) =>
+  renderSequence(blocks, scopes, state, getBlockTags, renderBlock);
+
+/**
+ * Render a single block
+ *
+ * @param {Object} block - DocJSON block
+ * @param {Array} scopes - Open scopes
+ * @param {Object} state - Population state
+ * @returns {Array} Zero or one rendered blocks
+ */
+const renderBlock = (block, scopes, state) => {
+  if (block.type === "p") {
+    if (isMarkerParagraph(block, state)) {
+      return [];
+    }
+    return [
+      {
+        ...block,
+        elements: renderInlines(block.elements || [], scopes, state),
+      },
+    ];
+  }
+
+  if (block.type === "t") {
+    const rows = renderSequence(
+      block.rows || [],
+      scopes,
+      state,
+      getRowTags,
+      renderRow,
+    );
+    // A table whose rows were all skipped by a section is removed
+    return rows.length > 0 ? [{ ...block, rows }] : [];
+  }
+
+  return [block];
+};
+
+/**
+ * Render a table row and its cells
+ *
+ * @param {Object} row - DocJSON table row
+ * @param {Array} scopes - Open scopes
+ * @param {Object} state - Population state
+ * @returns {Array} The rendered row
+ */
+const renderRow = (row, scopes, state) => [
+  {
+    ...row,
+    cells: (row.cells || []).map((cell) => {
+      const elements = renderBlocks(cell.elements || [], scopes, state);
+      // Cells must contain at least one paragraph
+      return {
+        ...cell,
+        elements:
+          elements.length > 0
+            ? elements
+            : [createEmptyParagraph(cell.elements)],
+      };
+    }),
+  },
+];
+
+/**
+ * Create an empty paragraph styled like the first paragraph of a list
+ *
+ * @param {Array} blocks - Original blocks
+ * @returns {Object} Empty DocJSON paragraph
+ */
+const createEmptyParagraph = (blocks) => {
+  const paragraph = (blocks || []).find((block) => block.type === "p");
+  return paragraph
+    ? { ...paragraph, elements: [] }
+    : { type: "p", elements: [] };
+};
+
+/**
+ * Populate a DocJSON template with data, without the Web SDK
+ *
+ * Handles placeholders, loops, object sections, conditionals, inverted
+ * sections and comments, in the body, headers, footers and tables. This is a
+ * separate implementation of the template syntax, not checked against
+ * populateDocumentTemplate, so its output can differ from the Web SDK's. Formatters ({{total | currency:EUR}}) are
+ * applied directly. A loop inside one paragraph repeats inline
+ * content, a loop spanning paragraphs repeats the paragraphs and a loop
+ * spanning the cells of a table row repeats the row. Paragraphs holding only
+ * section tags are removed.
+ *
+ * @param {Object} docJson - Template from document.saveDocument()
+ * @param {Object} data - Template data ({config, model})
+ * @returns {Object} Populated DocJSON for docAuthSystem.loadDocument()
+ */
+export const populateDocJson = (docJson, data) => {
+  const result = structuredClone(docJson);
+  const sections = getDocumentSections(result);
+
+  if (!sections) {
+    throw new Error("The document has no sections to populate.");
+  }
+
+  const state = createState(getDelimiter(data), getLocale(data));
+  const model =
+    data?.model && typeof data.model === "object" ? data.model : data;
+  const scopes = [model];
+
+  sections.forEach((section) => {
+    getSectionHeadersAndFooters(section).forEach((part) => {
+      const rendered = renderBlocks(part.elements, scopes, state);
+      part.elements.splice(
+        0,
+        part.elements.length,
+        ...(rendered.length > 0
+          ? rendered
+          : [createEmptyParagraph(part.elements)]),
+      );
+    });
+
+    const elements = renderBlocks(section.elements || [], scopes, state);
+    section.elements =
+      elements.length > 0 ? elements : [createEmptyParagraph(section.elements)];
+  });
+
+  // Repeated blocks share objects with their template; give each its own copy
+  return structuredClone(result);
+};
+
+/**
+ * Replace the text of tags in a list of inline elements
+ * Each replacement goes into the run the tag starts in; the tag's text in
+ * other runs is removed.
+ *
+ * @param {Array} elements - Inline elements
+ * @param {Array} replacements - Array of {token, text}
+ * @param {Object} state - Population state
+ * @returns {Array} Inline elements with the tags replaced
+ */
+const replaceTags = (elements, replacements, state) => {
+  const { text, chars } = analyzeInlines(elements, state);
+  const texts = elements.map(() => "");
+
+  for (let position = 0; position < text.length; position++) {
+    const replacement = replacements.find(
+      ({ token }) => position >= token.start && position < token.end,
+    );
+
+    if (replacement) {
+      if (position === replacement.token.start) {
+        texts[chars[position]] += replacement.text;
+      }
+    } else if (text[position] !== OBJECT_CHARACTER) {
+      texts[chars[position]] += text[position];
+    }
+  }
+
+  return elements.flatMap((inline, index) => {
+    if (inline.type !== "r" || typeof inline.text !== "string") {
+      return [inline];
+    }
+    // Drop runs that only held parts of a replaced tag
+    return texts[index] || !inline.text
+      ? [{ ...inline, text: texts[index] }]
+      : [];
+  });
+};
+
+/**
+ * Create a data key for a formatted placeholder
+ * Example: "total" with currency:EUR gives "total__currency_EUR"
+ *
+ * @param {Object} token - Variable token with formatters
+ * @param {Set} usedKeys - Keys already created
+ * @returns {string} Unique key
+ */
+const createFormattedKey = (token, usedKeys) => {
+  const pipeline = token.formatters
+    .map((formatter) =>
+      formatter.arg === undefined
+        ? formatter.name
+        : `${formatter.name}_${formatter.arg}`,
+    )
+    .join("__");
+  let key = `${token.name}__${pipeline}`.replace(/\W+/g, "_");
+
+  while (usedKeys.has(key)) {
+    key += "_";
+  }
+  usedKeys.add(key);
+  return key;
+};
+
+/**
+ * Apply placeholder formatters before population
+ *
+ * populateDocumentTemplate does not know formatters, so every formatted
+ * placeholder such as {{total | currency:EUR}} is replaced with a plain one
+ * ({{total__currency_EUR}}) and the formatted value is added to each object
+ * of the data that provides the field, so the same scope rules apply.
+ *
+ * @param {Object} docJson - Template from document.saveDocument()
+ * @param {Object} data - Template data ({config, model})
+ * @returns {Object} {docJson, data}; the inputs are returned unchanged when
+ *   the template has no formatters
+ */
+export const applyTemplateFormatters = (docJson, data) => {
+  const delimiter = getDelimiter(data);
+  const locale = getLocale(data);
+  const state = createState(delimiter, locale);
+  const result = structuredClone(docJson);
+  const pipelines = new Map();
+  const usedKeys = new Set();
+
+  const rewrite = (elements) => {
+    const replacements = analyzeInlines(elements, state)
+      .tokens.filter(
+        (token) =>
+          token.type === "variable" &&
+          token.formatters.length > 0 &&
+          token.name !== ".",
+      )
+      .map((token) => {
+        const id = `${token.name}${formatPipeline(token.formatters)}`;
+        if (!pipelines.has(id)) {
+          pipelines.set(id, {
+            key: createFormattedKey(token, usedKeys),
+            name: token.name,
+            formatters: token.formatters,
+          });
+        }
+        return {
+          token,
+          text: formatPlaceholder(pipelines.get(id).key, delimiter),
+        };
+      });
+
+    const rewritten =
+      replacements.length > 0
+        ? replaceTags(elements, replacements, state)
+        : elements;
+
+    return rewritten.map((inline) =>
+      Array.isArray(inline.elements)
+        ? { ...inline, elements: rewrite(inline.elements) }
+        : inline,
+    );
+  };
+
+  walkDocument(result, {
+    paragraph: (paragraph) => {
+      paragraph.elements = rewrite(paragraph.elements || []);
+    },
+  });
+
+  if (pipelines.size === 0) {
+    return { docJson, data };
+  }
+
+  const addFormattedValues = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(addFormattedValues);
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+
+    const copy = Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        addFormattedValues(item),
+      ]),
+    );
+
+    pipelines.forEach(({ key, name, formatters }) => {
+      const [head, ...rest] = name.split(".");
+      if (head in value) {
+        copy[key] = formatValue(
+          applyFormatters(
+            getValueAtPath(value[head], rest.join(".")),
+            formatters,
+            locale,
+          ),
+        );
+      }
+    });
+
+    return copy;
+  };
+
+  const hasModel = data?.model && typeof data.model === "object";
+
+  return {
+    docJson: result,
+    data: hasModel
+      ? { ...data, model: addFormattedValues(data.model) }
+      : addFormattedValues(data),
+  };
+};
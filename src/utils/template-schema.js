@@ -0,0 +1,314 @@
+// src/utils/template-schema.js
+import { DEFAULT_DELIMITER } from "./delimiter.js";
+import { FORMATTERS } from "./formatters.js";
+import { parseTemplate } from "./template-parser.js";
+
+/**
+ * Sample values written for each value type
+ */
+const SAMPLE_VALUES = {
+  number: 0,
+  date: "2025-01-31",
+  boolean: true,
+};
+
+/**
+ * Create an empty object node
+ *
+ * @returns {Object} Object node
+ */
+const createObjectNode = () => ({
+  kind: "object",
+  properties: {},
+  required: new Set(),
+});
+
+/**
+ * Get the value type a formatter pipeline expects
+ * The first formatter that needs a number or date decides; text formatters
+ * make the value text.
+ *
+ * @param {Array} formatters - Formatters ({name, arg})
+ * @returns {string} number, date, string or any
+ */
+const getFormatterValueType = (formatters) => {
+  const inputs = formatters.map(
+    (formatter) => FORMATTERS[formatter.name]?.input,
+  );
+  if (inputs.includes("number")) return "number";
+  if (inputs.includes("date")) return "date";
+  return inputs.includes("text") ? "string" : "any";
+};
+
+/**
+ * Merge two schema nodes describing the same field
+ * Structured nodes win over values and flags, so a field used both as a loop
+ * and as a condition stays a loop; of two value types the specific one wins.
+ *
+ * @param {Object|undefined} a - Existing node
+ * @param {Object} b - New node
+ * @returns {Object} Merged node
+ */
+const mergeNodes = (a, b) => {
+  if (!a) return b;
+
+  if (a.kind === "object" && b.kind === "object") {
+    Object.entries(b.properties).forEach(([key, node]) => {
+      a.properties[key] = mergeNodes(a.properties[key], node);
+    });
+    b.required.forEach((key) => a.required.add(key));
+    return a;
+  }
+  if (a.kind === "array" && b.kind === "array") {
+    return { kind: "array", items: mergeNodes(a.items, b.items) };
+  }
+
+  const rank = { flag: 0, value: 1, array: 2, object: 2 };
+  if (rank[a.kind] !== rank[b.kind]) {
+    return rank[a.kind] > rank[b.kind] ? a : b;
+  }
+  if (a.kind === "value" && a.valueType !== b.valueType) {
+    if (a.valueType === "any") return b;
+    if (b.valueType === "any") return a;
+    return { kind: "value", valueType: "any" };
+  }
+  return a;
+};
+
+/**
+ * Add a field to an object node
+ * Dotted names such as customer.name create nested objects.
+ *
+ * @param {Object} scope - Object node the name is relative to
+ * @param {string} name - Field name from the tag
+ * @param {Object} node - Schema node of the field
+ * @param {boolean} isRequired - Whether the field must be present
+ */
+const addField = (scope, name, node, isRequired) => {
+  const keys = name.split(".");
+  const key = keys.pop();
+
+  const parent = keys.reduce((current, parentKey) => {
+    current.properties[parentKey] = mergeNodes(
+      current.properties[parentKey],
+      createObjectNode(),
+    );
+    if (isRequired) current.required.add(parentKey);
+    return current.properties[parentKey];
+  }, scope);
+
+  // A dotted name through a loop or value cannot be represented; keep the
+  // structure that is already there
+  if (parent.kind !== "object") {
+    return;
+  }
+  parent.properties[key] = mergeNodes(parent.properties[key], node);
+  if (isRequired) parent.required.add(key);
+};
+
+/**
+ * Collect the variable and section names used inside a section
+ *
+ * @param {Array} children - Section child nodes
+ * @returns {Array<string>} Names, including "." for the current item
+ */
+const collectNames = (children) =>
+  children.flatMap((child) => {
+    if (child.type === "variable") return [child.name];
+    if (child.type === "section") {
+      return [child.name, ...collectNames(child.children)];
+    }
+    return [];
+  });
+
+/**
+ * Record the fields used by template nodes in a scope
+ *
+ * Sections that use other fields are loops (arrays of objects); sections
+ * that only use `{{.}}` loop over plain values; other sections are
+ * conditions on a flag or on the value they print. Fields used only inside
+ * conditions or with a `default` formatter are optional.
+ *
+ * @param {Array} children - Template syntax tree nodes
+ * @param {Object} scope - Object node of the current data scope
+ * @param {boolean} isConditional - True inside a condition
+ */
+const collectFields = (children, scope, isConditional) => {
+  children.forEach((child) => {
+    if (child.type === "variable" && child.name !== ".") {
+      const formatters = child.token.formatters;
+      addField(
+        scope,
+        child.name,
+        { kind: "value", valueType: getFormatterValueType(formatters) },
+        !isConditional &&
+          !formatters.some((formatter) => formatter.name === "default"),
+      );
+      return;
+    }
+
+    if (child.type !== "section") {
+      return;
+    }
+
+    if (child.inverted) {
+      addField(scope, child.name, { kind: "flag" }, false);
+      collectFields(child.children, scope, true);
+      return;
+    }
+
+    const names = collectNames(child.children);
+    const ownName = child.name.split(".").pop();
+    const usesFields = names.some(
+      (name) => name !== "." && name !== child.name && name !== ownName,
+    );
+
+    if (usesFields) {
+      const item = createObjectNode();
+      collectFields(child.children, item, false);
+      addField(
+        scope,
+        child.name,
+        { kind: "array", items: item },
+        !isConditional,
+      );
+    } else if (names.includes(".")) {
+      const values = child.children.filter(
+        (node) => node.type === "variable" && node.name === ".",
+      );
+      addField(
+        scope,
+        child.name,
+        {
+          kind: "array",
+          items: {
+            kind: "value",
+            valueType: getFormatterValueType(
+              values.flatMap((node) => node.token.formatters),
+            ),
+          },
+        },
+        !isConditional,
+      );
+    } else {
+      addField(scope, child.name, { kind: "flag" }, false);
+      collectFields(child.children, scope, true);
+    }
+  });
+};
+
+/**
+ * Derive the data model a template expects from its placeholders
+ *
+ * Returns a tree of schema nodes:
+ * - {kind: "object", properties: {key: node}, required: Set}
+ * - {kind: "array", items: node}
+ * - {kind: "value", valueType: "string" | "number" | "date" | "any"}
+ * - {kind: "flag"} a field only used as a condition
+ *
+ * Value types come from the formatters used with a field, e.g.
+ * `{{total | currency:EUR}}` is a number.
+ *
+ * @param {string} text - Template text
+ * @param {Object} delimiter - Placeholder delimiter
+ * @returns {Object} {schema: object node, placeholderCount, errors}
+ */
+export const deriveTemplateSchema = (text, delimiter = DEFAULT_DELIMITER) => {
+  const { root, tokens, errors } = parseTemplate(text, delimiter);
+  const schema = createObjectNode();
+  collectFields(root.children, schema, false);
+
+  return {
+    schema,
+    placeholderCount: tokens.filter(
+      (token) => token.type !== "text" && token.type !== "error",
+    ).length,
+    errors,
+  };
+};
+
+/**
+ * Convert a derived schema node to JSON Schema
+ * Optional fields and all plain values also accept null, which population
+ * renders as empty text. Fields only used as conditions accept any value,
+ * since a section shows its content for any truthy value.
+ *
+ * @param {Object} node - Schema node from deriveTemplateSchema
+ * @param {boolean} isRequired - Whether the field is required
+ * @returns {Object} JSON Schema
+ */
+const toJsonSchemaNode = (node, isRequired = true) => {
+  const nullable = (type) =>
+    isRequired ? type : [...[type].flat(), "null"];
+
+  if (node.kind === "object") {
+    const required = Object.keys(node.properties).filter((key) =>
+      node.required.has(key),
+    );
+    return {
+      type: nullable("object"),
+      properties: Object.fromEntries(
+        Object.entries(node.properties).map(([key, child]) => [
+          key,
+          toJsonSchemaNode(child, node.required.has(key)),
+        ]),
+      ),
+      ...(required.length > 0 && { required }),
+    };
+  }
+  if (node.kind === "array") {
+    return { type: nullable("array"), items: toJsonSchemaNode(node.items) };
+  }
+  if (node.kind === "flag") {
+    return { description: "Condition: content shows for truthy values" };
+  }
+  if (node.valueType === "date") {
+    return { type: ["string", "null"], format: "date" };
+  }
+  return {
+    type: [
+      ...(node.valueType === "any" ? ["string", "number"] : [node.valueType]),
+      "null",
+    ],
+  };
+};
+
+/**
+ * Create a JSON Schema (draft 2020-12) for the model of a template
+ *
+ * @param {Object} schema - Object node from deriveTemplateSchema
+ * @param {string} title - Schema title
+ * @returns {Object} JSON Schema
+ */
+export const createJsonSchema = (schema, title = "Template data model") => ({
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title,
+  ...toJsonSchemaNode(schema),
+});
+
+/**
+ * Create a sample model for a derived schema
+ * Loops get one sample item, flags are true so conditional content shows,
+ * and text values repeat their field name.
+ *
+ * @param {Object} node - Schema node from deriveTemplateSchema
+ * @param {string} key - Field name of the node
+ * @returns {*} Sample value
+ */
+export const createSampleModel = (node, key = "value") => {
+  if (node.kind === "object") {
+    return Object.fromEntries(
+      Object.entries(node.properties).map(([childKey, child]) => [
+        childKey,
+        createSampleModel(child, childKey),
+      ]),
+    );
+  }
+  if (node.kind === "array") {
+    return [createSampleModel(node.items, key)];
+  }
+  if (node.kind === "flag") {
+    return SAMPLE_VALUES.boolean;
+  }
+  return SAMPLE_VALUES[node.valueType] ?? key;
+};
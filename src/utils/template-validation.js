@@ -0,0 +1,349 @@
+// src/utils/template-validation.js
+import { formatPlaceholder, getDelimiter } from "./delimiter.js";
+import { describeTextRange } from "./docjson.js";
+import { checkFormatterInput, validateFormatters } from "./formatters.js";
+import { parseTemplate } from "./template-parser.js";
+
+/**
+ * Merge the object items of an array into a single record
+ * Each key keeps its first non-null value, so a field counts as present when
+ * any item provides it.
+ *
+ * @param {Array} items - Array items
+ * @returns {Object} Merged record
+ */
+const mergeItems = (items) => {
+  const merged = {};
+
+  items.forEach((item) => {
+    if (typeof item !== "object" || item === null || Array.isArray(item)) {
+      return;
+    }
+    Object.entries(item).forEach(([key, value]) => {
+      if (merged[key] === undefined || merged[key] === null) {
+        merged[key] = value;
+      }
+    });
+  });
+
+  return merged;
+};
+
+/**
+ * Create the scope a section pushes for its content
+ * Arrays of objects are represented by their merged items, arrays of
+ * values by their first value (for {{.}}).
+ *
+ * @param {*} value - Section value
+ * @param {string} path - Full data path of the section
+ * @returns {Object} Scope {value, path, isLoop}
+ */
+const createScope = (value, path) => {
+  if (!Array.isArray(value)) {
+    return { value, path, isLoop: false };
+  }
+  const hasObjects = value.some(
+    (item) => typeof item === "object" && item !== null,
+  );
+  return {
+    value: hasObjects ? mergeItems(value) : value[0],
+    path,
+    isLoop: true,
+  };
+};
+
+/**
+ * Resolve a tag name against the open scopes, innermost first
+ * Like Mustache, the first segment of a dotted name is looked up in each
+ * enclosing scope; `.` is the current item.
+ *
+ * @param {string} name - Tag name, e.g. "price" or "address.city"
+ * @param {Array} scopes - Open scopes, outermost first
+ * @returns {Object} {found, value, path} where path is the full data path
+ */
+const resolveName = (name, scopes) => {
+  const innermost = scopes[scopes.length - 1];
+
+  if (name === ".") {
+    return { found: true, value: innermost.value, path: innermost.path };
+  }
+
+  const [head, ...rest] = name.split(".");
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const { value, path } = scopes[i];
+    if (typeof value !== "object" || value === null || !(head in value)) {
+      continue;
+    }
+
+    let current = value[head];
+    for (const key of rest) {
+      if (current === null || current === undefined) {
+        current = undefined;
+        break;
+      }
+      current = current[key];
+    }
+
+    return {
+      found: current !== undefined,
+      value: current,
+      path: path ? `${path}.${name}` : name,
+    };
+  }
+
+  return { found: false, value: undefined, path: null };
+};
+
+/**
+ * Validate template placeholders against data source
+ * Returns validation results with details about issues
+ *
+ * The template is parsed into an AST (see parseTemplate), so sections are
+ * checked by what their data is: arrays are loops, objects change the
+ * context, other values are conditionals. Inverted sections ({{^x}}) and
+ * comments are understood, and structural errors (unclosed or mismatched
+ * sections, unterminated tags) are reported as issues, as are unknown
+ * formatters and invalid formatter arguments.
+ * Placeholders are matched using the delimiter declared in the data's config
+ *
+ * @param {string} documentText - Text extracted from the template
+ * @param {Object} data - Data source data
+ * @returns {Object} {issues, warnings, placeholderCount, usedFields};
+ *   issues and warnings are {message, placeholder, field, position}
+ *   objects, where position is the placeholder's offset in documentText.
+ *   usedFields is a Set of the sidebar field names the template references.
+ */
+export const validateTemplate = (documentText, data) => {
+  const issues = [];
+  const warnings = [];
+  const usedFields = new Set();
+  const delimiter = getDelimiter(data);
+  const tag = (name) => formatPlaceholder(name, delimiter);
+  const { root, tokens, errors } = parseTemplate(documentText, delimiter);
+
+  const createIssue = (message, token) => ({
+    message,
+    placeholder: token?.raw ?? null,
+    field: token?.name ?? null,
+    position: token?.start ?? null,
+  });
+
+  const placeholderCount = tokens.filter(
+    (token) => token.type !== "text" && token.type !== "comment",
+  ).length;
+
+  if (placeholderCount === 0) {
+    warnings.push(
+      createIssue(
+        "No template placeholders found in the document. The document will be generated as-is without any data population.",
+      ),
+    );
+    return { issues, warnings, placeholderCount, usedFields };
+  }
+
+  errors.forEach(({ code, token, expected }) => {
+    const messages = {
+      "unclosed-tag": `"${delimiter.start}" is never closed with "${delimiter.end}" on the same line. Escape it as "\\${delimiter.start}" to keep it as text.`,
+      "empty-tag": `Placeholder "${token.raw}" has no field name.`,
+      "stray-close": `Section end marker "${token.raw}" found without a matching start marker.`,
+      "mismatched-close": `Section end marker "${token.raw}" doesn't match the most recent section start "${expected?.raw}". Sections may be improperly nested.`,
+      "unclosed-section": `Section "${token.raw}" was started but never closed with "${tag(`/${token.name}`)}".`,
+    };
+    issues.push(createIssue(messages[code], token));
+  });
+
+  // Handle model wrapper (e.g., menu.json has data.model structure)
+  const model =
+    data?.model && typeof data.model === "object" ? data.model : data;
+  // A root array is a list of models, not a loop
+  const rootScope = { ...createScope(model, ""), isLoop: false };
+
+  const visit = (nodes, scopes) => {
+    const loopScope = scopes.findLast((scope) => scope.isLoop);
+
+    nodes.forEach((node) => {
+      if (node.type === "variable") {
+        const { found, value, path } = resolveName(node.name, scopes);
+        const { formatters } = node.token;
+        const formatterProblems = validateFormatters(formatters);
+
+        formatterProblems.forEach((problem) => {
+          issues.push(
+            createIssue(
+              `Placeholder "${node.token.raw}": ${problem}`,
+              node.token,
+            ),
+          );
+        });
+        if (formatters.length > 0 && node.name === ".") {
+          warnings.push(
+            createIssue(
+              `Formatters on "${node.token.raw}" are only applied by the offline engine.`,
+              node.token,
+            ),
+          );
+        }
+
+        if (!found) {
+          issues.push(
+            createIssue(
+              loopScope
+                ? `Placeholder "${node.token.raw}" in loop "${tag(`#${loopScope.name}`)}" has no corresponding field in the loop items.`
+                : `Placeholder "${node.token.raw}" has no corresponding data. Please ensure your data source includes a "${node.name}" field.`,
+              node.token,
+            ),
+          );
+        } else if (
+          value === null &&
+          !formatters.some((formatter) => formatter.name === "default")
+        ) {
+          warnings.push(
+            createIssue(
+              `Placeholder "${node.token.raw}" has a null value in the data source.`,
+              node.token,
+            ),
+          );
+        } else if (formatterProblems.length === 0) {
+          const inputProblem = checkFormatterInput(value, formatters);
+          if (inputProblem) {
+            warnings.push(
+              createIssue(
+                `Placeholder "${node.token.raw}": ${inputProblem}.`,
+                node.token,
+              ),
+            );
+          }
+        }
+        if (path) usedFields.add(path);
+        return;
+      }
+
+      if (node.type !== "section") {
+        return;
+      }
+
+      if (node.token.formatters.length > 0) {
+        issues.push(
+          createIssue(
+            `Section marker "${node.token.raw}" has formatters; formatters can only be used on value placeholders.`,
+            node.token,
+          ),
+        );
+      }
+
+      const { found, value, path } = resolveName(node.name, scopes);
+
+      if (!found) {
+        if (node.inverted) {
+          // Missing data is "empty", so the content is always rendered
+          warnings.push(
+            createIssue(
+              `If-empty section "${node.token.raw}" references missing data: "${node.name}". Its content will always be shown.`,
+              node.token,
+            ),
+          );
+          visit(node.children, scopes);
+        } else {
+          issues.push(
+            createIssue(
+              `Section marker "${node.token.raw}" references missing data: "${node.name}"`,
+              node.token,
+            ),
+          );
+        }
+        return;
+      }
+
+      usedFields.add(path);
+      usedFields.add(`#${path}`);
+      usedFields.add(`/${path}`);
+
+      if (node.inverted) {
+        // If-empty content is rendered in the enclosing context
+        visit(node.children, scopes);
+      } else if (Array.isArray(value) || (typeof value === "object" && value)) {
+        visit(node.children, [
+          ...scopes,
+          { ...createScope(value, path), name: node.name },
+        ]);
+      } else {
+        if (value === null) {
+          warnings.push(
+            createIssue(
+              `Section "${node.token.raw}" has a null value in the data source, so its content will be skipped.`,
+              node.token,
+            ),
+          );
+        }
+        // Conditional section on a plain value: context is unchanged
+        visit(node.children, scopes);
+      }
+    });
+  };
+
+  visit(root.children, [rootScope]);
+
+  // Report in reading order; template-wide issues have no position
+  const byPosition = (a, b) => (a.position ?? -1) - (b.position ?? -1);
+  issues.sort(byPosition);
+  warnings.sort(byPosition);
+
+  return { issues, warnings, placeholderCount, usedFields };
+};
+
+/**
+ * Count how often a placeholder appears in the text before an offset
+ *
+ * @param {string} text - Extracted document text
+ * @param {string} placeholder - Placeholder text
+ * @param {number} position - Offset of the placeholder
+ * @returns {number} Zero-based occurrence index of the placeholder
+ */
+const getOccurrenceIndex = (text, placeholder, position) => {
+  let occurrence = 0;
+  let index = text.indexOf(placeholder);
+
+  while (index !== -1 && index < position) {
+    occurrence++;
+    index = text.indexOf(placeholder, index + placeholder.length);
+  }
+
+  return occurrence;
+};
+
+/**
+ * Add document locations to validation issues and warnings
+ *
+ * Each located issue gets a `context` ({label, before, match, after}, or null
+ * for issues that apply to the whole template) and an `occurrence`, the index
+ * of its placeholder among identical placeholders in reading order.
+ *
+ * @param {Object} validation - Result of validateTemplate
+ * @param {Object} extraction - Result of extractDocumentTextWithLocations
+ * @returns {Object} Validation result with located issues and warnings
+ */
+export const locateValidationIssues = (validation, extraction) => {
+  const locate = (issue) =>
+    issue.position === null
+      ? { ...issue, context: null, occurrence: 0 }
+      : {
+          ...issue,
+          context: describeTextRange(
+            extraction,
+            issue.position,
+            issue.placeholder.length,
+          ),
+          occurrence: getOccurrenceIndex(
+            extraction.text,
+            issue.placeholder,
+            issue.position,
+          ),
+        };
+
+  return {
+    ...validation,
+    issues: validation.issues.map(locate),
+    warnings: validation.warnings.map(locate),
+  };
+};
@@ -0,0 +1,82 @@
+// src/utils/template-versions.js
+import { withStore } from "./indexed-db.js";
+
+/**
+ * Object store holding the version snapshots of library templates
+ */
+const STORE_NAME = "versions";
+
+/**
+ * List the versions of a template, newest first
+ *
+ * @param {string} templateId - Library entry id
+ * @returns {Promise<Array>} Versions {id, templateId, number, createdAt,
+ *   note, name, docJson, dataSource, delimiter, computedFields, dataSchema}
+ */
+export const listTemplateVersions = async (templateId) => {
+  const versions = await withStore(STORE_NAME, "readonly", (store) =>
+    store.index("templateId").getAll(templateId),
+  );
+  return versions.sort((a, b) => b.number - a.number);
+};
+
+/**
+ * Store a snapshot of a saved library entry as its next version
+ * The number is read and the version added in one readwrite transaction, so
+ * saves in quick succession (e.g. a manual save and autosave) never share a
+ * number.
+ *
+ * @param {Object} entry - Saved library entry
+ * @param {string} note - Optional note describing the change
+ * @returns {Promise<Object>} The new version
+ */
+export const addTemplateVersion = async (entry, note = "") => {
+  const version = {
+    id: crypto.randomUUID(),
+    templateId: entry.id,
+    number: 1,
+    createdAt: entry.updatedAt,
+    note: note.trim(),
+    name: entry.name,
+    docJson: entry.docJson,
+    dataSource: entry.dataSource,
+    delimiter: entry.delimiter,
+    computedFields: entry.computedFields,
+    dataSchema: entry.dataSchema,
+  };
+
+  await withStore(STORE_NAME, "readwrite", (store) => {
+    const request = store.index("templateId").getAll(entry.id);
+
+    request.onsuccess = () => {
+      version.number =
+        request.result.reduce(
+          (latest, item) => Math.max(latest, item.number ?? 0),
+          0,
+        ) + 1;
+      store.put(version);
+    };
+  });
+  return version;
+};
+
+/**
+ * Delete all versions of a template
+ *
+ * @param {string} templateId - Library entry id
+ * @returns {Promise<void>}
+ */
+export const deleteTemplateVersions = (templateId) =>
+  withStore(STORE_NAME, "readwrite", (store) => {
+    const request = store
+      .index("templateId")
+      .openKeyCursor(IDBKeyRange.only(templateId));
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      }
+    };
+  });
@@ -1,7 +1,56 @@
+import { readdirSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const PUBLIC_JSON_MODULE_ID = 'virtual:public-json-files'
+const RESOLVED_PUBLIC_JSON_MODULE_ID = `\0${PUBLIC_JSON_MODULE_ID}`
+// Runtime app configuration, not a data file
+const RUNTIME_CONFIG_FILE = 'config.json'
+
+// Exposes the names of the JSON files in public/ to the data file picker
+function publicJsonFiles() {
+  let publicDir = ''
+
+  return {
+    name: 'public-json-files',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    resolveId(id) {
+      if (id === PUBLIC_JSON_MODULE_ID) {
+        return RESOLVED_PUBLIC_JSON_MODULE_ID
+      }
+    },
+    load(id) {
+      if (id === RESOLVED_PUBLIC_JSON_MODULE_ID) {
+        const files = readdirSync(publicDir)
+          .filter((file) => file.toLowerCase().endsWith('.json'))
+          .filter((file) => file !== RUNTIME_CONFIG_FILE)
+          .sort()
+        return `export default ${JSON.stringify(files)}`
+      }
+    },
+    configureServer(server) {
+      // Refresh the list when JSON files are added to or removed from public/
+      const refresh = (file) => {
+        if (file.startsWith(publicDir) && file.toLowerCase().endsWith('.json')) {
+          const module = server.moduleGraph.getModuleById(
+            RESOLVED_PUBLIC_JSON_MODULE_ID,
+          )
+          if (module) {
+            server.moduleGraph.invalidateModule(module)
+            server.ws.send({ type: 'full-reload' })
+          }
+        }
+      }
+      server.watcher.add(publicDir)
+      server.watcher.on('add', refresh)
+      server.watcher.on('unlink', refresh)
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), publicJsonFiles()],
 })